@@ -0,0 +1,609 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A bot that plays the game, by driving a pointer of its own at the buttons
+ * and clicking them. It can play on the page when nobody else is, see
+ * {@link AttractMode}, or headless to measure how hard a tuning is, see
+ * {@link benchmarkBot}.
+ *
+ * @module bot
+ */
+
+import { checkRange } from './physics.mjs';
+import { GameSimulation } from './simulation.mjs';
+
+/**
+ * The strategies of the bot:
+ *
+ * - "chase": head for where the button is going, and creep into it.
+ * - "corner": herd the button into the nearest corner by pushing it from the
+ *   far side, then creep into it once it is trapped there.
+ * - "ambush": wait, still, in front of the wall that a moving button is
+ *   heading for, so that it runs into the bot. A button at rest is herded
+ *   as for "corner".
+ *
+ * @type {string[]}
+ */
+export const BOT_STRATEGIES = ['chase', 'corner', 'ambush'];
+
+/* how close, in pixels, the bot has to be to a button to creep into it */
+const CREEP_DISTANCE = 30;
+/* the furthest ahead, in seconds, that a chase leads a moving button */
+const MAX_LEAD = 0.5;
+/* how far, in pixels, the bot stays from a button that it is herding */
+const HERD_GAP = 15;
+
+/* the size of the play area, which is not known to the buttons
+ * themselves */
+function areaOf (body) {
+  const box = body.box();
+  const range = body.positionRange();
+  return { width: range.x + box.width, height: range.y + box.height };
+}
+
+function distanceToBox (x, y, box) {
+  const distX = Math.max(box.x - x, 0, x - box.x - box.width);
+  const distY = Math.max(box.y - y, 0, y - box.y - box.height);
+  return Math.sqrt((distX * distX) + (distY * distY));
+}
+
+function nearestBody (x, y, bodies) {
+  let nearest;
+  let nearestDist = Infinity;
+  for (const body of bodies) {
+    const dist = distanceToBox(x, y, body.box());
+    if (dist < nearestDist) {
+      nearest = body;
+      nearestDist = dist;
+    }
+  }
+  return nearest;
+}
+
+/* Each aim gives where the bot should head for, and whether it should creep
+ * when it gets close to the button */
+
+function chaseAim (x, y, body, speed) {
+  const box = body.box();
+  const centreX = box.x + (box.width / 2);
+  const centreY = box.y + (box.height / 2);
+  const distX = centreX - x;
+  const distY = centreY - y;
+  const lead = Math.min(
+    MAX_LEAD, Math.sqrt((distX * distX) + (distY * distY)) / speed);
+  return {
+    x: centreX + (body.velX() * lead),
+    y: centreY + (body.velY() * lead),
+    creep: true
+  };
+}
+
+function cornerAim (x, y, body, speed) {
+  const box = body.box();
+  const area = areaOf(body);
+  const centreX = box.x + (box.width / 2);
+  const centreY = box.y + (box.height / 2);
+  const cornerX = (centreX < area.width / 2) ? 0 : area.width;
+  const cornerY = (centreY < area.height / 2) ? 0 : area.height;
+  const awayX = centreX - cornerX;
+  const awayY = centreY - cornerY;
+  if (Math.abs(awayX) <= box.width && Math.abs(awayY) <= box.height) {
+    /* trapped */
+    return chaseAim(x, y, body, speed);
+  }
+  /* get behind the button, on the line from the corner, then push it
+   * along the line */
+  const away = Math.sqrt((awayX * awayX) + (awayY * awayY));
+  const unitX = awayX / away;
+  const unitY = awayY / away;
+  const relX = x - centreX;
+  const relY = y - centreY;
+  if ((relX * unitX) + (relY * unitY) > 0 &&
+      Math.abs((relX * unitY) - (relY * unitX)) < HERD_GAP) {
+    return { x: centreX, y: centreY, creep: true };
+  }
+  const behind = (Math.sqrt(
+    (box.width * box.width) + (box.height * box.height)) / 2) + HERD_GAP;
+  return {
+    x: centreX + (unitX * behind),
+    y: centreY + (unitY * behind),
+    creep: false
+  };
+}
+
+function ambushAim (x, y, body, speed) {
+  const velX = body.velX();
+  const velY = body.velY();
+  if (velX === 0 && velY === 0) {
+    return cornerAim(x, y, body, speed);
+  }
+  /* when the button would reach each wall, were it not slowing down */
+  const box = body.box();
+  const range = body.positionRange();
+  let timeX = Infinity;
+  let timeY = Infinity;
+  if (velX !== 0) {
+    timeX = ((velX > 0) ? range.x - box.x : -box.x) / velX;
+  }
+  if (velY !== 0) {
+    timeY = ((velY > 0) ? range.y - box.y : -box.y) / velY;
+  }
+  const time = Math.min(timeX, timeY);
+  /* wait in the side of the button that will meet the wall */
+  const towardX = (timeX === time) ? Math.sign(velX) : 0;
+  const towardY = (timeX === time) ? 0 : Math.sign(velY);
+  return {
+    x: Math.min(range.x, Math.max(0, box.x + (velX * time))) +
+      (box.width * (2 + towardX) / 4),
+    y: Math.min(range.y, Math.max(0, box.y + (velY * time))) +
+      (box.height * (2 + towardY) / 4),
+    creep: false
+  };
+}
+
+const STRATEGY_AIMS = {
+  chase: chaseAim,
+  corner: cornerAim,
+  ambush: ambushAim
+};
+
+/**
+ * A bot player, which moves a pointer of its own towards the buttons, using
+ * one of the {@link BOT_STRATEGIES}, and decides when to click.
+ *
+ * The bot provides the same position and velocity methods as a
+ * {@link TrackedPointer}, so it can push the buttons in the same way. Like a
+ * player, it only clicks where its pointer already is, so it has to get onto
+ * a button before the button gets away.
+ */
+export class BotPlayer {
+  /**
+   * Create a new BotPlayer, with an unknown position. See
+   * {@link BotPlayer#placeAt}.
+   *
+   * @param {string} strategy - The strategy to play with, one of the
+   * {@link BOT_STRATEGIES}.
+   * @param {Object} [options] - The options of the bot.
+   * @param {number} [options.speed=1500] - The top speed of the bot's
+   * pointer, in pixels per second.
+   * @param {number} [options.creepSpeed=100] - The speed that the bot creeps
+   * into a button at, in pixels per second.
+   *
+   * @return {BotPlayer} A new BotPlayer.
+   *
+   * @throws {Error} If the strategy is not known.
+   * @throws {RangeError} If an option is out of range.
+   */
+  constructor (strategy, options) {
+    if (!BOT_STRATEGIES.includes(strategy)) {
+      throw new Error('Unknown bot strategy "' + String(strategy) + '"');
+    }
+    options = Object.assign({ speed: 1500, creepSpeed: 100 }, options);
+    checkRange('speed', options.speed, 0, false, Infinity, false);
+    checkRange(
+      'creepSpeed', options.creepSpeed, 0, false, options.speed, true);
+
+    this._strategy = strategy;
+    this._speed = options.speed;
+    this._creepSpeed = options.creepSpeed;
+    /* velocity in pixels per second, over the last step */
+    this._velX = 0;
+    this._velY = 0;
+    /* position, relative to the play area */
+    this._posX = NaN;
+    this._posY = NaN;
+    /* time of the last step, in milliseconds */
+    this._lastStep = NaN;
+
+    Object.seal(this);
+  }
+
+  /**
+   * Get the strategy of the bot.
+   *
+   * @return {string} The strategy, one of the {@link BOT_STRATEGIES}.
+   */
+  strategy () {
+    return this._strategy;
+  }
+
+  /**
+   * Get the velocity of the bot in the horizontal direction (left to right
+   * is a positive velocity).
+   *
+   * @param {number} now - The current time returned by
+   * {@link FrameScheduler#now}.
+   * @return {number} The horizontal velocity of the bot (pixels per second).
+   */
+  velX (now) {
+    return this._velX;
+  }
+
+  /**
+   * Get the velocity of the bot in the vertical direction (top to bottom is
+   * a positive velocity).
+   *
+   * @param {number} now - The current time returned by
+   * {@link FrameScheduler#now}.
+   * @return {number} The vertical velocity of the bot (pixels per second).
+   */
+  velY (now) {
+    return this._velY;
+  }
+
+  /**
+   * Get the horizontal position of the bot, in the coordinates of the play
+   * area.
+   *
+   * @return {number} The horizontal position, or NaN if it is not placed.
+   */
+  posX () {
+    return this._posX;
+  }
+
+  /**
+   * Get the vertical position of the bot, in the coordinates of the play
+   * area.
+   *
+   * @return {number} The vertical position, or NaN if it is not placed.
+   */
+  posY () {
+    return this._posY;
+  }
+
+  /**
+   * Put the bot's pointer at a position, at rest.
+   *
+   * @param {number} posX - The horizontal position, in the coordinates of
+   * the play area.
+   * @param {number} posY - The vertical position, in the coordinates of the
+   * play area.
+   */
+  placeAt (posX, posY) {
+    this._posX = posX;
+    this._posY = posY;
+    this._velX = 0;
+    this._velY = 0;
+    this._lastStep = NaN;
+  }
+
+  /**
+   * Play for a moment: either click, if the bot's pointer is over a button,
+   * or move the pointer towards the nearest button for the time since the
+   * last step. The first step after the bot is placed only starts the clock.
+   *
+   * @param {number} now - The current time, in milliseconds.
+   * @param {ButtonBody[]} bodies - The buttons in play. The buttons that are
+   * immune to being hit, having just been clicked, are left alone.
+   *
+   * @return {boolean} Whether the bot clicks at its position.
+   */
+  step (now, bodies) {
+    const elapsed = (now - this._lastStep) / 1000;
+    this._lastStep = now;
+    this._velX = 0;
+    this._velY = 0;
+    const x = this._posX;
+    const y = this._posY;
+    /* a button that was just clicked is left until it is back in play */
+    bodies = bodies.filter(function (body) {
+      return !body.isHitImmune();
+    });
+    for (const body of bodies) {
+      if (body.isOver(x, y)) {
+        return true;
+      }
+    }
+    const body = nearestBody(x, y, bodies);
+    /* Note: also false if elapsed is NaN */
+    if (body === undefined || !(elapsed > 0)) {
+      return false;
+    }
+    const aim = STRATEGY_AIMS[this._strategy](x, y, body, this._speed);
+    /* a fast push sends the button away before the bot can click it, so
+     * creep into it */
+    const speed = (aim.creep && distanceToBox(x, y, body.box()) <
+      CREEP_DISTANCE) ? this._creepSpeed : this._speed;
+    let diffX = aim.x - x;
+    let diffY = aim.y - y;
+    const dist = Math.sqrt((diffX * diffX) + (diffY * diffY));
+    const maxDist = speed * elapsed;
+    if (dist > maxDist) {
+      diffX *= maxDist / dist;
+      diffY *= maxDist / dist;
+    }
+    const area = areaOf(body);
+    this._posX = Math.min(area.width, Math.max(0, x + diffX));
+    this._posY = Math.min(area.height, Math.max(0, y + diffY));
+    this._velX = (this._posX - x) / elapsed;
+    this._velY = (this._posY - y) / elapsed;
+    return false;
+  }
+}
+
+/* the events of someone playing, which stop the attract mode */
+const ACTIVITY_EVENT_TYPES = ['pointerdown', 'pointermove', 'keydown', 'wheel'];
+
+/**
+ * Lets a {@link BotPlayer} play on the page when nobody has played for a
+ * while, to show what the game is. The bot's pointer is drawn as a cursor in
+ * the play area, and is given to the {@link ButtonGroup} just as the
+ * pointers of its own {@link MouseTracker} are. The bot stops as soon as
+ * someone moves a pointer, presses a key or turns the wheel anywhere on the
+ * page. Each time the bot starts, it plays with the next of the
+ * {@link BOT_STRATEGIES}.
+ */
+export class AttractMode {
+  /**
+   * Create a new AttractMode. It will start disabled, see
+   * {@link AttractMode#setEnabled}.
+   *
+   * @param {Element} container - The container of the buttons, which the
+   * cursor is drawn in. It is given the class "bot-cursor", and must be
+   * positioned absolutely relative to the container.
+   * @param {ButtonGroup} buttonGroup - The buttons to play with.
+   * @param {FrameScheduler} scheduler - The scheduler of the buttons.
+   * @param {function(boolean)} [runHandler] - A handler to call when the bot
+   * starts or stops playing, with whether it is playing.
+   * @param {Object} [options] - The options of the attract mode.
+   * @param {number} [options.idleTime=30000] - How long nobody has to play
+   * for before the bot starts, in milliseconds.
+   * @param {Object} [options.bot] - The options of the bot, see
+   * {@link BotPlayer#constructor}.
+   *
+   * @return {AttractMode} A new AttractMode.
+   *
+   * @throws {RangeError} If an option is out of range.
+   */
+  constructor (container, buttonGroup, scheduler, runHandler, options) {
+    options = Object.assign({ idleTime: 30000, bot: undefined }, options);
+    checkRange('idleTime', options.idleTime, 0, true, Infinity, false);
+    /* check the options of the bot straight away */
+    this._bot = new BotPlayer(BOT_STRATEGIES[0], options.bot);
+    this._botOptions = options.bot;
+    /* the strategy of the next time the bot plays */
+    this._nextStrategy = 0;
+    this._idleTime = options.idleTime;
+    this._idleTimeout = undefined;
+    this._enabled = false;
+    this._running = false;
+    this._frameCallback = this._playFrame.bind(this);
+    this._activityCallback = this._activity.bind(this);
+    this._startCallback = this._start.bind(this);
+
+    this._cursorEl = document.createElement('div');
+    this._cursorEl.classList.add('bot-cursor');
+    this._cursorEl.setAttribute('aria-hidden', 'true');
+
+    this._container = container;
+    this._buttonGroup = buttonGroup;
+    this._scheduler = scheduler;
+    this._runHandler = runHandler;
+
+    Object.seal(this);
+  }
+
+  /**
+   * Get whether the bot is playing.
+   *
+   * @return {boolean} Whether the bot is playing.
+   */
+  isRunning () {
+    return this._running;
+  }
+
+  /**
+   * Enable or disable the attract mode. When enabled, the bot starts once
+   * nobody has played for the idle time. When disabled, the bot stops
+   * straight away.
+   *
+   * @param {boolean} enabled - Whether to enable the attract mode.
+   */
+  setEnabled (enabled) {
+    if (enabled === this._enabled) {
+      return;
+    }
+    this._enabled = enabled;
+    for (const type of ACTIVITY_EVENT_TYPES) {
+      if (enabled) {
+        document.addEventListener(
+          type, this._activityCallback, { passive: true });
+      } else {
+        document.removeEventListener(type, this._activityCallback);
+      }
+    }
+    if (enabled) {
+      this._activity();
+    } else {
+      clearTimeout(this._idleTimeout);
+      this._idleTimeout = undefined;
+      this._stop();
+    }
+  }
+
+  /**
+   * Disable the attract mode, see {@link AttractMode#setEnabled}. The
+   * attract mode should no longer be used afterwards.
+   */
+  destroy () {
+    this.setEnabled(false);
+  }
+
+  _activity () {
+    /* someone is playing, so wait for them to stop again */
+    this._stop();
+    clearTimeout(this._idleTimeout);
+    this._idleTimeout = setTimeout(this._startCallback, this._idleTime);
+  }
+
+  _start () {
+    this._idleTimeout = undefined;
+    const strategy = BOT_STRATEGIES[this._nextStrategy];
+    this._nextStrategy = (this._nextStrategy + 1) % BOT_STRATEGIES.length;
+    this._bot = new BotPlayer(strategy, this._botOptions);
+    /* come in from the middle of the bottom */
+    this._bot.placeAt(
+      this._container.clientWidth / 2, this._container.clientHeight);
+    this._running = true;
+    this._drawCursor();
+    this._container.append(this._cursorEl);
+    this._scheduler.add(this._frameCallback);
+    if (this._runHandler !== undefined) {
+      this._runHandler(true);
+    }
+  }
+
+  _stop () {
+    if (!this._running) {
+      return;
+    }
+    this._running = false;
+    this._scheduler.remove(this._frameCallback);
+    this._cursorEl.remove();
+    this._buttonGroup.pointerEnded(this._bot);
+    if (this._runHandler !== undefined) {
+      this._runHandler(false);
+    }
+  }
+
+  _playFrame (now) {
+    const bot = this._bot;
+    const bodies = this._buttonGroup.buttons().map(function (button) {
+      return button.body();
+    });
+    if (bot.step(now, bodies)) {
+      this._buttonGroup.clickAt(bot.posX(), bot.posY());
+    } else {
+      this._buttonGroup.pointerMoved(bot);
+      this._drawCursor();
+    }
+  }
+
+  _drawCursor () {
+    this._cursorEl.style.left = String(Math.round(this._bot.posX())) + 'px';
+    this._cursorEl.style.top = String(Math.round(this._bot.posY())) + 'px';
+  }
+}
+
+/* a small seeded random number generator (mulberry32), so that a benchmark
+ * is repeatable */
+function seededRandom (seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let mix = Math.imul(state ^ (state >>> 15), state | 1);
+    mix ^= mix + Math.imul(mix ^ (mix >>> 7), mix | 61);
+    return ((mix ^ (mix >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function timeToClick (strategy, config, random, options) {
+  const sim = new GameSimulation(Object.assign(
+    {}, options.simulation, { config: config, random: random }));
+  const bot = new BotPlayer(strategy, options.bot);
+  /* start from a random place on the top or bottom edge */
+  const area = areaOf(sim.bodies()[0]);
+  bot.placeAt(
+    random() * area.width, (random() < 0.5) ? 0 : area.height);
+  let clickTime = NaN;
+  sim.run(function (time, bodies) {
+    if (!Number.isNaN(clickTime)) {
+      /* done, so there is no need to run until the timeout */
+      return null;
+    }
+    const click = bot.step(time, bodies);
+    if (click) {
+      clickTime = time;
+    }
+    return { time: time, x: bot.posX(), y: bot.posY(), click: click };
+  }, options.timeout);
+  return clickTime;
+}
+
+/**
+ * Measure how long a {@link BotPlayer} takes to click a button, for several
+ * tunings, without a browser. Each trial is a new {@link GameSimulation} with
+ * a single button at rest in the centre, and the bot starting from a random
+ * place on the top or bottom edge. Each tuning and strategy is given the same
+ * random numbers, so that the tunings are compared fairly.
+ *
+ * For example, in Node:
+ *
+ *   const results = benchmarkBot({
+ *     normal: {},
+ *     slippery: { accel: 10 }
+ *   }, { trials: 20 });
+ *   console.log(results.slippery.corner.meanTime);
+ *
+ * @param {Object} configs - The tunings to measure, by name. Each is the
+ * overrides of the default tuning, see `makeConfig` of the config module.
+ * @param {Object} [options] - The options of the benchmark.
+ * @param {string[]} [options.strategies] - The strategies to measure,
+ * defaults to all of the {@link BOT_STRATEGIES}.
+ * @param {number} [options.trials=10] - The number of trials for each
+ * tuning and strategy.
+ * @param {number} [options.timeout=30000] - How long a trial lasts without
+ * a click before it is given up, in milliseconds.
+ * @param {number} [options.seed=1] - The seed of the random numbers.
+ * @param {Object} [options.bot] - The options of the bot, see
+ * {@link BotPlayer#constructor}.
+ * @param {Object} [options.simulation] - Other options of each simulation,
+ * such as the size of the play area, see {@link GameSimulation#constructor}.
+ *
+ * @return {Object} The results, by the name of the tuning then the strategy.
+ * Each has the *meanTime* to click, in milliseconds, over the trials that
+ * clicked, or NaN if none did, along with the number of trials that
+ * *clicked* and the number of *trials*.
+ *
+ * @throws {Error} If a config option or strategy is not known.
+ * @throws {RangeError} If an option is out of range.
+ */
+export function benchmarkBot (configs, options) {
+  options = Object.assign({
+    strategies: BOT_STRATEGIES,
+    trials: 10,
+    timeout: 30000,
+    seed: 1,
+    bot: undefined,
+    simulation: undefined
+  }, options);
+  checkRange('trials', options.trials, 1, true, Infinity, false);
+  checkRange('timeout', options.timeout, 0, false, Infinity, false);
+  const results = {};
+  for (const name of Object.keys(configs)) {
+    results[name] = {};
+    for (const strategy of options.strategies) {
+      const random = seededRandom(options.seed);
+      let total = 0;
+      let clicked = 0;
+      for (let trial = 0; trial < options.trials; trial++) {
+        const time = timeToClick(strategy, configs[name], random, options);
+        if (!Number.isNaN(time)) {
+          total += time;
+          clicked++;
+        }
+      }
+      results[name][strategy] = {
+        meanTime: (clicked === 0) ? NaN : total / clicked,
+        clicked: clicked,
+        trials: options.trials
+      };
+    }
+  }
+  return results;
+}
@@ -0,0 +1,1346 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { makeConfig } from './config.mjs';
+import { getBorderWidth } from './dom.mjs';
+import {
+  ButtonBody, ButtonWorld, checkRange, obstacleLayout
+} from './physics.mjs';
+import { MouseTracker } from './tracker.mjs';
+
+function clearButtonState (el) {
+  /* the classes and position given by a MovingButton, or its group */
+  el.classList.remove(
+    'shiny', 'alert', 'alert-fade', 'done', 'shape-round', 'shape-pill');
+  el.style.removeProperty('left');
+  el.style.removeProperty('top');
+  if (el.getAttribute('style') === '') {
+    el.removeAttribute('style');
+  }
+}
+
+/**
+ * A button that will try to move away from the pointer.
+ *
+ * This draws a {@link ButtonBody} with an element. The button does not drive
+ * its own motion or listen for its own clicks. Instead, a {@link ButtonGroup}
+ * passes it the pointers and clicks, and regularly updates its motion whilst
+ * it is moving.
+ *
+ * The button dispatches a `CustomEvent` on its element, which bubbles and
+ * leaves any shadow root, for each of:
+ *
+ * - "push": a pointer pushed the button. The detail also has the *pointerX*
+ *   and *pointerY* position of the pointer, the *side* of the button it
+ *   entered from, and its velocity relative to the button before the push,
+ *   *relVelX* and *relVelY*, see `ButtonBody#lastContact` of the physics
+ *   module.
+ * - "bounce": the button bounced off a wall or an obstacle. The detail also
+ *   has the *wall*, which is "left", "right", "top", "bottom" or "obstacle",
+ *   the *speed* the button hit it with, and the *contactX* and *contactY*
+ *   position of the middle of the side that hit it. The bounces are
+ *   dispatched once the motion of the frame they happened in has been
+ *   updated.
+ * - "clicked": the button was clicked. The detail also has the *pointerX* and
+ *   *pointerY* position of the click, and the *clickTime* since the button
+ *   last went shiny in milliseconds, which is NaN if it has not gone shiny
+ *   since the last click.
+ * - "stopped": the button stopped moving, and went shiny.
+ * - "alertend": the button is no longer on alert after a click.
+ *
+ * The detail of every event has the *x* and *y* position of the top left of
+ * the button, as drawn, and its *velX* and *velY* velocity afterwards, in the
+ * coordinates of the container's padding area. It also has the *time* of the
+ * event on the scheduler's clock, in milliseconds.
+ */
+export class MovingButton {
+  /**
+   * Create a new MovingButton, placed in the centre of its container.
+   *
+   * @param {Element} button - The button element that will move. This must be
+   * positioned absolutely relative to its container. If its dimensions
+   * change, {@link MovingButton#resize} should be called.
+   * @param {Element} container - The element that the button will be contained
+   * within. It must be positioned and its border width must remain fixed. If
+   * its dimensions change, {@link MovingButton#resize} should be called.
+   * @param {FrameScheduler} scheduler - The scheduler whose clock the motion
+   * of the button is timed with.
+   * @param {function(): number} random - A function that returns a random
+   * number in the interval [0, 1), like `Math.random`.
+   * @param {function(MovingButton)} motionHandler - A handler to call every
+   * time the button is given a new velocity. {@link MovingButton#_updateMotion}
+   * should then be called regularly until the button stops moving.
+   * @param {function(MovingButton, string)} playHandler - A handler to call
+   * every time the button is successfully clicked, or pushed by a pointer. It
+   * is given the button and either "click" or "push".
+   * @param {Object} [config] - Overrides of the default tuning, see
+   * `makeConfig` of the config module.
+   *
+   * @return {MovingButton} A new MovingButton.
+   *
+   * @throws {Error} If an option of the config is not known.
+   * @throws {RangeError} If an option of the config is out of range.
+   */
+  constructor (
+    button, container, scheduler, random, motionHandler, playHandler,
+    config) {
+    this._button = button;
+    this._scheduler = scheduler;
+    this._config = makeConfig(config);
+
+    /* assume fixed border width of the container. The width and height of
+     * the button and container are given to resize when they change */
+    const bottomW = getBorderWidth(container, 'bottom');
+    const topW = getBorderWidth(container, 'top');
+    const leftW = getBorderWidth(container, 'left');
+    const rightW = getBorderWidth(container, 'right');
+    const rectBtn = button.getBoundingClientRect();
+    const rectCont = container.getBoundingClientRect();
+
+    this._body = new ButtonBody(
+      rectBtn.width, rectBtn.height,
+      rectCont.width - leftW - rightW, rectCont.height - topW - bottomW,
+      this._config, random, this._bounced.bind(this), scheduler.now());
+    this._moving = false;
+    this._motionHandler = motionHandler;
+
+    /* simulation time of when the alert ends, timed with the scheduler so
+     * that it pauses with the game and can be replayed */
+    this._alertEndTime = NaN;
+    this._alertCallback = this._updateAlert.bind(this);
+    this._playHandler = playHandler;
+    /* a copied element may still have the state of the original */
+    this._button.classList.remove('alert', 'alert-fade', 'done');
+
+    /* simulation time of when the button last went shiny, or NaN if it has
+     * been clicked since */
+    this._shinyTime = NaN;
+    /* the bounces since the motion was last updated, to dispatch once it
+     * has been */
+    this._bounces = [];
+
+    /* shiny to tempt the user! */
+    this._goShiny();
+    this._renderShape();
+    this._render();
+
+    Object.seal(this);
+
+    /* such as to fall in a field */
+    this._startIfMoving();
+  }
+
+  _goShiny () {
+    this._button.classList.remove('alert-fade');
+    this._button.classList.add('shiny');
+    this._shinyTime = this._scheduler.now();
+  }
+
+  _dispatch (type, detail) {
+    const body = this._body;
+    this._button.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      /* out of a shadow root, such as that of <clicking-game> */
+      composed: true,
+      detail: Object.assign({
+        x: body.leftPos(),
+        y: body.topPos(),
+        velX: body.velX(),
+        velY: body.velY(),
+        time: this._scheduler.now()
+      }, detail)
+    }));
+  }
+
+  _bounced (wall, vel, contact) {
+    this._bounces.push({
+      wall: wall,
+      speed: Math.abs(vel),
+      contactX: contact.x,
+      contactY: contact.y
+    });
+  }
+
+  _dispatchBounces () {
+    const bounces = this._bounces;
+    this._bounces = [];
+    for (const bounce of bounces) {
+      this._dispatch('bounce', bounce);
+    }
+  }
+
+  _alertEnd () {
+    if (this._button.classList.contains('alert')) {
+      this._button.classList.remove('alert');
+      this._button.classList.add('alert-fade');
+      this._dispatch('alertend');
+    }
+    this._scheduler.remove(this._alertCallback);
+    this._alertEndTime = NaN;
+    this._body.setHitImmune(false);
+  }
+
+  _updateAlert (now) {
+    if (now >= this._alertEndTime) {
+      this._alertEnd();
+    }
+  }
+
+  /**
+   * Get the element of the button.
+   *
+   * @return {Element} The button element.
+   */
+  element () {
+    return this._button;
+  }
+
+  /**
+   * Get the physics of the button.
+   *
+   * @return {ButtonBody} The physics of the button.
+   */
+  body () {
+    return this._body;
+  }
+
+  /**
+   * Get whether the button is moving.
+   *
+   * @return {boolean} Whether the button is moving.
+   */
+  isMoving () {
+    return this._moving;
+  }
+
+  /**
+   * Change the tuning of the button. If the button is moving, it continues
+   * from where it is.
+   *
+   * @param {Object} config - The new tuning, as returned by `makeConfig` of
+   * the config module.
+   */
+  setConfig (config) {
+    this._config = config;
+    this._body.setConfig(config, this._scheduler.now());
+    this._renderShape();
+    this._startIfMoving();
+  }
+
+  /**
+   * Change the size of the button and its container. The button keeps its
+   * position and velocity relative to the room it has to move in. If the
+   * button is moving, it continues from where it is.
+   *
+   * @param {number} width - The new width of the button.
+   * @param {number} height - The new height of the button.
+   * @param {number} areaWidth - The new width of the container's padding
+   * area.
+   * @param {number} areaHeight - The new height of the container's padding
+   * area.
+   *
+   * @throws {RangeError} If the button does not fit in its container.
+   */
+  resize (width, height, areaWidth, areaHeight) {
+    this._body.resize(
+      width, height, areaWidth, areaHeight, this._scheduler.now());
+    this._render();
+    this._startIfMoving();
+  }
+
+  /**
+   * Move the button to a new position. The button must not be moving.
+   *
+   * @param {number} leftPos - The new position of the left of the button, in
+   * the coordinates of the container's padding area.
+   * @param {number} topPos - The new position of the top of the button, in
+   * the coordinates of the container's padding area.
+   *
+   * @throws {RangeError} If the button would not be within its container.
+   */
+  moveTo (leftPos, topPos) {
+    this._body.moveTo(leftPos, topPos);
+    this._render();
+  }
+
+  /**
+   * Get the state of the button, such as to save it and carry on with it
+   * later, see {@link MovingButton#restoreState}. The state can be stored as
+   * JSON. The button should first be updated to the current time.
+   *
+   * @return {Object} The state of the motion of the *body*, see
+   * `ButtonBody#saveState` of the physics module, along with the
+   * *shinyTime* that the button went shiny and the *alertEndTime* of its
+   * alert after a click. Both times are in milliseconds relative to now, or
+   * null if the button is not shiny, or not on alert.
+   */
+  saveState () {
+    const now = this._scheduler.now();
+    return {
+      body: this._body.saveState(now),
+      shinyTime: Number.isNaN(this._shinyTime)
+        ? null : this._shinyTime - now,
+      alertEndTime: Number.isNaN(this._alertEndTime)
+        ? null : this._alertEndTime - now
+    };
+  }
+
+  /**
+   * Carry on from a state given by {@link MovingButton#saveState}. A moving
+   * button calls its *motionHandler*, as when it is given a new velocity.
+   * The room the button has to move in may have changed size since, see
+   * `ButtonBody#restoreState` of the physics module.
+   *
+   * @param {Object} state - The state to restore.
+   *
+   * @throws {TypeError} If a value of the state has the wrong type.
+   * @throws {RangeError} If a value of the state is out of range.
+   */
+  restoreState (state) {
+    const now = this._scheduler.now();
+    /* a time of the state relative to now, or NaN for null */
+    function stateTime (name, lower, upper) {
+      const time = state[name];
+      if (time === null) {
+        return NaN;
+      }
+      checkRange(name, time, lower, true, upper, true);
+      return now + time;
+    }
+    const shinyTime = stateTime('shinyTime', -Infinity, 0);
+    const alertEndTime = stateTime('alertEndTime', -Infinity, Infinity);
+    this._body.restoreState(state.body, now);
+
+    this._bounces = [];
+    this._button.classList.remove('shiny', 'alert', 'alert-fade');
+    this._scheduler.remove(this._alertCallback);
+    this._shinyTime = shinyTime;
+    if (!Number.isNaN(shinyTime)) {
+      this._button.classList.add('shiny');
+    }
+    this._alertEndTime = alertEndTime;
+    if (!Number.isNaN(alertEndTime)) {
+      this._button.classList.add('alert');
+      this._scheduler.add(this._alertCallback);
+    }
+    this._moving = false;
+    if (this._body.isMoving()) {
+      this._startMoving();
+    }
+    this._render();
+  }
+
+  /**
+   * Stop the button, removing its callback from the scheduler and forgetting
+   * its pointers, and clear the classes and position it gave its element.
+   * The element is left in its container. The button should no longer be
+   * used afterwards.
+   */
+  destroy () {
+    this._scheduler.remove(this._alertCallback);
+    this._body.clearPointers();
+    this._moving = false;
+    this._bounces = [];
+    clearButtonState(this._button);
+  }
+
+  /**
+   * Destroy the button, see {@link MovingButton#destroy}, and remove its
+   * element from its container.
+   */
+  remove () {
+    this.destroy();
+    this._button.remove();
+  }
+
+  /**
+   * Click the button at the given position, as if a pointer had clicked it
+   * there. Nothing happens if the position is not over the button.
+   *
+   * @param {number} posX - The horizontal position of the click, in the
+   * coordinates of the container's padding area.
+   * @param {number} posY - The vertical position of the click, in the
+   * coordinates of the container's padding area.
+   *
+   * @return {boolean} Whether the position was over the button.
+   */
+  clickAt (posX, posY) {
+    const body = this._body;
+    if (!body.isOver(posX, posY)) {
+      return false;
+    }
+    const box = body.box();
+    /* relative to the centre of the button */
+    this._escapeFrom(
+      posX - body.leftPos() - (box.width / 2),
+      posY - body.topPos() - (box.height / 2));
+    return true;
+  }
+
+  _escapeFrom (posX, posY) {
+    /* posX and posY are relative to the centre of the button */
+    const now = this._scheduler.now();
+    const body = this._body;
+    const box = body.box();
+    /* NaN if not shiny since the last click */
+    const clickTime = now - this._shinyTime;
+
+    this._shinyTime = NaN;
+    this._playHandler(this, 'click');
+
+    body.escapeFrom(posX, posY, now);
+    this._startMoving();
+    this._dispatch('clicked', {
+      pointerX: body.leftPos() + (box.width / 2) + posX,
+      pointerY: body.topPos() + (box.height / 2) + posY,
+      clickTime: clickTime
+    });
+
+    /* on alert */
+    this._button.classList.remove('alert-fade');
+    this._button.classList.add('alert');
+    this._alertEndTime = now + this._config.alertTime;
+    this._scheduler.add(this._alertCallback);
+  }
+
+  _endPointer (pointer) {
+    this._body.endPointer(pointer, this._scheduler.now());
+    this._startIfMoving();
+  }
+
+  _detectHit (pointer) {
+    if (this._body.detectHit(pointer, this._scheduler.now())) {
+      this._startMoving();
+      this._playHandler(this, 'push');
+      const contact = this._body.lastContact();
+      this._dispatch('push', {
+        pointerX: pointer.posX(),
+        pointerY: pointer.posY(),
+        side: contact.side,
+        relVelX: contact.relVelX,
+        relVelY: contact.relVelY
+      });
+      /* any bounces on the way from the push to now */
+      this._dispatchBounces();
+    } else {
+      /* such as when pulled towards the pointer */
+      this._startIfMoving();
+    }
+  }
+
+  _renderShape () {
+    /* the shape can change the size of the button, which is then passed to
+     * resize */
+    for (const shape of ['round', 'pill']) {
+      this._button.classList.toggle(
+        'shape-' + shape, this._config.shape === shape);
+    }
+  }
+
+  _render () {
+    const body = this._body;
+    this._button.style.left = String(body.leftPos()) + 'px';
+    this._button.style.top = String(body.topPos()) + 'px';
+  }
+
+  _updateMotion (now) {
+    /* the body has already been moved to the current time, including any
+     * collisions that started or stopped its motion */
+    const moving = this._body.isMoving();
+    this._render();
+    this._dispatchBounces();
+    if (moving && !this._moving) {
+      this._startMoving();
+    } else if (!moving && this._moving) {
+      this._moving = false;
+      /* when the button stops moving, go shiny again */
+      this._goShiny();
+      this._dispatch('stopped');
+    }
+
+    for (const pointer of this._body.pointers()) {
+      this._detectHit(pointer);
+    }
+  }
+
+  _startIfMoving () {
+    /* start moving without a new velocity, such as when a field pulls the
+     * button from rest */
+    if (!this._moving && this._body.isMoving()) {
+      this._startMoving();
+    }
+  }
+
+  _startMoving () {
+    /* stop being shiny when we move */
+    this._button.classList.remove('shiny');
+    this._moving = true;
+    this._motionHandler(this);
+  }
+}
+
+/**
+ * A group of {@link MovingButton} that share a container. The buttons are
+ * pushed by the same pointers and collide with each other.
+ *
+ * The group can also run a "click them all" round, in which every button must
+ * be clicked before the time runs out.
+ *
+ * All the input of the pointer events and the clicks passes through
+ * {@link ButtonGroup#applyInput}, so that it can be recorded and replayed.
+ *
+ * The group follows the size of the container and of the buttons as the page
+ * is resized. The buttons keep their place relative to the container, and
+ * carry on moving, rather than being reset.
+ *
+ * The group also draws the obstacles of the *obstacles* layout of its config
+ * in the container, which the buttons rebound from. The obstacles are sized
+ * with the container.
+ *
+ * A button that stops against a wall in the "absorb" mode of the config is
+ * lost, and taken out of the group. If it had still to be clicked in a
+ * "click them all" round, the round is lost. When the last button is lost, a
+ * new button is placed in the centre.
+ */
+export class ButtonGroup {
+  /**
+   * Create a new ButtonGroup with a single button.
+   *
+   * @param {Element} templateButton - The element of the first button. More
+   * buttons are created by copying this element. See
+   * {@link MovingButton#constructor} for the requirements.
+   * @param {Element} container - The element that the buttons will be
+   * contained within. See {@link MovingButton#constructor} for the
+   * requirements.
+   * @param {Element} trackingArea - The element that will track the pointer
+   * movement of the user. This should cover the *container* area.
+   * @param {FrameScheduler} scheduler - The scheduler to update the motion of
+   * the buttons with.
+   * @param {ScoreKeeper} [scoreKeeper] - The score keeper to count the clicks,
+   * pushes and bounces of the buttons with.
+   * @param {Object} [config] - Overrides of the default tuning, see
+   * `makeConfig` of the config module.
+   *
+   * @return {ButtonGroup} A new ButtonGroup.
+   *
+   * @throws {Error} If an option of the config is not known.
+   * @throws {RangeError} If an option of the config is out of range.
+   */
+  constructor (
+    templateButton, container, trackingArea, scheduler, scoreKeeper,
+    config) {
+    this._templateButton = templateButton;
+    this._config = makeConfig(config);
+    this._container = container;
+    this._scheduler = scheduler;
+    this._scoreKeeper = scoreKeeper;
+    this._buttons = [];
+    this._moving = false;
+    this._motionCallback = this._updateMotion.bind(this);
+    this._clickListener = this._inputFromClick.bind(this);
+    /* globalTime of the last motion update, in seconds */
+    this._lastUpdateTime = NaN;
+    /* see updateCounts */
+    this._motionCount = 0;
+    this._pointerCount = 0;
+    /* the physics of the buttons */
+    this._world = new ButtonWorld();
+    /* the elements of the obstacles */
+    this._obstacleEls = [];
+    this._random = Math.random;
+    this._randomCallback = this._drawRandom.bind(this);
+    /* records the live input, if any */
+    this._recorder = undefined;
+    /* whether the live input is dropped for a replay */
+    this._replaying = false;
+    this._playHandler = undefined;
+    /* how close to a button a missed click counts as a near miss */
+    this._nearMissDistance = 30;
+    /* the size of the container's padding area that the buttons move
+     * within */
+    this._areaSize = this.areaSize();
+    /* watches the container and the buttons for a change in size */
+    this._resizeObserver = new ResizeObserver(
+      this._inputFromResize.bind(this));
+
+    /* the current "click them all" round */
+    this._roundButtons = new Set();
+    /* simulation time of the end of the round, in milliseconds */
+    this._roundEndTime = NaN;
+    this._roundCallback = this._updateRound.bind(this);
+    this._roundHandler = undefined;
+
+    this._mouseTracker = new MouseTracker(
+      trackingArea, container, scheduler, this.pointerMoved.bind(this),
+      this.pointerEnded.bind(this), this._liveInput.bind(this),
+      this._config);
+
+    Object.seal(this);
+
+    /* the clicks of all the buttons */
+    container.addEventListener('click', this._clickListener);
+    if (scoreKeeper !== undefined) {
+      /* counts from the events of the buttons */
+      scoreKeeper.watch(container);
+    }
+    this._resizeObserver.observe(container);
+
+    this._layoutObstacles();
+    this._addButton(templateButton);
+  }
+
+  /**
+   * Stop the group and put its container back as it was. The buttons that
+   * the group added and the obstacles are removed, and the first button is
+   * put back in its place without the state of the game. Every listener,
+   * observer and scheduler callback of the group, and of its
+   * {@link MouseTracker}, is removed. Any recording or replay of the group
+   * should be stopped first. The group should no longer be used afterwards.
+   */
+  destroy () {
+    this.stopRound();
+    this._scheduler.remove(this._motionCallback);
+    this._moving = false;
+    this._mouseTracker.destroy();
+    this._resizeObserver.disconnect();
+    this._container.removeEventListener('click', this._clickListener);
+    if (this._scoreKeeper !== undefined) {
+      this._scoreKeeper.unwatch(this._container);
+    }
+    const template = this._templateButton;
+    /* the first button is a copy after the buttons were reset */
+    const first = this._buttons[0].element();
+    if (first !== template) {
+      first.before(template);
+      clearButtonState(template);
+    }
+    for (const button of this._buttons) {
+      this._world.remove(button.body());
+      if (button.element() === template) {
+        button.destroy();
+      } else {
+        button.remove();
+      }
+    }
+    this._buttons = [];
+    for (const el of this._obstacleEls) {
+      el.remove();
+    }
+    this._obstacleEls = [];
+  }
+
+  /**
+   * Get the tuning of the buttons.
+   *
+   * @return {Object} The complete config, see `makeConfig` of the config
+   * module.
+   */
+  config () {
+    return this._config;
+  }
+
+  /**
+   * Change the tuning of the buttons. Any moving buttons continue from where
+   * they are. The change is recorded, like the input of
+   * {@link ButtonGroup#applyInput}.
+   *
+   * @param {Object} config - Overrides of the default tuning, see
+   * `makeConfig` of the config module.
+   *
+   * @throws {Error} If an option of the config is not known.
+   * @throws {RangeError} If an option of the config is out of range.
+   */
+  setConfig (config) {
+    config = makeConfig(config);
+    /* change every button at the same time, so that it can be replayed */
+    this._scheduler.hold(this._applyConfig.bind(this, config));
+  }
+
+  /**
+   * Set a handler to call every time the player pushes or clicks a button,
+   * or nearly clicks one, or a "click them all" round ends, or a button is
+   * lost to an absorbing wall. This is not called whilst replaying.
+   *
+   * @param {function(string)} [playHandler] - The handler, which is given
+   * "push", "click", "nearmiss", "roundend" or "lost". Or undefined to remove
+   * the handler.
+   */
+  setPlayHandler (playHandler) {
+    this._playHandler = playHandler;
+  }
+
+  /**
+   * Get the number of buttons in the group.
+   *
+   * @return {number} The number of buttons.
+   */
+  buttonCount () {
+    return this._buttons.length;
+  }
+
+  /**
+   * Get the buttons of the group, such as to inspect their physics.
+   *
+   * @return {MovingButton[]} The buttons, from the bottom to the top.
+   */
+  buttons () {
+    return this._buttons.slice();
+  }
+
+  /**
+   * Get how many times the motion of the buttons has been updated, and how
+   * many times a pointer has moved, since the group was created. These can
+   * be sampled to find their rates.
+   *
+   * @return {Object} The *motion* and *pointer* counts.
+   */
+  updateCounts () {
+    return { motion: this._motionCount, pointer: this._pointerCount };
+  }
+
+  /**
+   * Set the number of buttons in the group. New buttons are placed away from
+   * the existing buttons, if there is room. Any "click them all" round is
+   * stopped.
+   *
+   * @param {number} count - The new number of buttons. Must be a positive
+   * integer.
+   *
+   * @throws {RangeError} If the count is out of range.
+   */
+  setButtonCount (count) {
+    this._checkCount(count);
+    if (this._recorder !== undefined) {
+      this._recorder.recordInput({ type: 'buttoncount', count: count });
+    }
+    this.stopRound();
+    const buttons = this._buttons;
+    while (buttons.length > count) {
+      this._removeButton(buttons.pop());
+    }
+    while (buttons.length < count) {
+      const el = this._templateButton.cloneNode(true);
+      el.removeAttribute('id');
+      buttons[buttons.length - 1].element().after(el);
+      const button = this._addButton(el);
+      this._placeApart(button);
+    }
+  }
+
+  /**
+   * Replace all the buttons with new buttons at rest, with the first in the
+   * centre, and forget all the pointers. Any "click them all" round is
+   * stopped.
+   *
+   * @param {number} count - The new number of buttons. Must be a positive
+   * integer.
+   *
+   * @throws {RangeError} If the count is out of range.
+   */
+  resetButtons (count) {
+    this._checkCount(count);
+    this.stopRound();
+    this._mouseTracker.endPointers();
+    const first = this._templateButton.cloneNode(true);
+    first.removeAttribute('id');
+    this._buttons[0].element().before(first);
+    for (const button of this._buttons) {
+      this._removeButton(button);
+    }
+    this._buttons = [];
+    this._addButton(first);
+    this.setButtonCount(count);
+  }
+
+  /**
+   * Get the state of the buttons, such as to save it when the page is
+   * unloaded and carry on with the game when it is loaded again, see
+   * {@link ButtonGroup#restoreState}. The state can be stored as JSON. Any
+   * moving buttons are first brought up to now. The pointers and any "click
+   * them all" round are not part of the state.
+   *
+   * @return {Object} The state of each of the *buttons*, from the bottom to
+   * the top, see {@link MovingButton#saveState}.
+   */
+  saveState () {
+    const group = this;
+    let state;
+    /* every button at the same time */
+    this._scheduler.hold(function () {
+      if (group._moving) {
+        group._updateMotion(group._scheduler.now());
+      }
+      state = {
+        buttons: group._buttons.map(function (button) {
+          return button.saveState();
+        })
+      };
+    });
+    return state;
+  }
+
+  /**
+   * Carry on with the buttons of a state given by
+   * {@link ButtonGroup#saveState}, as if they had never stopped. The
+   * number of buttons is changed to match, and any "click them all" round is
+   * stopped. The buttons keep the size and tuning of the group. If the
+   * container was a different size, each button keeps its position and
+   * velocity relative to the room it has to move in. This is not recorded,
+   * so should not be used whilst recording.
+   *
+   * Each button is checked before it is changed, but the buttons before a
+   * button with a bad state will already have been restored. The buttons
+   * could then be reset with {@link ButtonGroup#resetButtons}.
+   *
+   * @param {Object} state - The state to restore.
+   *
+   * @throws {TypeError} If the state, or a value of it, has the wrong type.
+   * @throws {RangeError} If a value of the state is out of range.
+   */
+  restoreState (state) {
+    if (typeof state !== 'object' || state === null ||
+        !Array.isArray(state.buttons)) {
+      throw new TypeError('state must have the buttons');
+    }
+    const states = state.buttons;
+    this._checkCount(states.length);
+    this.stopRound();
+    this._mouseTracker.endPointers();
+    const group = this;
+    this._scheduler.hold(function () {
+      if (group._moving) {
+        /* the restored motion carries on from now */
+        group._updateMotion(group._scheduler.now());
+      }
+      group.setButtonCount(states.length);
+      for (let i = 0; i < states.length; i++) {
+        group._buttons[i].restoreState(states[i]);
+      }
+    });
+  }
+
+  /**
+   * Get the size of the container's padding area, which the buttons move
+   * within.
+   *
+   * @return {Object} The *width* and *height* of the area.
+   */
+  areaSize () {
+    const rect = this._container.getBoundingClientRect();
+    return {
+      width: rect.width - getBorderWidth(this._container, 'left') -
+        getBorderWidth(this._container, 'right'),
+      height: rect.height - getBorderWidth(this._container, 'top') -
+        getBorderWidth(this._container, 'bottom')
+    };
+  }
+
+  /**
+   * Set the size of the container's padding area, which the buttons move
+   * within. The container is sized by its border box, so its border is
+   * added. The buttons follow the new size once the page has been laid out.
+   *
+   * @param {number} width - The new width of the area, in pixels.
+   * @param {number} height - The new height of the area, in pixels.
+   */
+  setAreaSize (width, height) {
+    const container = this._container;
+    container.style.width = String(width +
+      getBorderWidth(container, 'left') +
+      getBorderWidth(container, 'right')) + 'px';
+    container.style.height = String(height +
+      getBorderWidth(container, 'top') +
+      getBorderWidth(container, 'bottom')) + 'px';
+  }
+
+  /**
+   * Set the function to draw the random numbers of the buttons with, such as
+   * the direction to escape in when clicked in the centre.
+   *
+   * @param {function(): number} random - A function that returns a random
+   * number in the interval [0, 1), like `Math.random`.
+   */
+  setRandom (random) {
+    this._random = random;
+  }
+
+  /**
+   * Set the recorder to pass all the live input to, before it is applied.
+   *
+   * @param {Object} [recorder] - The recorder, which must have a
+   * `recordInput` method that is given each input. Or undefined to stop
+   * recording.
+   */
+  setRecorder (recorder) {
+    this._recorder = recorder;
+  }
+
+  /**
+   * Set whether the group is replaying a recorded session. Whilst replaying,
+   * the live input is dropped and only the input given to
+   * {@link ButtonGroup#applyInput} is used. The current pointers are
+   * forgotten when switching.
+   *
+   * @param {boolean} replaying - Whether the group is replaying.
+   */
+  setReplaying (replaying) {
+    this._replaying = replaying;
+    this._mouseTracker.endPointers();
+  }
+
+  /**
+   * Apply the input of a pointer event or click.
+   *
+   * @param {Object} input - The input to apply. This is either the input of
+   * a pointer event, see {@link MouseTracker#input}, a "click" of a button
+   * with the *button* index and the *x* and *y* position relative to its
+   * centre, a "buttoncount" change with the new *count*, a "config" change
+   * with the new *config*, or an "area" change with the new *width* and
+   * *height* of the container's padding area and the new size of the
+   * *buttons*, each with a *width* and *height*. Whilst replaying, an "area"
+   * change also resizes the container.
+   *
+   * @throws {Error} If the type of the input is not known.
+   * @throws {RangeError} If the input is out of range.
+   */
+  applyInput (input) {
+    if (input.type === 'click') {
+      checkRange(
+        'button', input.button, 0, true, this._buttons.length, false);
+      this._buttons[input.button]._escapeFrom(input.x, input.y);
+    } else if (input.type === 'buttoncount') {
+      this.setButtonCount(input.count);
+    } else if (input.type === 'config') {
+      this.setConfig(input.config);
+    } else if (input.type === 'area') {
+      this._resizeArea(input);
+    } else {
+      this._mouseTracker.input(input);
+    }
+  }
+
+  _liveInput (input) {
+    if (this._replaying) {
+      return;
+    }
+    /* apply the whole input at a single time, so that it can be recorded
+     * and replayed at that time */
+    this._scheduler.hold(this._recordAndApply.bind(this, input));
+  }
+
+  _recordAndApply (input) {
+    if (this._recorder !== undefined) {
+      this._recorder.recordInput(input);
+    }
+    this.applyInput(input);
+  }
+
+  _inputFromClick (ev) {
+    const index = this._buttons.findIndex(function (button) {
+      return button.element().contains(ev.target);
+    });
+    if (index === -1) {
+      if (ev.target === this._container) {
+        /* translate from the client to the padding area of the container */
+        const rect = this._container.getBoundingClientRect();
+        this._checkNearMiss(
+          ev.clientX - rect.x - getBorderWidth(this._container, 'left'),
+          ev.clientY - rect.y - getBorderWidth(this._container, 'top'));
+      }
+      return;
+    }
+    const rect = this._buttons[index].element().getBoundingClientRect();
+    /* mouse position relative to the centre of the button */
+    let posX;
+    let posY;
+    if (ev.clientX === 0 && ev.clientY === 0) {
+      /* assume this means that the event was triggered by a non-pointer click
+       * (such as 'Enter' when in focus). This can technically be triggered by a
+       * pointer click, but this is rare and the consequences are not that bad
+       * (the button will go in a random direction, rather than away from the
+       * pointer */
+      posX = 0;
+      posY = 0;
+    } else {
+      posX = (ev.clientX - rect.x) - (rect.width / 2);
+      posY = (ev.clientY - rect.y) - (rect.height / 2);
+    }
+    this._liveInput({ type: 'click', button: index, x: posX, y: posY });
+  }
+
+  _inputFromResize () {
+    const size = this.areaSize();
+    const buttons = this._buttons.map(function (button) {
+      const rect = button.element().getBoundingClientRect();
+      return { width: rect.width, height: rect.height };
+    });
+    /* the observer also reports the size of an element when it starts
+     * observing it */
+    let changed = (size.width !== this._areaSize.width ||
+      size.height !== this._areaSize.height);
+    for (let i = 0; i < buttons.length; i++) {
+      const box = this._buttons[i].body().box();
+      if (buttons[i].width !== box.width || buttons[i].height !== box.height) {
+        changed = true;
+      }
+      if (Math.floor(size.width - buttons[i].width) <= 0 ||
+          Math.floor(size.height - buttons[i].height) <= 0) {
+        /* hidden, or too small to play in */
+        return;
+      }
+    }
+    if (changed) {
+      this._liveInput({
+        type: 'area', width: size.width, height: size.height, buttons: buttons
+      });
+    }
+  }
+
+  _resizeArea (input) {
+    const buttons = this._buttons;
+    if (input.buttons.length !== buttons.length) {
+      throw new RangeError('Area change has ' +
+        String(input.buttons.length) + ' button sizes but there are ' +
+        String(buttons.length) + ' buttons');
+    }
+    if (this._replaying) {
+      /* show the recorded size */
+      this.setAreaSize(input.width, input.height);
+    }
+    if (this._moving) {
+      /* bring the buttons up to now, at the old size */
+      this._updateMotion(this._scheduler.now());
+    }
+    this._areaSize = { width: input.width, height: input.height };
+    this._layoutObstacles();
+    for (let i = 0; i < buttons.length; i++) {
+      buttons[i].resize(
+        input.buttons[i].width, input.buttons[i].height, input.width,
+        input.height);
+    }
+  }
+
+  _applyConfig (config) {
+    if (this._recorder !== undefined) {
+      this._recorder.recordInput({ type: 'config', config: config });
+    }
+    const newLayout = (config.obstacles !== this._config.obstacles);
+    const oldConfig = this._config;
+    const newMotion = [
+      'leftWall', 'rightWall', 'topWall', 'bottomWall', 'field', 'fieldAccel'
+    ].some(function (name) {
+      return config[name] !== oldConfig[name];
+    });
+    if ((newLayout || newMotion) && this._moving) {
+      /* bring the buttons up to now, with the old obstacles, walls and
+       * field */
+      this._updateMotion(this._scheduler.now());
+    }
+    this._config = config;
+    this._mouseTracker.setConfig(config);
+    for (const button of this._buttons) {
+      button.setConfig(config);
+    }
+    if (newLayout) {
+      this._layoutObstacles();
+    }
+  }
+
+  _layoutObstacles () {
+    const size = this._areaSize;
+    const obstacles = obstacleLayout(
+      this._config.obstacles, size.width, size.height);
+    this._world.setObstacles(obstacles);
+    for (const el of this._obstacleEls) {
+      el.remove();
+    }
+    this._obstacleEls = obstacles.map(function (obstacle) {
+      /* decorative, like the buttons */
+      const el = document.createElement('div');
+      el.classList.add('obstacle');
+      el.setAttribute('aria-hidden', 'true');
+      el.style.left = String(obstacle.x) + 'px';
+      el.style.top = String(obstacle.y) + 'px';
+      el.style.width = String(obstacle.width) + 'px';
+      el.style.height = String(obstacle.height) + 'px';
+      return el;
+    });
+    /* drawn below the buttons */
+    this._container.prepend(...this._obstacleEls);
+  }
+
+  _checkNearMiss (posX, posY) {
+    const distance = this._nearMissDistance;
+    for (const button of this._buttons) {
+      const box = button.body().box();
+      /* distance from the box along each axis, zero if within it */
+      const distX = Math.max(box.x - posX, 0, posX - box.x - box.width);
+      const distY = Math.max(box.y - posY, 0, posY - box.y - box.height);
+      if ((distX * distX) + (distY * distY) <= distance * distance) {
+        this._report('nearmiss');
+        return;
+      }
+    }
+  }
+
+  _report (kind) {
+    if (this._playHandler !== undefined && !this._replaying) {
+      this._playHandler(kind);
+    }
+  }
+
+  _checkCount (count) {
+    checkRange('count', count, 1, true, Infinity, false);
+    if (!Number.isInteger(count)) {
+      throw new RangeError('count is ' + String(count) + ' but must be an ' +
+        'integer');
+    }
+  }
+
+  _drawRandom () {
+    return this._random();
+  }
+
+  /**
+   * Update the buttons with the latest position and velocity of a pointer.
+   * The buttons will be pushed if the pointer moves into them. This is called
+   * for the pointers of the group's own MouseTracker, but can also be called
+   * for other pointers, such as a {@link VirtualCursor}.
+   *
+   * @param {TrackedPointer} pointer - The pointer that has moved.
+   */
+  pointerMoved (pointer) {
+    this._pointerCount++;
+    for (const button of this._buttons) {
+      button._detectHit(pointer);
+    }
+  }
+
+  /**
+   * Stop using a pointer that was passed to {@link ButtonGroup#pointerMoved}.
+   *
+   * @param {TrackedPointer} pointer - The pointer that has ended.
+   */
+  pointerEnded (pointer) {
+    for (const button of this._buttons) {
+      button._endPointer(pointer);
+    }
+  }
+
+  /**
+   * Click the top-most button at the given position, as if a pointer had
+   * clicked it there.
+   *
+   * @param {number} posX - The horizontal position of the click, in the
+   * coordinates of the container's padding area.
+   * @param {number} posY - The vertical position of the click, in the
+   * coordinates of the container's padding area.
+   *
+   * @return {boolean} Whether a button was clicked.
+   */
+  clickAt (posX, posY) {
+    /* later buttons are drawn on top */
+    for (let i = this._buttons.length - 1; i >= 0; i--) {
+      if (this._buttons[i].clickAt(posX, posY)) {
+        return true;
+      }
+    }
+    this._checkNearMiss(posX, posY);
+    return false;
+  }
+
+  /**
+   * Start a "click them all" round, in which every button must be clicked
+   * before the time runs out. Clicked buttons are given the "done" class until
+   * the round ends.
+   *
+   * @param {number} timeLimit - The time limit of the round, in seconds. Must
+   * be positive (non-zero) and finite.
+   * @param {function(Object)} roundHandler - A handler to call every time the
+   * state of the round changes. It is given an object with the *timeLeft* in
+   * seconds, the number of *buttonsLeft* to click, and the *result* of the
+   * round, which is "won", "lost" or undefined whilst the round is running.
+   *
+   * @throws {RangeError} If the time limit is out of range.
+   */
+  startRound (timeLimit, roundHandler) {
+    checkRange('timeLimit', timeLimit, 0, false, Infinity, false);
+    this.stopRound();
+    for (const button of this._buttons) {
+      this._roundButtons.add(button);
+    }
+    const now = this._scheduler.now();
+    this._roundEndTime = now + (timeLimit * 1000);
+    this._roundHandler = roundHandler;
+    this._scheduler.add(this._roundCallback);
+    this._updateRound(now);
+  }
+
+  /**
+   * Stop the current "click them all" round, if any, without a result.
+   */
+  stopRound () {
+    this._endRound(undefined);
+  }
+
+  _endRound (result) {
+    if (this._roundHandler === undefined) {
+      return;
+    }
+    this._scheduler.remove(this._roundCallback);
+    for (const button of this._buttons) {
+      button.element().classList.remove('done');
+    }
+    const roundHandler = this._roundHandler;
+    this._roundHandler = undefined;
+    if (result !== undefined) {
+      this._report('roundend');
+      roundHandler({
+        timeLeft: Math.max(
+          0, (this._roundEndTime - this._scheduler.now()) / 1000),
+        buttonsLeft: this._roundButtons.size,
+        result: result
+      });
+    }
+    this._roundButtons.clear();
+  }
+
+  _updateRound (now) {
+    const timeLeft = (this._roundEndTime - now) / 1000;
+    if (this._roundButtons.size === 0) {
+      this._endRound('won');
+    } else if (timeLeft <= 0) {
+      this._endRound('lost');
+    } else {
+      this._roundHandler({
+        timeLeft: timeLeft,
+        buttonsLeft: this._roundButtons.size,
+        result: undefined
+      });
+    }
+  }
+
+  _buttonPlayed (button, kind) {
+    this._report(kind);
+    if (kind === 'click' && this._roundButtons.delete(button)) {
+      button.element().classList.add('done');
+      this._updateRound(this._scheduler.now());
+    }
+  }
+
+  _addButton (el) {
+    const button = new MovingButton(
+      el, this._container, this._scheduler, this._randomCallback,
+      this._buttonMoved.bind(this), this._buttonPlayed.bind(this),
+      this._config);
+    this._buttons.push(button);
+    this._world.add(button.body());
+    this._resizeObserver.observe(el);
+    return button;
+  }
+
+  _removeButton (button) {
+    this._resizeObserver.unobserve(button.element());
+    this._world.remove(button.body());
+    button.remove();
+  }
+
+  _loseButton (button) {
+    if (this._buttons.length === 1) {
+      /* always keep a button to play with */
+      const el = this._templateButton.cloneNode(true);
+      el.removeAttribute('id');
+      button.element().before(el);
+      this._addButton(el);
+    }
+    this._buttons.splice(this._buttons.indexOf(button), 1);
+    this._removeButton(button);
+    this._report('lost');
+    if (this._roundButtons.has(button)) {
+      this._endRound('lost');
+    }
+  }
+
+  _placeApart (button) {
+    /* try random positions and keep the one furthest from the other buttons
+     * and the obstacles. Note that the button is currently in the centre */
+    const box = button.body().box();
+    const range = button.body().positionRange();
+    const others = this._world.obstacles();
+    for (const other of this._buttons) {
+      if (other !== button) {
+        others.push(other.body().box());
+      }
+    }
+    let bestX = box.x;
+    let bestY = box.y;
+    let bestClearance = -Infinity;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const x = Math.round(this._random() * range.x);
+      const y = Math.round(this._random() * range.y);
+      let clearance = Infinity;
+      for (const otherBox of others) {
+        /* the gap between the boxes along the more separated axis, negative
+         * when they overlap */
+        const gap = Math.max(
+          Math.max(otherBox.x - x - box.width, x - otherBox.x - otherBox.width),
+          Math.max(
+            otherBox.y - y - box.height, y - otherBox.y - otherBox.height));
+        clearance = Math.min(clearance, gap);
+      }
+      if (clearance > bestClearance) {
+        bestClearance = clearance;
+        bestX = x;
+        bestY = y;
+      }
+    }
+    button.moveTo(bestX, bestY);
+  }
+
+  _buttonMoved (button) {
+    if (!this._moving) {
+      this._moving = true;
+      this._lastUpdateTime = this._scheduler.now() / 1000;
+      this._scheduler.add(this._motionCallback);
+    }
+  }
+
+  _updateMotion (now) {
+    this._motionCount++;
+    const endTime = now / 1000;
+    this._world.update(this._lastUpdateTime, endTime);
+    this._lastUpdateTime = endTime;
+
+    let moving = false;
+    const lost = [];
+    for (const button of this._buttons) {
+      button._updateMotion(now);
+      if (button.body().isAbsorbed()) {
+        lost.push(button);
+      } else if (button.isMoving()) {
+        moving = true;
+      }
+    }
+    for (const button of lost) {
+      this._loseButton(button);
+    }
+    if (!moving) {
+      this._moving = false;
+      this._scheduler.remove(this._motionCallback);
+    }
+  }
+}
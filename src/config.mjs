@@ -0,0 +1,290 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { checkRange } from './physics.mjs';
+
+/**
+ * The default tuning of the game.
+ *
+ * @type {Object}
+ * @property {number} halfReboundVel - The reference velocity of the rebound
+ * from a wall, see {@link BoundedMotion#constructor}.
+ * @property {number} accel - The deceleration of a moving button, or the
+ * friction that stops it for a drag law.
+ * @property {string} decel - How a moving button slows down, which is
+ * "constant" for a constant deceleration, "linear" for linear drag or
+ * "quadratic" for quadratic drag, along with the friction. See
+ * `ConstantDecel`, `LinearDrag` and `QuadraticDrag` of the physics module.
+ * @property {number} linearDrag - The drag coefficient of the "linear" law,
+ * per second.
+ * @property {number} quadraticDrag - The drag coefficient of the
+ * "quadratic" law, per pixel.
+ * @property {number} escapeSpeed - The speed a button escapes at when it is
+ * clicked.
+ * @property {number} thickner - How far the hit area of a button extends
+ * beyond its edges.
+ * @property {number} minVel - The smallest speed along each axis that a push
+ * gives, unless it gives none along that axis.
+ * @property {number} minPushVel - The smallest overall speed that a push
+ * gives.
+ * @property {number} sampleExpireTime - How long until a velocity sample of
+ * a pointer expires, in milliseconds.
+ * @property {string} estimator - How the velocity of a pointer is estimated
+ * from its samples, which is "average" to average each sample with the
+ * previous estimate, "leastsquares" to fit a line to the recent samples, or
+ * "kalman" for a Kalman filter. See `AverageEstimator`,
+ * `LeastSquaresEstimator` and `KalmanEstimator` of the estimator module.
+ * @property {number} fitWindow - How far back the "leastsquares" estimator
+ * fits the samples, in milliseconds.
+ * @property {number} kalmanNoise - The spectral density of the random
+ * acceleration of a pointer for the "kalman" estimator, in square pixels per
+ * cubic second.
+ * @property {number} wheelShove - How fast the mouse wheel shoves the
+ * buttons, per pixel of the wheel's turn, per second.
+ * @property {number} alertTime - How long a clicked button stays on alert,
+ * and immune to being pushed, in milliseconds.
+ * @property {string} shape - The shape of the buttons, which is "rounded"
+ * for a rectangle with rounded corners, "round" for a circle or ellipse, or
+ * "pill" for a rectangle with semicircular ends.
+ * @property {string} obstacles - The layout of the obstacles in the play
+ * area, which is "none", "pillars" or "partitions", see `obstacleLayout` of
+ * the physics module.
+ * @property {string} leftWall - What happens to a button that reaches the
+ * left wall of the play area, which is "rebound", "wrap" to carry on from the
+ * right wall, "sticky" to stop dead against it, or "absorb" to stop and be
+ * lost. See `BoundedMotion` of the physics module.
+ * @property {string} rightWall - As *leftWall*, for the right wall.
+ * @property {string} topWall - As *leftWall*, for the top wall.
+ * @property {string} bottomWall - As *leftWall*, for the bottom wall.
+ * @property {string} field - The constant force on the buttons, which is
+ * "none", "gravity" to pull them down, "wind" to blow them to the right, or
+ * "magnet" to pull them towards the pointers, which no longer push them.
+ * See `ButtonBody` of the physics module.
+ * @property {number} fieldAccel - The acceleration of the *field*. The
+ * field only moves a button at rest if this is more than the *accel*.
+ * @property {number} terminalVel - The fastest that the *field* speeds up a
+ * button with the "constant" law, which may be infinite. The drag laws have
+ * their own terminal speed.
+ */
+export const DEFAULT_CONFIG = Object.freeze({
+  halfReboundVel: 1000,
+  accel: 25,
+  decel: 'constant',
+  linearDrag: 0.5,
+  quadraticDrag: 0.0005,
+  escapeSpeed: 4000,
+  thickner: 2,
+  minVel: 20,
+  minPushVel: 30,
+  sampleExpireTime: 300,
+  estimator: 'leastsquares',
+  fitWindow: 20,
+  kalmanNoise: 3e7,
+  wheelShove: 10,
+  alertTime: 1000,
+  shape: 'rounded',
+  obstacles: 'none',
+  leftWall: 'rebound',
+  rightWall: 'rebound',
+  topWall: 'rebound',
+  bottomWall: 'rebound',
+  field: 'none',
+  fieldAccel: 1500,
+  terminalVel: 2000
+});
+
+/**
+ * The names of the estimators of the velocity of a pointer, which are the
+ * choices of the *estimator* option. See `makeEstimator` of the estimator
+ * module.
+ *
+ * @type {string[]}
+ */
+export const ESTIMATORS = Object.freeze(['average', 'leastsquares', 'kalman']);
+
+/* the allowed range of each option, as the arguments of checkRange */
+const CONFIG_RANGES = {
+  halfReboundVel: [0, false, Infinity, false],
+  accel: [0, false, Infinity, false],
+  linearDrag: [0, false, Infinity, false],
+  quadraticDrag: [0, false, Infinity, false],
+  escapeSpeed: [0, false, Infinity, false],
+  thickner: [0, true, Infinity, false],
+  minVel: [0, true, Infinity, false],
+  minPushVel: [0, true, Infinity, false],
+  sampleExpireTime: [0, false, Infinity, false],
+  fitWindow: [0, true, Infinity, false],
+  kalmanNoise: [0, false, Infinity, false],
+  wheelShove: [0, true, Infinity, false],
+  alertTime: [0, true, Infinity, false],
+  fieldAccel: [0, true, Infinity, false],
+  terminalVel: [0, false, Infinity, true]
+};
+
+const WALL_CHOICES = ['rebound', 'wrap', 'sticky', 'absorb'];
+
+/* the allowed values of each option that is a choice, rather than a
+ * number */
+const CONFIG_CHOICES = {
+  decel: ['constant', 'linear', 'quadratic'],
+  estimator: ESTIMATORS,
+  shape: ['rounded', 'round', 'pill'],
+  obstacles: ['none', 'pillars', 'partitions'],
+  leftWall: WALL_CHOICES,
+  rightWall: WALL_CHOICES,
+  topWall: WALL_CHOICES,
+  bottomWall: WALL_CHOICES,
+  field: ['none', 'gravity', 'wind', 'magnet']
+};
+
+/* the short names that can be used in a query string, by option */
+const QUERY_NAMES = {
+  halfReboundVel: 'rebound',
+  accel: 'accel',
+  decel: 'decel',
+  linearDrag: 'lindrag',
+  quadraticDrag: 'quaddrag',
+  escapeSpeed: 'escape',
+  thickner: 'thickner',
+  minVel: 'minvel',
+  minPushVel: 'minpush',
+  sampleExpireTime: 'expire',
+  estimator: 'estimator',
+  fitWindow: 'fitwindow',
+  kalmanNoise: 'kalmannoise',
+  wheelShove: 'wheel',
+  alertTime: 'alert',
+  shape: 'shape',
+  obstacles: 'obstacles',
+  leftWall: 'leftwall',
+  rightWall: 'rightwall',
+  topWall: 'topwall',
+  bottomWall: 'bottomwall',
+  field: 'field',
+  fieldAccel: 'fieldaccel',
+  terminalVel: 'terminal'
+};
+
+function checkChoice (name, value, choices) {
+  if (typeof value !== 'string') {
+    throw new TypeError(name + ' must be a string');
+  }
+  if (!choices.includes(value)) {
+    throw new RangeError(
+      name + ' is "' + value + '" but must be one of "' +
+      choices.join('", "') + '"');
+  }
+}
+
+/**
+ * Create a complete config, from the defaults with some options overridden.
+ *
+ * @param {Object} [overrides] - The options to override, see
+ * {@link DEFAULT_CONFIG}. This can also be a complete config.
+ *
+ * @return {Object} A new, frozen, config with every option.
+ *
+ * @throws {Error} If an option is not known.
+ * @throws {TypeError} If an option is not a number, or not a string for a
+ * choice.
+ * @throws {RangeError} If an option is out of range, or not one of the
+ * choices.
+ */
+export function makeConfig (overrides) {
+  const config = Object.assign({}, DEFAULT_CONFIG);
+  if (overrides !== undefined) {
+    for (const name of Object.keys(overrides)) {
+      const range = CONFIG_RANGES[name];
+      const choices = CONFIG_CHOICES[name];
+      if (choices !== undefined) {
+        checkChoice(name, overrides[name], choices);
+      } else if (range !== undefined) {
+        checkRange(name, overrides[name], ...range);
+      } else {
+        throw new Error('Unknown config option "' + name + '"');
+      }
+      config[name] = overrides[name];
+    }
+  }
+  return Object.freeze(config);
+}
+
+/**
+ * Get the config overrides from a URL query string, such as
+ * `?accel=50&escape=6000`. Each option has a short name in the query:
+ *
+ * - `rebound` for *halfReboundVel*.
+ * - `accel` for *accel*.
+ * - `decel` for *decel*.
+ * - `lindrag` for *linearDrag*.
+ * - `quaddrag` for *quadraticDrag*.
+ * - `escape` for *escapeSpeed*.
+ * - `thickner` for *thickner*.
+ * - `minvel` for *minVel*.
+ * - `minpush` for *minPushVel*.
+ * - `expire` for *sampleExpireTime*.
+ * - `estimator` for *estimator*.
+ * - `fitwindow` for *fitWindow*.
+ * - `kalmannoise` for *kalmanNoise*.
+ * - `wheel` for *wheelShove*.
+ * - `alert` for *alertTime*.
+ * - `shape` for *shape*.
+ * - `obstacles` for *obstacles*.
+ * - `leftwall` for *leftWall*.
+ * - `rightwall` for *rightWall*.
+ * - `topwall` for *topWall*.
+ * - `bottomwall` for *bottomWall*.
+ * - `field` for *field*.
+ * - `fieldaccel` for *fieldAccel*.
+ * - `terminal` for *terminalVel*.
+ *
+ * Other parameters of the query are ignored.
+ *
+ * @param {string} query - The query string, with or without the leading
+ * "?".
+ *
+ * @return {Object} The overrides, to be given to {@link makeConfig}. The
+ * values are not checked.
+ */
+export function configFromQuery (query) {
+  const params = new URLSearchParams(query);
+  const overrides = {};
+  for (const name of Object.keys(QUERY_NAMES)) {
+    const value = params.get(QUERY_NAMES[name]);
+    if (value !== null && CONFIG_CHOICES[name] !== undefined) {
+      overrides[name] = value;
+    } else if (value !== null) {
+      /* an empty or malformed value gives NaN, which makeConfig rejects */
+      overrides[name] = (value.trim() === '') ? NaN : Number(value);
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Get the options of a config that differ from another config.
+ *
+ * @param {Object} config - A complete config.
+ * @param {Object} other - Another complete config.
+ *
+ * @return {string[]} The names of the options that differ.
+ */
+export function configDifferences (config, other) {
+  return Object.keys(DEFAULT_CONFIG).filter(function (name) {
+    return config[name] !== other[name];
+  });
+}
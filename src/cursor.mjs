@@ -0,0 +1,335 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { getRelativeOffset } from './dom.mjs';
+
+/**
+ * A cursor, drawn inside a tracking area, that is moved with the keyboard
+ * rather than a pointing device. This gives players without a pointing device
+ * a way to play.
+ *
+ * The arrow keys or WASD move the cursor, and it speeds up the longer the keys
+ * are held. Space or Enter "clicks" at the cursor's position.
+ *
+ * The cursor provides the same position and velocity methods as a
+ * {@link TrackedPointer}, so it can push a {@link MovingButton} in the same
+ * way.
+ */
+export class VirtualCursor {
+  /**
+   * Create a new VirtualCursor. It will start disabled, see
+   * {@link VirtualCursor#setEnabled}.
+   *
+   * @param {Element} trackingAreaEl - Element that will receive the keyboard
+   * events, and whose area the cursor is confined to. This element will be
+   * made focusable when the cursor is enabled.
+   * @param {Element} relativeEl - Element to use as the coordinate origin, as
+   * for {@link MouseTracker#constructor}.
+   * @param {Element} cursorEl - Element to draw the cursor with. This must be
+   * positioned absolutely relative to *relativeEl*. It will be shown when the
+   * cursor is enabled by adding the "active" class.
+   * @param {FrameScheduler} scheduler - The scheduler to move the cursor
+   * with.
+   * @param {function(VirtualCursor)} posHandler - A handler to call every time
+   * the position or velocity of the cursor has changed.
+   * @param {function(VirtualCursor)} endHandler - A handler to call when the
+   * cursor is disabled.
+   * @param {function(number, number)} clickHandler - A handler to call with
+   * the cursor's position when it clicks.
+   *
+   * @return {VirtualCursor} A new VirtualCursor.
+   */
+  constructor (
+    trackingAreaEl, relativeEl, cursorEl, scheduler, posHandler, endHandler,
+    clickHandler) {
+    /* velocity in pixels per second */
+    this._velX = 0;
+    this._velY = 0;
+    /* position, relative to the relative element */
+    this._posX = NaN;
+    this._posY = NaN;
+    /* the held direction keys, by direction */
+    this._heldKeys = { left: false, right: false, up: false, down: false };
+    /* simulation time of when the direction keys started to be held */
+    this._holdStart = NaN;
+    /* simulation time of the last motion update */
+    this._lastUpdate = NaN;
+    this._moving = false;
+    this._frameCallback = this._updateMotion.bind(this);
+    this._enabled = false;
+    /* the listeners of the tracking area, kept to remove them */
+    this._keyDownCallback = this._keyDown.bind(this);
+    this._keyUpCallback = this._keyUp.bind(this);
+    this._blurCallback = this._releaseKeys.bind(this);
+
+    /* speeds in pixels per second and the ramp up in pixels per second
+     * squared */
+    this._startSpeed = 200;
+    this._maxSpeed = 1500;
+    this._speedRamp = 1500;
+
+    this._trackingAreaEl = trackingAreaEl;
+    this._relativeEl = relativeEl;
+    this._cursorEl = cursorEl;
+    this._scheduler = scheduler;
+    this._posHandler = posHandler;
+    this._endHandler = endHandler;
+    this._clickHandler = clickHandler;
+
+    Object.seal(this);
+
+    trackingAreaEl.addEventListener('keydown', this._keyDownCallback);
+    trackingAreaEl.addEventListener('keyup', this._keyUpCallback);
+    trackingAreaEl.addEventListener('blur', this._blurCallback);
+  }
+
+  /**
+   * Get the velocity of the cursor in the horizontal direction (left to right
+   * is a positive velocity).
+   *
+   * @param {number} now - The current time returned by
+   * {@link FrameScheduler#now}.
+   * @return {number} The horizontal velocity of the cursor (pixels per
+   * second).
+   */
+  velX (now) {
+    return this._velX;
+  }
+
+  /**
+   * Get the velocity of the cursor in the vertical direction (top to bottom
+   * is a positive velocity).
+   *
+   * @param {number} now - The current time returned by
+   * {@link FrameScheduler#now}.
+   * @return {number} The vertical velocity of the cursor (pixels per second).
+   */
+  velY (now) {
+    return this._velY;
+  }
+
+  /**
+   * Get the horizontal position of the cursor relative to the *relativeEl*
+   * given in {@link VirtualCursor#constructor}.
+   *
+   * @return {number} The horizontal position of the cursor, or NaN if it is
+   * not enabled.
+   */
+  posX () {
+    return this._posX;
+  }
+
+  /**
+   * Get the vertical position of the cursor relative to the *relativeEl*
+   * given in {@link VirtualCursor#constructor}.
+   *
+   * @return {number} The vertical position of the cursor, or NaN if it is not
+   * enabled.
+   */
+  posY () {
+    return this._posY;
+  }
+
+  /**
+   * Enable or disable the cursor. When enabled, the cursor is placed at the
+   * centre of the relative element and the tracking area is focused so that
+   * it receives the keyboard events.
+   *
+   * @param {boolean} enabled - Whether to enable the cursor.
+   */
+  setEnabled (enabled) {
+    if (enabled === this._enabled) {
+      return;
+    }
+    this._enabled = enabled;
+    const trackingAreaEl = this._trackingAreaEl;
+    if (enabled) {
+      this._posX = this._relativeEl.clientWidth / 2;
+      this._posY = this._relativeEl.clientHeight / 2;
+      this._drawCursor();
+      this._cursorEl.classList.add('active');
+      /* the tracking area becomes the interactive element for the game */
+      trackingAreaEl.setAttribute('role', 'application');
+      trackingAreaEl.setAttribute(
+        'aria-label',
+        'Clicking game. Use the arrow keys or WASD to move the cursor, and ' +
+        'Space or Enter to click.');
+      trackingAreaEl.tabIndex = 0;
+      trackingAreaEl.focus();
+      this._posHandler(this);
+    } else {
+      this._releaseKeys();
+      this._cursorEl.classList.remove('active');
+      trackingAreaEl.setAttribute('role', 'presentation');
+      trackingAreaEl.removeAttribute('aria-label');
+      trackingAreaEl.removeAttribute('tabindex');
+      this._posX = NaN;
+      this._posY = NaN;
+      this._endHandler(this);
+    }
+  }
+
+  /**
+   * Disable the cursor, see {@link VirtualCursor#setEnabled}, and remove the
+   * listeners of the tracking area. The cursor should no longer be used
+   * afterwards.
+   */
+  destroy () {
+    this.setEnabled(false);
+    const trackingAreaEl = this._trackingAreaEl;
+    trackingAreaEl.removeEventListener('keydown', this._keyDownCallback);
+    trackingAreaEl.removeEventListener('keyup', this._keyUpCallback);
+    trackingAreaEl.removeEventListener('blur', this._blurCallback);
+  }
+
+  _keyDirection (key) {
+    switch (key) {
+      case 'ArrowLeft':
+      case 'a':
+      case 'A':
+        return 'left';
+      case 'ArrowRight':
+      case 'd':
+      case 'D':
+        return 'right';
+      case 'ArrowUp':
+      case 'w':
+      case 'W':
+        return 'up';
+      case 'ArrowDown':
+      case 's':
+      case 'S':
+        return 'down';
+      default:
+        return undefined;
+    }
+  }
+
+  _keyDown (ev) {
+    if (!this._enabled || ev.ctrlKey || ev.altKey || ev.metaKey) {
+      return;
+    }
+    if (ev.key === ' ' || ev.key === 'Enter') {
+      /* stop the page from scrolling */
+      ev.preventDefault();
+      if (!ev.repeat) {
+        this._clickHandler(this._posX, this._posY);
+      }
+      return;
+    }
+    const direction = this._keyDirection(ev.key);
+    if (direction === undefined) {
+      return;
+    }
+    ev.preventDefault();
+    if (this._heldKeys[direction]) {
+      /* ignore key repeats */
+      return;
+    }
+    const now = this._scheduler.now();
+    if (!this._moving) {
+      this._holdStart = now;
+      this._lastUpdate = now;
+      this._moving = true;
+      this._scheduler.add(this._frameCallback);
+    } else {
+      /* catch up with the old direction before changing */
+      this._updateMotion(now);
+    }
+    this._heldKeys[direction] = true;
+    this._updateVel(now);
+  }
+
+  _keyUp (ev) {
+    const direction = this._keyDirection(ev.key);
+    if (direction === undefined || !this._heldKeys[direction]) {
+      return;
+    }
+    const now = this._scheduler.now();
+    this._updateMotion(now);
+    this._heldKeys[direction] = false;
+    this._updateVel(now);
+  }
+
+  _releaseKeys () {
+    const heldKeys = this._heldKeys;
+    const now = this._scheduler.now();
+    if (this._moving) {
+      this._updateMotion(now);
+    }
+    heldKeys.left = false;
+    heldKeys.right = false;
+    heldKeys.up = false;
+    heldKeys.down = false;
+    this._updateVel(now);
+  }
+
+  _updateVel (now) {
+    const heldKeys = this._heldKeys;
+    let dirX = (heldKeys.right ? 1 : 0) - (heldKeys.left ? 1 : 0);
+    let dirY = (heldKeys.down ? 1 : 0) - (heldKeys.up ? 1 : 0);
+    if (dirX === 0 && dirY === 0) {
+      if (this._moving) {
+        this._scheduler.remove(this._frameCallback);
+        this._moving = false;
+      }
+      this._velX = 0;
+      this._velY = 0;
+    } else {
+      const speed = Math.min(
+        this._maxSpeed,
+        this._startSpeed + (this._speedRamp * (now - this._holdStart) / 1000));
+      if (dirX !== 0 && dirY !== 0) {
+        /* keep the same speed on the diagonal */
+        dirX *= Math.SQRT1_2;
+        dirY *= Math.SQRT1_2;
+      }
+      this._velX = speed * dirX;
+      this._velY = speed * dirY;
+    }
+    if (this._enabled) {
+      this._posHandler(this);
+    }
+  }
+
+  _updateMotion (now) {
+    const diffTime = (now - this._lastUpdate) / 1000;
+    this._lastUpdate = now;
+
+    /* confine to the tracking area, in the coordinates of the relative
+     * element */
+    const offset = getRelativeOffset(this._trackingAreaEl, this._relativeEl);
+    const trackingRect = this._trackingAreaEl.getBoundingClientRect();
+    const minX = -offset.x;
+    const minY = -offset.y;
+    const maxX = trackingRect.width - offset.x;
+    const maxY = trackingRect.height - offset.y;
+
+    this._posX = Math.min(
+      maxX, Math.max(minX, this._posX + (this._velX * diffTime)));
+    this._posY = Math.min(
+      maxY, Math.max(minY, this._posY + (this._velY * diffTime)));
+    this._drawCursor();
+    /* also updates the speed */
+    this._updateVel(now);
+  }
+
+  _drawCursor () {
+    this._cursorEl.style.left = String(Math.round(this._posX)) + 'px';
+    this._cursorEl.style.top = String(Math.round(this._posY)) + 'px';
+  }
+}
@@ -0,0 +1,225 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { makeConfig } from './config.mjs';
+
+/**
+ * The difficulty levels of the game, by name. Each level has a *label* to
+ * show and the *config* options it overrides, see `makeConfig` of the config
+ * module. The harder levels slow the button down less, make it escape faster
+ * and give it a thinner hit area.
+ *
+ * Each level also changes the size of the button, through the
+ * `difficulty-<name>` class of the play area in main.css, since the size of
+ * the button is set by its styling.
+ *
+ * @type {Object}
+ */
+export const DIFFICULTIES = Object.freeze({
+  easy: Object.freeze({
+    label: 'Easy',
+    config: Object.freeze({ accel: 60, escapeSpeed: 2500, thickner: 6 })
+  }),
+  normal: Object.freeze({
+    label: 'Normal',
+    config: Object.freeze({})
+  }),
+  hard: Object.freeze({
+    label: 'Hard',
+    config: Object.freeze({ accel: 15, escapeSpeed: 5000, thickner: 1 })
+  }),
+  insane: Object.freeze({
+    label: 'Insane',
+    config: Object.freeze({ accel: 8, escapeSpeed: 7000, thickner: 0 })
+  })
+});
+
+/**
+ * Adapts the difficulty of the game to how well the player is doing.
+ *
+ * The play is split into rounds, which end when a "click them all" round
+ * ends, or otherwise after 30 seconds of play. At the end of each round, the
+ * rate of clicks and near misses is compared with a target range. If the
+ * player is doing too well, the button is made to slow down less and bounce
+ * off the walls harder. If the player is struggling, the opposite. Each
+ * change is a small step from the base config, and the number of steps is
+ * limited either way.
+ */
+export class AdaptiveDifficulty {
+  /**
+   * Create a new AdaptiveDifficulty, which starts disabled.
+   *
+   * @param {Object} baseConfig - The config to adapt, as returned by
+   * `makeConfig` of the config module.
+   * @param {function(Object)} changeHandler - A handler to call with the new
+   * complete config whenever it changes.
+   *
+   * @return {AdaptiveDifficulty} A new AdaptiveDifficulty.
+   */
+  constructor (baseConfig, changeHandler) {
+    this._baseConfig = baseConfig;
+    this._changeHandler = changeHandler;
+    this._enabled = false;
+    /* steps from the base config, positive is harder */
+    this._level = 0;
+    this._maxLevel = 5;
+    /* the factor each step changes the acceleration and the rebound by */
+    this._stepFactor = 1.15;
+    /* the target range of the clicks per minute, with a near miss counting
+     * as half a click */
+    this._lowRate = 0.5;
+    this._highRate = 2;
+    /* the length of a round outside of "click them all" rounds, and the
+     * shortest round that is judged, in milliseconds */
+    this._roundTime = 30000;
+    this._minRoundTime = 5000;
+    /* the current round */
+    this._roundStart = NaN;
+    this._clicks = 0;
+    this._nearMisses = 0;
+    this._pushes = 0;
+
+    Object.seal(this);
+  }
+
+  /**
+   * Get whether the difficulty is adapted.
+   *
+   * @return {boolean} Whether enabled.
+   */
+  isEnabled () {
+    return this._enabled;
+  }
+
+  /**
+   * Set whether the difficulty is adapted. When disabled, the base config is
+   * restored.
+   *
+   * @param {boolean} enabled - Whether to adapt the difficulty.
+   * @param {number} now - The current time, in milliseconds.
+   */
+  setEnabled (enabled, now) {
+    if (enabled === this._enabled) {
+      return;
+    }
+    this._enabled = enabled;
+    this._startRound(now);
+    if (!enabled) {
+      this._setLevel(0);
+    }
+  }
+
+  /**
+   * Set the config to adapt from, such as when the difficulty level is
+   * changed. Any adaptation so far is dropped, and the *changeHandler* is
+   * not called.
+   *
+   * @param {Object} baseConfig - The new base config.
+   * @param {number} now - The current time, in milliseconds.
+   */
+  setBaseConfig (baseConfig, now) {
+    this._baseConfig = baseConfig;
+    this._level = 0;
+    this._startRound(now);
+  }
+
+  /**
+   * Get the current config, adapted from the base config.
+   *
+   * @return {Object} The complete config.
+   */
+  config () {
+    const base = this._baseConfig;
+    const factor = Math.pow(this._stepFactor, this._level);
+    /* harder means less deceleration and harder rebounds */
+    return makeConfig(Object.assign({}, base, {
+      accel: base.accel / factor,
+      halfReboundVel: base.halfReboundVel * factor
+    }));
+  }
+
+  /**
+   * Get how many steps the config has been adapted from the base config.
+   *
+   * @return {number} The number of steps, positive when harder.
+   */
+  level () {
+    return this._level;
+  }
+
+  /**
+   * Report something the player did.
+   *
+   * @param {string} kind - What the player did: "push" for pushing a button,
+   * "click" for clicking one, "nearmiss" for clicking just beside one,
+   * "roundend" when a "click them all" round has ended, or "lost" when a
+   * button was lost to an absorbing wall.
+   * @param {number} now - The current time, in milliseconds.
+   *
+   * @throws {Error} If the kind is not known.
+   */
+  report (kind, now) {
+    if (!this._enabled) {
+      return;
+    }
+    if (kind === 'push') {
+      this._pushes++;
+    } else if (kind === 'click') {
+      this._clicks++;
+    } else if (kind === 'nearmiss') {
+      this._nearMisses++;
+    } else if (kind !== 'roundend' && kind !== 'lost') {
+      throw new Error('Unknown kind of play "' + String(kind) + '"');
+    }
+    const roundTime = now - this._roundStart;
+    if (roundTime >= this._roundTime ||
+        (kind === 'roundend' && roundTime >= this._minRoundTime)) {
+      this._endRound(roundTime);
+      this._startRound(now);
+    }
+  }
+
+  _startRound (now) {
+    this._roundStart = now;
+    this._clicks = 0;
+    this._nearMisses = 0;
+    this._pushes = 0;
+  }
+
+  _endRound (roundTime) {
+    if (this._clicks === 0 && this._nearMisses === 0 && this._pushes === 0) {
+      /* the player was not playing, so nothing to judge */
+      return;
+    }
+    const rate = (this._clicks + (this._nearMisses / 2)) /
+      (roundTime / 60000);
+    if (rate > this._highRate) {
+      this._setLevel(this._level + 1);
+    } else if (rate < this._lowRate) {
+      this._setLevel(this._level - 1);
+    }
+  }
+
+  _setLevel (level) {
+    level = Math.max(-this._maxLevel, Math.min(this._maxLevel, level));
+    if (level === this._level) {
+      return;
+    }
+    this._level = level;
+    this._changeHandler(this.config());
+  }
+}
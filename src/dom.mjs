@@ -0,0 +1,94 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Get the pixel length of a computed style property of an element. Float values
+ * are rounded up.
+ *
+ * @param {Element} el - The element to get the length from.
+ * @param {string} property - The style property to get the length of.
+ *
+ * @return {number} The pixel length of the property.
+ * @throws {Error} Thrown when property does not refer to a pixel length.
+ */
+export function getStyleLength (el, property) {
+  const length = getComputedStyle(el).getPropertyValue(property);
+  if (/^[0-9]+(\.[0-9]+)?px$/.test(length)) {
+    return Math.ceil(parseFloat(length));
+  } else {
+    throw new Error(
+      'Unrecognised length of ' + length + ' for the ' + property +
+      ' property');
+  }
+}
+
+/**
+ * Get the border width of an element. Float values are rounded up.
+ *
+ * @param {Element} el - The element to get the border width of.
+ * @param {string} side - The side to get the border width of (left, right, top
+ * or bottom).
+ *
+ * @return {number} The pixel width of the border.
+ * @throws {Error} Thrown if *side* does not have a border width.
+ */
+export function getBorderWidth (el, side) {
+  return getStyleLength(el, 'border-' + side + '-width');
+}
+
+/**
+ * Get the offset from the border area of a tracking area to the padding area
+ * of an element inside it.
+ *
+ * @param {Element} trackingAreaEl - The element whose border area is
+ * measured from.
+ * @param {Element} relativeEl - The element whose padding area is measured
+ * to.
+ *
+ * @return {{x: number, y: number}} The horizontal and vertical offset.
+ */
+export function getRelativeOffset (trackingAreaEl, relativeEl) {
+  /* get the border boxes */
+  const trackingRect = trackingAreaEl.getBoundingClientRect();
+  const relativeRect = relativeEl.getBoundingClientRect();
+  return {
+    x: relativeRect.x - trackingRect.x + getBorderWidth(relativeEl, 'left'),
+    y: relativeRect.y - trackingRect.y + getBorderWidth(relativeEl, 'top')
+  };
+}
+
+/**
+ * Get how the layout viewport is shown on the screen, which changes with a
+ * zoom. A pinch zoom moves and scales the visual viewport, whilst a browser
+ * zoom changes the device pixel ratio.
+ *
+ * @return {{x: number, y: number, scale: number}} The client position of
+ * the top left of the visual viewport, and the number of screen pixels per
+ * client pixel.
+ */
+export function getViewport () {
+  const visual = window.visualViewport;
+  const ratio = window.devicePixelRatio || 1;
+  if (visual === undefined || visual === null) {
+    return { x: 0, y: 0, scale: ratio };
+  }
+  return {
+    x: visual.offsetLeft,
+    y: visual.offsetTop,
+    scale: visual.scale * ratio
+  };
+}
@@ -0,0 +1,534 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The estimators of the velocity of a pointer, from the samples of its
+ * position, and a way to compare them on recorded pointer traces. This does
+ * not depend on the DOM, so the comparison can be run outside of a browser.
+ *
+ * @module estimator
+ */
+
+import { ESTIMATORS, makeConfig } from './config.mjs';
+import { checkRange } from './physics.mjs';
+
+/* the variance of a measured pointer position, in square pixels, which
+ * covers the rounding of the position to whole pixels along with some
+ * jitter */
+const MEASURE_VARIANCE = 1;
+
+/* the variance of the velocity of a pointer that has just started being
+ * tracked, in square pixels per square second */
+const START_VEL_VARIANCE = 1e6;
+
+/**
+ * The original estimate, which averages the velocity of the newest sample
+ * with the previous estimate. It jumps straight to the velocity of the
+ * newest sample if the direction changes, or if the previous estimate is
+ * zero or expired.
+ *
+ * Each estimator is given the samples of a pointer along one axis, and
+ * provides the same methods.
+ */
+export class AverageEstimator {
+  /**
+   * Create a new AverageEstimator.
+   *
+   * @param {number} sampleExpireTime - How long until a sample expires, in
+   * milliseconds.
+   *
+   * @return {AverageEstimator} A new AverageEstimator.
+   */
+  constructor (sampleExpireTime) {
+    this._sampleExpireTime = sampleExpireTime;
+    /* velocity in pixels per second */
+    this._vel = 0;
+    /* timestamp of the last sample, in milliseconds */
+    this._lastTimeStamp = NaN;
+
+    Object.seal(this);
+  }
+
+  /**
+   * Add a new sample of the position.
+   *
+   * @param {number} timeStamp - The time stamp of the sample, in
+   * milliseconds.
+   * @param {number} diff - The distance moved since the previous sample, or
+   * NaN if not known.
+   */
+  addSample (timeStamp, diff) {
+    const diffTime = timeStamp - this._lastTimeStamp;
+    this._vel = this._timeAvVel(this._vel, diff, diffTime);
+    this._lastTimeStamp = timeStamp;
+  }
+
+  _timeAvVel (curr, diffPos, diffTimeMillisec) {
+    const vel = (diffPos / diffTimeMillisec) * 1000;
+    if (!Number.isFinite(vel)) {
+      return 0;
+    } else if (diffTimeMillisec > this._sampleExpireTime) {
+      /* so much time has passed, so discard the current time */
+      return vel;
+    } else if (!Number.isFinite(curr)) {
+      return vel;
+    } else if (curr === 0) {
+      /* jump straight to the new vel */
+      return vel;
+    } else if (vel < 0 && curr > 0) {
+      /* changed sign, so jump straight to the new vel */
+      return vel;
+    } else if (vel > 0 && curr < 0) {
+      return vel;
+    } else {
+      /* take an average */
+      return (curr + vel) / 2;
+    }
+  }
+
+  /**
+   * Get the estimated velocity at the time of the last sample.
+   *
+   * @return {number} The velocity, in pixels per second.
+   */
+  vel () {
+    return this._vel;
+  }
+
+  /**
+   * Predict where the pointer is a while after the last sample.
+   *
+   * @param {number} elapsed - The time since the last sample, in
+   * milliseconds.
+   *
+   * @return {number} The predicted position, relative to the position of the
+   * last sample.
+   */
+  predict (elapsed) {
+    return (this._vel * elapsed) / 1000;
+  }
+}
+
+/**
+ * A straight line fitted by least squares to the samples within a sliding
+ * window of time. The slope of the line is the velocity, and the line is
+ * carried on to predict the position. A single late or early sample has
+ * little effect, at the cost of some lag when the pointer turns.
+ *
+ * The window always holds the previous sample, so a slow pointer still has a
+ * velocity, unless the sample has expired.
+ */
+export class LeastSquaresEstimator {
+  /**
+   * Create a new LeastSquaresEstimator.
+   *
+   * @param {number} fitWindow - How far back from the newest sample the
+   * samples are fitted, in milliseconds.
+   * @param {number} sampleExpireTime - How long until a sample expires, in
+   * milliseconds.
+   *
+   * @return {LeastSquaresEstimator} A new LeastSquaresEstimator.
+   */
+  constructor (fitWindow, sampleExpireTime) {
+    this._fitWindow = fitWindow;
+    this._sampleExpireTime = sampleExpireTime;
+    /* the samples in the window, each with the *time* in milliseconds and
+     * the *pos* relative to the first sample since the position was last
+     * unknown */
+    this._samples = [];
+    /* the fitted line, at the time of the newest sample */
+    this._vel = 0;
+    this._fitPos = 0;
+
+    Object.seal(this);
+  }
+
+  /**
+   * Add a new sample of the position.
+   *
+   * @param {number} timeStamp - The time stamp of the sample, in
+   * milliseconds.
+   * @param {number} diff - The distance moved since the previous sample, or
+   * NaN if not known.
+   */
+  addSample (timeStamp, diff) {
+    const samples = this._samples;
+    const last = samples[samples.length - 1];
+    if (last === undefined || !Number.isFinite(diff) ||
+        !((timeStamp - last.time) <= this._sampleExpireTime)) {
+      /* start a new line, from the previous sample if only the time has
+       * expired */
+      this._samples = (last !== undefined && Number.isFinite(diff))
+        ? [last] : [];
+    }
+    const prev = this._samples[this._samples.length - 1];
+    this._samples.push({
+      time: timeStamp,
+      pos: (prev === undefined) ? 0 : prev.pos + diff
+    });
+    /* keep the previous sample, however old */
+    const start = timeStamp - this._fitWindow;
+    while (this._samples.length > 2 && this._samples[0].time < start) {
+      this._samples.shift();
+    }
+    this._fit();
+  }
+
+  _fit () {
+    /* the slope is
+     *
+     *   sum((t - tm) * (x - xm)) / sum((t - tm) ^ 2) ,
+     *
+     * for the mean time tm and the mean position xm. The times are taken
+     * relative to the newest sample to keep them small */
+    const samples = this._samples;
+    const newest = samples[samples.length - 1];
+    let meanTime = 0;
+    let meanPos = 0;
+    for (const sample of samples) {
+      meanTime += sample.time - newest.time;
+      meanPos += sample.pos;
+    }
+    meanTime /= samples.length;
+    meanPos /= samples.length;
+    let cross = 0;
+    let square = 0;
+    for (const sample of samples) {
+      const time = sample.time - newest.time - meanTime;
+      cross += time * (sample.pos - meanPos);
+      square += time * time;
+    }
+    /* no slope from a single sample, or from samples at the same time */
+    const slope = (square > 0) ? cross / square : 0;
+    this._vel = slope * 1000;
+    this._fitPos = meanPos - (slope * meanTime) - newest.pos;
+  }
+
+  /**
+   * Get the estimated velocity at the time of the last sample.
+   *
+   * @return {number} The velocity, in pixels per second.
+   */
+  vel () {
+    return this._vel;
+  }
+
+  /**
+   * Predict where the pointer is a while after the last sample.
+   *
+   * @param {number} elapsed - The time since the last sample, in
+   * milliseconds.
+   *
+   * @return {number} The predicted position, relative to the position of the
+   * last sample.
+   */
+  predict (elapsed) {
+    return this._fitPos + ((this._vel * elapsed) / 1000);
+  }
+}
+
+/**
+ * A Kalman filter that follows the position and velocity of a pointer that
+ * moves at a constant velocity, apart from a random acceleration. The filter
+ * weighs each sample against its prediction by how uncertain each is, so a
+ * sample that comes early or late, or a noisy position, only moves the
+ * estimate by as much as it is trusted.
+ *
+ * Between two samples a time `dt` apart, the position `x` and velocity `v`
+ * are predicted as
+ *
+ * ```
+ *   x' = x + v * dt ,
+ *   v' = v ,
+ * ```
+ *
+ * and their covariance grows by the white noise acceleration of spectral
+ * density `q`:
+ *
+ * ```
+ *   q * [ dt^3 / 3, dt^2 / 2 ]
+ *       [ dt^2 / 2, dt       ] .
+ * ```
+ */
+export class KalmanEstimator {
+  /**
+   * Create a new KalmanEstimator.
+   *
+   * @param {number} noise - The spectral density `q` of the random
+   * acceleration of the pointer, in square pixels per cubic second. A larger
+   * value follows the samples more closely.
+   * @param {number} sampleExpireTime - How long until a sample expires, in
+   * milliseconds.
+   *
+   * @return {KalmanEstimator} A new KalmanEstimator.
+   */
+  constructor (noise, sampleExpireTime) {
+    this._noise = noise;
+    this._sampleExpireTime = sampleExpireTime;
+    /* the measured position of the last sample, relative to the first
+     * sample since the position was last unknown */
+    this._lastPos = NaN;
+    this._lastTimeStamp = NaN;
+    /* the estimated position and velocity, in pixels and pixels per
+     * second */
+    this._pos = 0;
+    this._vel = 0;
+    /* the covariance of the estimate */
+    this._varPos = 0;
+    this._covar = 0;
+    this._varVel = 0;
+
+    Object.seal(this);
+  }
+
+  /**
+   * Add a new sample of the position.
+   *
+   * @param {number} timeStamp - The time stamp of the sample, in
+   * milliseconds.
+   * @param {number} diff - The distance moved since the previous sample, or
+   * NaN if not known.
+   */
+  addSample (timeStamp, diff) {
+    const diffTime = timeStamp - this._lastTimeStamp;
+    const known = Number.isFinite(this._lastPos + diff);
+    const pos = known ? this._lastPos + diff : 0;
+    this._lastTimeStamp = timeStamp;
+    this._lastPos = pos;
+    if (!known || !(diffTime >= 0 && diffTime <= this._sampleExpireTime)) {
+      /* start again from this sample, with an unknown velocity */
+      this._pos = pos;
+      this._vel = 0;
+      this._varPos = MEASURE_VARIANCE;
+      this._covar = 0;
+      this._varVel = START_VEL_VARIANCE;
+      return;
+    }
+    /* predict */
+    const dt = diffTime / 1000;
+    const noise = this._noise;
+    this._pos += this._vel * dt;
+    const varPos = this._varPos + (2 * dt * this._covar) +
+      (dt * dt * this._varVel) + ((noise * dt * dt * dt) / 3);
+    const covar = this._covar + (dt * this._varVel) +
+      ((noise * dt * dt) / 2);
+    const varVel = this._varVel + (noise * dt);
+    /* correct by the measured position */
+    const gainPos = varPos / (varPos + MEASURE_VARIANCE);
+    const gainVel = covar / (varPos + MEASURE_VARIANCE);
+    const residual = pos - this._pos;
+    this._pos += gainPos * residual;
+    this._vel += gainVel * residual;
+    this._varPos = (1 - gainPos) * varPos;
+    this._covar = (1 - gainPos) * covar;
+    this._varVel = varVel - (gainVel * covar);
+  }
+
+  /**
+   * Get the estimated velocity at the time of the last sample.
+   *
+   * @return {number} The velocity, in pixels per second.
+   */
+  vel () {
+    return this._vel;
+  }
+
+  /**
+   * Predict where the pointer is a while after the last sample.
+   *
+   * @param {number} elapsed - The time since the last sample, in
+   * milliseconds.
+   *
+   * @return {number} The predicted position, relative to the position of the
+   * last sample.
+   */
+  predict (elapsed) {
+    if (Number.isNaN(this._lastPos)) {
+      /* no samples yet */
+      return 0;
+    }
+    return this._pos - this._lastPos + ((this._vel * elapsed) / 1000);
+  }
+}
+
+/**
+ * Create the estimator of a config for one axis of a pointer.
+ *
+ * @param {Object} config - The tuning, as returned by `makeConfig` of the
+ * config module. The *estimator*, *sampleExpireTime*, *fitWindow* and
+ * *kalmanNoise* are used.
+ *
+ * @return {Object} A new estimator, such as an {@link AverageEstimator}.
+ */
+export function makeEstimator (config) {
+  switch (config.estimator) {
+    case 'leastsquares':
+      return new LeastSquaresEstimator(
+        config.fitWindow, config.sampleExpireTime);
+    case 'kalman':
+      return new KalmanEstimator(config.kalmanNoise, config.sampleExpireTime);
+    default:
+      return new AverageEstimator(config.sampleExpireTime);
+  }
+}
+
+/**
+ * Get the pointer traces of a recording of {@link SessionRecorder}, to be
+ * given to {@link compareEstimators}. A trace ends when its pointer leaves,
+ * or when the page is resized, since the position of the pointer may then
+ * jump.
+ *
+ * @param {Object} recording - The recording.
+ *
+ * @return {Object[][]} The traces. Each is a list of samples, ordered by
+ * time, with the *time* stamp of the event in milliseconds and the *x* and
+ * *y* client position of the pointer.
+ */
+export function tracesFromRecording (recording) {
+  const traces = [];
+  /* the current trace of each pointer, by its pointerId */
+  const current = new Map();
+  function endTrace (pointerId) {
+    const trace = current.get(pointerId);
+    current.delete(pointerId);
+    if (trace !== undefined && trace.length > 1) {
+      traces.push(trace);
+    }
+  }
+  for (const event of recording.events) {
+    switch (event.type) {
+      case 'pointermove':
+      case 'pointerover':
+      case 'pointerdown': {
+        let trace = current.get(event.pointerId);
+        if (trace === undefined) {
+          trace = [];
+          current.set(event.pointerId, trace);
+        }
+        const last = trace[trace.length - 1];
+        /* the tracker ignores duplicate positions */
+        if (last === undefined || last.x !== event.clientX ||
+            last.y !== event.clientY) {
+          trace.push(
+            { time: event.timeStamp, x: event.clientX, y: event.clientY });
+        }
+        break;
+      }
+      case 'pointerup':
+        if (event.pointerType === 'touch') {
+          endTrace(event.pointerId);
+        }
+        break;
+      case 'pointerleave':
+      case 'pointercancel':
+        endTrace(event.pointerId);
+        break;
+      case 'resize':
+        for (const pointerId of Array.from(current.keys())) {
+          endTrace(pointerId);
+        }
+        break;
+    }
+  }
+  for (const pointerId of Array.from(current.keys())) {
+    endTrace(pointerId);
+  }
+  return traces;
+}
+
+/**
+ * Compare how well each estimator predicts the position of a pointer a
+ * short while ahead, as it would for the next frame. After each sample of a
+ * trace, the position predicted by each estimator is compared with the
+ * position of the trace at the later time, found between the samples either
+ * side of it.
+ *
+ * For example, in Node:
+ *
+ *   const recording = JSON.parse(fs.readFileSync('recording.json'));
+ *   console.log(compareEstimators(tracesFromRecording(recording)));
+ *
+ * @param {Object[][]} traces - The pointer traces, see
+ * {@link tracesFromRecording}.
+ * @param {Object} [options] - The options of the comparison.
+ * @param {number} [options.lead=1000/60] - How far ahead to predict, in
+ * milliseconds.
+ * @param {Object} [options.config] - Overrides of the default tuning of the
+ * estimators, see `makeConfig` of the config module. The *estimator* is
+ * ignored.
+ *
+ * @return {Object} The result of each estimator, by its name in
+ * `ESTIMATORS` of the config module. Each has the root mean square error
+ * *rmsError* and the *maxError* of the predicted positions, in pixels, and
+ * the *count* of the predictions.
+ *
+ * @throws {Error} If an option of the config is not known.
+ * @throws {RangeError} If the lead, or an option of the config, is out of
+ * range.
+ */
+export function compareEstimators (traces, options) {
+  options = Object.assign({ lead: 1000 / 60, config: undefined }, options);
+  checkRange('lead', options.lead, 0, true, Infinity, false);
+  const results = {};
+  for (const name of ESTIMATORS) {
+    const config = makeConfig(
+      Object.assign({}, options.config, { estimator: name }));
+    let sumSquares = 0;
+    let maxError = 0;
+    let count = 0;
+    for (const trace of traces) {
+      const estX = makeEstimator(config);
+      const estY = makeEstimator(config);
+      /* the sample after the predicted time */
+      let after = 0;
+      for (let i = 0; i < trace.length; i++) {
+        const sample = trace[i];
+        const prev = trace[i - 1];
+        estX.addSample(sample.time, (prev === undefined) ? NaN
+          : sample.x - prev.x);
+        estY.addSample(sample.time, (prev === undefined) ? NaN
+          : sample.y - prev.y);
+        const time = sample.time + options.lead;
+        while (after < trace.length && trace[after].time < time) {
+          after++;
+        }
+        if (after === trace.length) {
+          /* the trace ends before then */
+          break;
+        }
+        const end = trace[after];
+        const start = trace[Math.max(i, after - 1)];
+        const fraction = (end.time > start.time)
+          ? (time - start.time) / (end.time - start.time) : 1;
+        const errorX = sample.x + estX.predict(options.lead) -
+          (start.x + (fraction * (end.x - start.x)));
+        const errorY = sample.y + estY.predict(options.lead) -
+          (start.y + (fraction * (end.y - start.y)));
+        const error = Math.sqrt((errorX * errorX) + (errorY * errorY));
+        sumSquares += error * error;
+        maxError = Math.max(maxError, error);
+        count++;
+      }
+    }
+    results[name] = {
+      rmsError: (count > 0) ? Math.sqrt(sumSquares / count) : NaN,
+      maxError: maxError,
+      count: count
+    };
+  }
+  return results;
+}
@@ -0,0 +1,225 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { ButtonGroup } from './button.mjs';
+import { makeConfig } from './config.mjs';
+import { DIFFICULTIES } from './difficulty.mjs';
+import { FrameScheduler } from './scheduler.mjs';
+
+/* the custom properties of main.css that the colour attributes set */
+const COLOR_PROPERTIES = Object.freeze({
+  'button-color': '--clicking-game-button-color',
+  'alert-color': '--clicking-game-alert-color',
+  'border-color': '--clicking-game-border-color'
+});
+
+const DEFAULT_SIZE = 400;
+const DEFAULT_LABEL = 'Click me';
+const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * The `<clicking-game>` element, which embeds a game in any page, such as
+ * in documentation or a dashboard. Each element runs its own game within its
+ * shadow root, styled by main.css, so several can be placed on one page.
+ *
+ *   <script type="module" src="./src/game-element.mjs"></script>
+ *   <clicking-game size="300" difficulty="hard"></clicking-game>
+ *
+ * The attributes are:
+ *
+ * - *size*: the width and height of the play area, including its border, in
+ *   pixels. Defaults to 400.
+ * - *label*: the text of the buttons. Defaults to "Click me".
+ * - *difficulty*: one of the names of `DIFFICULTIES` of the difficulty
+ *   module. Defaults to "normal".
+ * - *button-color*, *alert-color* and *border-color*: the CSS colours of the
+ *   buttons, of the buttons when clicked, and of the border of the play area.
+ *   These can also be set by the `--clicking-game-button-color`,
+ *   `--clicking-game-alert-color` and `--clicking-game-border-color` custom
+ *   properties.
+ *
+ * Each attribute can be changed whilst the game is running. A change of
+ * difficulty places a new button in the centre.
+ *
+ * The game starts once the element is in the document and main.css has
+ * loaded, and it is taken down when the element is removed. The events of
+ * the buttons, see {@link MovingButton}, reach the page from the element.
+ */
+export class ClickingGameElement extends HTMLElement {
+  static get observedAttributes () {
+    return ['size', 'label', 'difficulty'].concat(
+      Object.keys(COLOR_PROPERTIES));
+  }
+
+  /**
+   * Create a new ClickingGameElement. This is called by the browser, such as
+   * through `document.createElement('clicking-game')`.
+   *
+   * @return {ClickingGameElement} A new ClickingGameElement.
+   */
+  constructor () {
+    super();
+    /* the same structure as main.html, whose ids are kept within the shadow
+     * root */
+    const shadow = this.attachShadow({ mode: 'open' });
+    const style = document.createElement('link');
+    style.rel = 'stylesheet';
+    style.href = new URL('../main.css', import.meta.url).href;
+    this._mouseArea = document.createElement('div');
+    this._mouseArea.id = 'mouse-area';
+    this._mouseArea.setAttribute('role', 'presentation');
+    this._container = document.createElement('div');
+    this._container.id = 'play-area';
+    this._container.setAttribute('role', 'presentation');
+    this._button = document.createElement('span');
+    this._button.id = 'button';
+    this._button.className = 'button';
+    this._button.setAttribute('aria-hidden', 'true');
+    this._container.append(this._button);
+    this._mouseArea.append(this._container);
+    shadow.append(style, this._mouseArea);
+
+    /* whether main.css has loaded, or failed to */
+    this._styleReady = false;
+    this._difficulty = DEFAULT_DIFFICULTY;
+    this._scheduler = undefined;
+    this._buttonGroup = undefined;
+    /* not sealed, since the page may add its own properties to the element,
+     * as it can for any other element */
+
+    const readyCallback = this._styleLoaded.bind(this);
+    style.addEventListener('load', readyCallback);
+    style.addEventListener('error', readyCallback);
+
+    this._setSize(null);
+    this._setLabel(null);
+    this._setDifficulty(null);
+  }
+
+  connectedCallback () {
+    this._start();
+  }
+
+  disconnectedCallback () {
+    this._stop();
+  }
+
+  attributeChangedCallback (name, oldValue, newValue) {
+    if (name === 'size') {
+      this._setSize(newValue);
+    } else if (name === 'label') {
+      this._setLabel(newValue);
+    } else if (name === 'difficulty') {
+      this._setDifficulty(newValue);
+    } else if (newValue === null) {
+      this._mouseArea.style.removeProperty(COLOR_PROPERTIES[name]);
+    } else {
+      this._mouseArea.style.setProperty(COLOR_PROPERTIES[name], newValue);
+    }
+  }
+
+  /**
+   * Get the group of buttons of the running game, to control it further.
+   *
+   * @return {ButtonGroup} The group, or undefined if the game is not
+   * running.
+   */
+  buttonGroup () {
+    return this._buttonGroup;
+  }
+
+  _styleLoaded () {
+    if (!this._styleReady) {
+      this._styleReady = true;
+      this._start();
+    }
+  }
+
+  _start () {
+    /* the buttons are measured when they are created, so the game has to
+     * wait for its styling */
+    if (!this._styleReady || !this.isConnected ||
+        this._buttonGroup !== undefined) {
+      return;
+    }
+    this._scheduler = new FrameScheduler();
+    this._buttonGroup = new ButtonGroup(
+      this._button, this._container, this._mouseArea, this._scheduler,
+      undefined, this._config());
+  }
+
+  _stop () {
+    if (this._buttonGroup === undefined) {
+      return;
+    }
+    this._buttonGroup.destroy();
+    this._scheduler.destroy();
+    this._buttonGroup = undefined;
+    this._scheduler = undefined;
+  }
+
+  _config () {
+    return makeConfig(DIFFICULTIES[this._difficulty].config);
+  }
+
+  _setSize (value) {
+    let size = DEFAULT_SIZE;
+    if (value !== null) {
+      size = Number(value);
+      if (!(size > 0 && size < Infinity)) {
+        console.error('Ignoring the size "' + value + '" of clicking-game');
+        size = DEFAULT_SIZE;
+      }
+    }
+    /* the buttons follow the new size once the page is laid out */
+    this._container.style.width = String(size) + 'px';
+    this._container.style.height = String(size) + 'px';
+  }
+
+  _setLabel (value) {
+    const label = (value === null) ? DEFAULT_LABEL : value;
+    /* the buttons after the first are copies of it, and the first is also a
+     * copy after the buttons are reset */
+    this._button.textContent = label;
+    for (const el of this._container.querySelectorAll('.button')) {
+      el.textContent = label;
+    }
+  }
+
+  _setDifficulty (value) {
+    let difficulty = (value === null) ? DEFAULT_DIFFICULTY : value;
+    if (!Object.prototype.hasOwnProperty.call(DIFFICULTIES, difficulty)) {
+      console.error(
+        'Ignoring the difficulty "' + value + '" of clicking-game');
+      difficulty = DEFAULT_DIFFICULTY;
+    }
+    const container = this._container;
+    container.classList.remove('difficulty-' + this._difficulty);
+    container.classList.add('difficulty-' + difficulty);
+    this._difficulty = difficulty;
+    const group = this._buttonGroup;
+    if (group !== undefined) {
+      group.setConfig(this._config());
+      /* new buttons, to pick up the new size */
+      group.resetButtons(group.buttonCount());
+    }
+  }
+}
+
+if (customElements.get('clicking-game') === undefined) {
+  customElements.define('clicking-game', ClickingGameElement);
+}
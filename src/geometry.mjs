@@ -0,0 +1,322 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The 2D geometry of the buttons, used to find where and in which direction
+ * a pointer, or another button, makes contact with a button.
+ *
+ * @module geometry
+ */
+
+/**
+ * A shape that fills a box, with its top left corner at the origin. The
+ * shape is one of:
+ *
+ * - "rect": the box itself.
+ * - "roundrect": the box with its corners rounded by a quarter circle.
+ * - "ellipse": the ellipse that touches the middle of each side of the box.
+ *
+ * The y axis points down, as on the page.
+ */
+export class HitShape {
+  /**
+   * Create a new HitShape.
+   *
+   * @param {string} kind - The kind of shape: "rect", "roundrect" or
+   * "ellipse".
+   * @param {number} width - The width of the box.
+   * @param {number} height - The height of the box.
+   * @param {number} [radius=0] - The radius of the corners of a "roundrect".
+   * This is reduced to half the width or height if it is larger, which makes
+   * a pill shape.
+   *
+   * @return {HitShape} A new HitShape.
+   *
+   * @throws {Error} If the kind of shape is not known.
+   */
+  constructor (kind, width, height, radius) {
+    if (kind !== 'rect' && kind !== 'roundrect' && kind !== 'ellipse') {
+      throw new Error('Unknown shape "' + String(kind) + '"');
+    }
+    this._kind = kind;
+    this._width = width;
+    this._height = height;
+    this._radius = (kind === 'roundrect')
+      ? Math.min(radius || 0, width / 2, height / 2) : 0;
+
+    Object.seal(this);
+  }
+
+  /**
+   * Get the kind of shape.
+   *
+   * @return {string} The kind, see {@link HitShape#constructor}.
+   */
+  kind () {
+    return this._kind;
+  }
+
+  /**
+   * Get the shape of the positions at which another shape touches or
+   * overlaps this one. The other shape is in contact whilst the position of
+   * the top left of its box, relative to the top left of this box, plus the
+   * size of its box, is within the returned shape, which fills the sum of
+   * the two boxes. This is the Minkowski sum of the two shapes.
+   *
+   * The sum is exact for two rects or round rects, since the corners of the
+   * sum are rounded by the sum of their radii, and for two ellipses of the
+   * same proportions. For ellipses of different proportions it is the
+   * ellipse within the sum, so the shapes overlap a little at its edge. An
+   * ellipse and another kind of shape are treated as their boxes.
+   *
+   * @param {HitShape} other - The other shape.
+   *
+   * @return {HitShape} The shape of the contact positions.
+   */
+  contactShape (other) {
+    const width = this._width + other._width;
+    const height = this._height + other._height;
+    if (this._kind === 'ellipse' && other._kind === 'ellipse') {
+      return new HitShape('ellipse', width, height);
+    } else if (this._kind === 'ellipse' || other._kind === 'ellipse') {
+      return new HitShape('rect', width, height);
+    }
+    return new HitShape(
+      'roundrect', width, height, this._radius + other._radius);
+  }
+
+  /**
+   * Get whether a position is within the shape, including its edge.
+   *
+   * @param {number} x - The horizontal position, relative to the top left of
+   * the box.
+   * @param {number} y - The vertical position, relative to the top left of
+   * the box.
+   *
+   * @return {boolean} Whether the position is within the shape.
+   */
+  contains (x, y) {
+    const width = this._width;
+    const height = this._height;
+    /* note, NaN positions fail every comparison */
+    if (!(x >= 0 && y >= 0 && x <= width && y <= height)) {
+      return false;
+    }
+    if (this._kind === 'rect') {
+      return true;
+    } else if (this._kind === 'ellipse') {
+      const ellX = (x - (width / 2)) / (width / 2);
+      const ellY = (y - (height / 2)) / (height / 2);
+      return (ellX * ellX) + (ellY * ellY) <= 1;
+    }
+    /* a round rect is only cut away in its corners */
+    const radius = this._radius;
+    const cornerX = Math.min(Math.max(x, radius), width - radius);
+    const cornerY = Math.min(Math.max(y, radius), height - radius);
+    const distX = x - cornerX;
+    const distY = y - cornerY;
+    return (distX * distX) + (distY * distY) <= radius * radius;
+  }
+
+  /**
+   * Find where a ray first enters the shape. The ray must start outside the
+   * shape.
+   *
+   * @param {number} x - The horizontal start of the ray, relative to the top
+   * left of the box.
+   * @param {number} y - The vertical start of the ray, relative to the top
+   * left of the box.
+   * @param {number} dirX - The horizontal direction of the ray.
+   * @param {number} dirY - The vertical direction of the ray.
+   *
+   * @return {Object} The entry, or undefined if the ray never enters the
+   * shape. The entry has the ray parameter *t* at which the ray, `(x, y) + t
+   * * (dirX, dirY)`, enters the shape, which is not negative, the *x* and *y*
+   * position of the entry, and the outward unit normal of the shape at the
+   * entry, *normalX* and *normalY*.
+   */
+  rayEntry (x, y, dirX, dirY) {
+    const width = this._width;
+    const height = this._height;
+    let entry;
+    if (this._kind === 'rect') {
+      entry = this._rectEntry(x, y, dirX, dirY, 0, 0, width, height);
+    } else if (this._kind === 'ellipse') {
+      entry = this._ellipseEntry(
+        x, y, dirX, dirY, width / 2, height / 2, width / 2, height / 2);
+    } else {
+      /* A round rect is the union of two crossed rects and a circle in each
+       * corner:
+       *
+       *     .-+-------+-.
+       *    (  |       |  )
+       *     +-+-------+-+
+       *     |           |
+       *     +-+-------+-+
+       *    (  |       |  )
+       *     '-+-------+-'
+       *
+       * The ray enters the union where it first enters any of the parts. The
+       * faces of each part that are inside the union can not be entered
+       * first, so the normal of the part is also the normal of the union */
+      const radius = this._radius;
+      const parts = [
+        this._rectEntry(x, y, dirX, dirY, radius, 0, width - radius, height),
+        this._rectEntry(x, y, dirX, dirY, 0, radius, width, height - radius)
+      ];
+      for (const centreX of [radius, width - radius]) {
+        for (const centreY of [radius, height - radius]) {
+          parts.push(this._ellipseEntry(
+            x, y, dirX, dirY, centreX, centreY, radius, radius));
+        }
+      }
+      for (const part of parts) {
+        if (part !== undefined && (entry === undefined || part.t < entry.t)) {
+          entry = part;
+        }
+      }
+    }
+    if (entry !== undefined) {
+      entry.x = x + (entry.t * dirX);
+      entry.y = y + (entry.t * dirY);
+    }
+    return entry;
+  }
+
+  /**
+   * Find the normal of the shape where a position inside it was entered, if
+   * it was reached by moving in a straight line with the given velocity.
+   *
+   * @param {number} x - The horizontal position, relative to the top left of
+   * the box.
+   * @param {number} y - The vertical position, relative to the top left of
+   * the box.
+   * @param {number} velX - The horizontal velocity the position was reached
+   * with. If both velocities are 0, the position is treated as if it was
+   * reached from the nearest edge, moving towards the centre.
+   * @param {number} velY - The vertical velocity the position was reached
+   * with.
+   *
+   * @return {{x: number, y: number}} The outward unit normal of the shape at
+   * the entry.
+   */
+  contactNormal (x, y, velX, velY) {
+    let dirX = velX;
+    let dirY = velY;
+    if (dirX === 0 && dirY === 0) {
+      dirX = (this._width / 2) - x;
+      dirY = (this._height / 2) - y;
+    }
+    const mag = Math.sqrt((dirX * dirX) + (dirY * dirY));
+    if (!(mag > 0)) {
+      /* in the very centre and at rest relative to the shape, so any
+       * direction will do */
+      return { x: 0, y: -1 };
+    }
+    dirX /= mag;
+    dirY /= mag;
+    /* trace back to a start outside of the box, which is never further away
+     * than the width plus the height */
+    const back = this._width + this._height + 1;
+    const entry = this.rayEntry(
+      x - (back * dirX), y - (back * dirY), dirX, dirY);
+    if (entry === undefined) {
+      /* the position was not within the shape, so take the direction back
+       * along the velocity */
+      return { x: -dirX, y: -dirY };
+    }
+    return { x: entry.normalX, y: entry.normalY };
+  }
+
+  _rectEntry (x, y, dirX, dirY, left, top, right, bottom) {
+    /* the slab test: the ray is between the left and right whilst
+     *
+     *   left <= x + t * dirX <= right ,
+     *
+     * and similarly for the top and bottom. It enters at the latest of the
+     * entry times of the two axes, provided it is before the earliest exit
+     * time */
+    let enter = -Infinity;
+    let exit = Infinity;
+    let normalX = 0;
+    let normalY = 0;
+    for (const axis of [
+      { pos: x, dir: dirX, lower: left, upper: right, horizontal: true },
+      { pos: y, dir: dirY, lower: top, upper: bottom, horizontal: false }]) {
+      if (axis.dir === 0) {
+        if (axis.pos < axis.lower || axis.pos > axis.upper) {
+          return undefined;
+        }
+        continue;
+      }
+      const tLower = (axis.lower - axis.pos) / axis.dir;
+      const tUpper = (axis.upper - axis.pos) / axis.dir;
+      const axisEnter = Math.min(tLower, tUpper);
+      if (axisEnter > enter) {
+        enter = axisEnter;
+        /* facing against the direction of the ray */
+        const normal = (axis.dir > 0) ? -1 : 1;
+        normalX = axis.horizontal ? normal : 0;
+        normalY = axis.horizontal ? 0 : normal;
+      }
+      exit = Math.min(exit, Math.max(tLower, tUpper));
+    }
+    if (!(enter >= 0 && enter <= exit)) {
+      return undefined;
+    }
+    return { t: enter, normalX: normalX, normalY: normalY };
+  }
+
+  _ellipseEntry (x, y, dirX, dirY, centreX, centreY, radiusX, radiusY) {
+    /* scale the ellipse to a unit circle, then solve
+     *
+     *   |p + t * d| ^ 2 = 1
+     *
+     * for the earliest t, where p and d are the scaled start and direction.
+     * This is the quadratic
+     *
+     *   a * t ^ 2 + b * t + c = 0 ,
+     *
+     * with a = d . d, b = 2 * p . d and c = p . p - 1 */
+    if (!(radiusX > 0 && radiusY > 0)) {
+      return undefined;
+    }
+    const posX = (x - centreX) / radiusX;
+    const posY = (y - centreY) / radiusY;
+    const scaledX = dirX / radiusX;
+    const scaledY = dirY / radiusY;
+    const a = (scaledX * scaledX) + (scaledY * scaledY);
+    const b = 2 * ((posX * scaledX) + (posY * scaledY));
+    const c = (posX * posX) + (posY * posY) - 1;
+    const disc = (b * b) - (4 * a * c);
+    if (!(a > 0 && disc >= 0)) {
+      return undefined;
+    }
+    const t = (-b - Math.sqrt(disc)) / (2 * a);
+    if (!(t >= 0)) {
+      /* behind the start, or the start is inside */
+      return undefined;
+    }
+    /* the gradient of the ellipse at the entry */
+    let normalX = (posX + (t * scaledX)) / radiusX;
+    let normalY = (posY + (t * scaledY)) / radiusY;
+    const mag = Math.sqrt((normalX * normalX) + (normalY * normalY));
+    normalX /= mag;
+    normalY /= mag;
+    return { t: t, normalX: normalX, normalY: normalY };
+  }
+}
@@ -0,0 +1,314 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* how long the trail of a pointer lasts, in milliseconds */
+const TRAIL_TIME = 500;
+/* how long the contact of a push is shown for, in milliseconds */
+const CONTACT_TIME = 2000;
+/* the velocity vectors are drawn as the distance moved in this time, in
+ * seconds */
+const VECTOR_TIME = 0.1;
+/* how often the rates are measured, in milliseconds */
+const RATE_INTERVAL = 1000;
+
+/* a rate per second, as shown */
+function formatRate (rate) {
+  return Number.isNaN(rate) ? '-' : String(Math.round(rate));
+}
+
+function drawLine (context, startX, startY, endX, endY) {
+  context.beginPath();
+  context.moveTo(startX, startY);
+  context.lineTo(endX, endY);
+  context.stroke();
+}
+
+function drawDot (context, x, y, radius) {
+  context.beginPath();
+  context.arc(x, y, radius, 0, 2 * Math.PI);
+  context.fill();
+}
+
+/**
+ * Draws what the physics of a {@link ButtonGroup} believes over its
+ * container, to help with tuning. For each button, this shows:
+ *
+ * - The hit area, grown by the *thickner* of the config, as a dashed box.
+ * - The velocity of the button, as a blue line from its centre to where it
+ *   would be in a tenth of a second.
+ * - The side that the last pointer to push it entered from, and the contact
+ *   and its normal, for two seconds after the push.
+ * - The point where the button is predicted to come to rest, see
+ *   {@link ButtonBody#restPoint}.
+ *
+ * For each pointer, this shows a short trail of its positions, its estimated
+ * velocity as a red line, and the position predicted for the current frame,
+ * see {@link TrackedPointer#predictX}. The frame rate, and the rates of the
+ * motion updates and pointer updates of the group, are shown in the top
+ * left.
+ *
+ * The overlay starts disabled, and only draws whilst it is enabled.
+ */
+export class DebugOverlay {
+  /**
+   * Create a new DebugOverlay.
+   *
+   * @param {Element} container - The container of the buttons, which the
+   * overlay is drawn over.
+   * @param {ButtonGroup} buttonGroup - The buttons to show.
+   * @param {FrameScheduler} scheduler - The scheduler of the buttons, which
+   * the overlay is drawn with.
+   *
+   * @return {DebugOverlay} A new DebugOverlay.
+   */
+  constructor (container, buttonGroup, scheduler) {
+    this._container = container;
+    this._buttonGroup = buttonGroup;
+    this._scheduler = scheduler;
+    this._canvas = document.createElement('canvas');
+    this._canvas.className = 'debug-overlay';
+    this._canvas.setAttribute('aria-hidden', 'true');
+    this._frameCallback = this._draw.bind(this);
+    /* the recent positions of each pointer, by pointer. Each has the *x*
+     * and *y* position, and the *time* in milliseconds */
+    this._trails = new Map();
+    /* the frames and update counts since the rates were last measured */
+    this._rateStart = NaN;
+    this._rateFrames = 0;
+    this._rateCounts = undefined;
+    /* the last measured rates, per second */
+    this._rates = { frame: NaN, motion: NaN, pointer: NaN };
+
+    Object.seal(this);
+  }
+
+  /**
+   * Get whether the overlay is enabled.
+   *
+   * @return {boolean} Whether enabled.
+   */
+  isEnabled () {
+    return this._canvas.isConnected;
+  }
+
+  /**
+   * Show or hide the overlay.
+   *
+   * @param {boolean} enabled - Whether to show the overlay.
+   */
+  setEnabled (enabled) {
+    if (enabled === this.isEnabled()) {
+      return;
+    }
+    if (enabled) {
+      this._container.append(this._canvas);
+      this._rateStart = NaN;
+      this._rates = { frame: NaN, motion: NaN, pointer: NaN };
+      this._scheduler.add(this._frameCallback);
+    } else {
+      this._scheduler.remove(this._frameCallback);
+      this._canvas.remove();
+      this._trails.clear();
+    }
+  }
+
+  /**
+   * Hide the overlay, and remove it from the page. The overlay should no
+   * longer be used afterwards.
+   */
+  destroy () {
+    this.setEnabled(false);
+  }
+
+  _measureRates (now) {
+    const counts = this._buttonGroup.updateCounts();
+    this._rateFrames++;
+    const elapsed = now - this._rateStart;
+    if (Number.isNaN(elapsed)) {
+      this._rateStart = now;
+      this._rateFrames = 0;
+      this._rateCounts = counts;
+    } else if (elapsed >= RATE_INTERVAL) {
+      const perSecond = 1000 / elapsed;
+      this._rates = {
+        frame: this._rateFrames * perSecond,
+        motion: (counts.motion - this._rateCounts.motion) * perSecond,
+        pointer: (counts.pointer - this._rateCounts.pointer) * perSecond
+      };
+      this._rateStart = now;
+      this._rateFrames = 0;
+      this._rateCounts = counts;
+    }
+  }
+
+  _draw (now) {
+    this._measureRates(now);
+    const canvas = this._canvas;
+    const context = canvas.getContext('2d');
+    const area = this._buttonGroup.areaSize();
+    /* draw at the resolution of the screen */
+    const scale = window.devicePixelRatio || 1;
+    const width = Math.round(area.width * scale);
+    const height = Math.round(area.height * scale);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+      canvas.style.width = String(area.width) + 'px';
+      canvas.style.height = String(area.height) + 'px';
+    }
+    context.setTransform(scale, 0, 0, scale, 0, 0);
+    context.clearRect(0, 0, area.width, area.height);
+    context.lineWidth = 1;
+    context.font = '12px monospace';
+
+    const thickner = this._buttonGroup.config().thickner;
+    const pointers = new Set();
+    for (const button of this._buttonGroup.buttons()) {
+      const body = button.body();
+      this._drawButton(context, body, thickner, now);
+      for (const pointer of body.pointers()) {
+        pointers.add(pointer);
+      }
+    }
+    for (const pointer of Array.from(this._trails.keys())) {
+      if (!pointers.has(pointer)) {
+        this._trails.delete(pointer);
+      }
+    }
+    for (const pointer of pointers) {
+      this._drawPointer(context, pointer, now);
+    }
+
+    const rates = this._rates;
+    const text = 'fps ' + formatRate(rates.frame) +
+      '  motion ' + formatRate(rates.motion) + '/s' +
+      '  pointer ' + formatRate(rates.pointer) + '/s';
+    context.fillStyle = '#000a';
+    context.fillRect(0, 0, context.measureText(text).width + 8, 18);
+    context.fillStyle = 'white';
+    context.fillText(text, 4, 13);
+  }
+
+  _drawButton (context, body, thickner, now) {
+    const box = body.box();
+    const left = body.leftPos();
+    const top = body.topPos();
+    const centreX = left + (box.width / 2);
+    const centreY = top + (box.height / 2);
+    const hitLeft = left - thickner;
+    const hitTop = top - thickner;
+    const hitWidth = box.width + (2 * thickner);
+    const hitHeight = box.height + (2 * thickner);
+
+    /* the hit area */
+    context.strokeStyle = '#333';
+    context.setLineDash([4, 4]);
+    context.strokeRect(hitLeft, hitTop, hitWidth, hitHeight);
+    context.setLineDash([]);
+
+    if (body.isMoving()) {
+      /* where the button comes to rest */
+      const rest = body.restPoint();
+      if (rest !== undefined) {
+        const restX = rest.x + (box.width / 2);
+        const restY = rest.y + (box.height / 2);
+        context.strokeStyle = '#393';
+        context.setLineDash([2, 4]);
+        context.strokeRect(rest.x, rest.y, box.width, box.height);
+        context.setLineDash([]);
+        drawLine(context, restX - 6, restY - 6, restX + 6, restY + 6);
+        drawLine(context, restX - 6, restY + 6, restX + 6, restY - 6);
+      }
+
+      context.strokeStyle = '#06c';
+      context.lineWidth = 2;
+      drawLine(
+        context, centreX, centreY, centreX + (body.velX() * VECTOR_TIME),
+        centreY + (body.velY() * VECTOR_TIME));
+      context.lineWidth = 1;
+    }
+
+    const contact = body.lastContact();
+    if (contact !== undefined && now - contact.time < CONTACT_TIME) {
+      /* the side the pointer entered from, then the contact and its
+       * normal */
+      const hitRight = hitLeft + hitWidth;
+      const hitBottom = hitTop + hitHeight;
+      const sides = {
+        left: [hitLeft, hitTop, hitLeft, hitBottom],
+        right: [hitRight, hitTop, hitRight, hitBottom],
+        top: [hitLeft, hitTop, hitRight, hitTop],
+        bottom: [hitLeft, hitBottom, hitRight, hitBottom]
+      };
+      context.strokeStyle = '#e80';
+      context.lineWidth = 3;
+      drawLine(context, ...sides[contact.side]);
+      context.lineWidth = 1;
+      const contactX = left + contact.x;
+      const contactY = top + contact.y;
+      drawLine(
+        context, contactX, contactY, contactX + (contact.normalX * 20),
+        contactY + (contact.normalY * 20));
+      context.fillStyle = '#e80';
+      drawDot(context, contactX, contactY, 3);
+      context.fillText(contact.side, hitLeft, hitTop - 4);
+    }
+  }
+
+  _drawPointer (context, pointer, now) {
+    const posX = pointer.posX();
+    const posY = pointer.posY();
+    if (!(Number.isFinite(posX) && Number.isFinite(posY))) {
+      return;
+    }
+    let trail = this._trails.get(pointer);
+    if (trail === undefined) {
+      trail = [];
+      this._trails.set(pointer, trail);
+    }
+    const last = trail[trail.length - 1];
+    if (last === undefined || last.x !== posX || last.y !== posY) {
+      trail.push({ x: posX, y: posY, time: now });
+    }
+    while (trail.length > 1 && now - trail[0].time > TRAIL_TIME) {
+      trail.shift();
+    }
+
+    context.strokeStyle = '#888';
+    context.beginPath();
+    for (const point of trail) {
+      context.lineTo(point.x, point.y);
+    }
+    context.stroke();
+
+    context.strokeStyle = '#c03';
+    context.lineWidth = 2;
+    drawLine(
+      context, posX, posY, posX + (pointer.velX(now) * VECTOR_TIME),
+      posY + (pointer.velY(now) * VECTOR_TIME));
+    context.lineWidth = 1;
+
+    /* only a TrackedPointer predicts its position */
+    if (typeof pointer.predictX === 'function') {
+      context.strokeStyle = '#c03';
+      context.beginPath();
+      context.arc(
+        pointer.predictX(now), pointer.predictY(now), 4, 0, 2 * Math.PI);
+      context.stroke();
+    }
+  }
+}
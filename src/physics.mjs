@@ -0,0 +1,3458 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The physics of the game, which does not depend on the DOM so that it can
+ * also be run outside of a browser.
+ *
+ * @module physics
+ */
+
+import { HitShape } from './geometry.mjs';
+
+/* the radius of the corners of a "rounded" button, which matches the
+ * border-radius of the buttons on the page */
+const ROUNDED_RADIUS = 8;
+
+/* the obstacles of each layout, in fractions of the size of the container.
+ * Each leaves the middle third of the container clear for the first button,
+ * which is placed in the centre */
+const OBSTACLE_LAYOUTS = {
+  none: [],
+  pillars: [
+    { x: 0.21, y: 0.21, width: 0.08, height: 0.08 },
+    { x: 0.71, y: 0.21, width: 0.08, height: 0.08 },
+    { x: 0.21, y: 0.71, width: 0.08, height: 0.08 },
+    { x: 0.71, y: 0.71, width: 0.08, height: 0.08 }
+  ],
+  partitions: [
+    { x: 0, y: 0.19, width: 0.6, height: 0.02 },
+    { x: 0.4, y: 0.79, width: 0.6, height: 0.02 }
+  ]
+};
+
+/**
+ * Check that a number is in the specified numerical range. Otherwise throws
+ * an error.
+ *
+ * @param {string} numName - A name for the number.
+ * @param {number} num - The number to check is in range.
+ * @param {number} lower - A lower bound that the number must be greater than.
+ * @param {boolean} lowerClosed - Whether the lower bound is closed (if *true*,
+ * the number may be equal to the lower bound).
+ * @param {number} upper - An upper bound that the number must be less than.
+ * @param {boolean} upperClosed - Whether the upper bound is closed (if *true*,
+ * the number may be equal to the upper bound).
+ *
+ * @throws {TypeError} The number is not typed as a number.
+ * @throws {RangeError} The number is outside the given range.
+ */
+export function checkRange (
+  numName, num, lower, lowerClosed, upper, upperClosed) {
+  if (typeof num !== 'number') {
+    throw new TypeError(numName + ' must be a number');
+  }
+  if (!(
+    (num > lower || (lowerClosed && num === lower)) &&
+    (num < upper || (upperClosed && num === upper)))) {
+    throw new RangeError(
+      numName + ' is ' + String(num) + ' but must be in the interval ' +
+      (lowerClosed ? '[' : '(') + String(lower) + ',' + String(upper) +
+      (upperClosed ? ']' : ')'));
+  }
+}
+
+/**
+ * Get the obstacles of a layout, sized for a container.
+ *
+ * @param {string} layout - The name of the layout, which is "none",
+ * "pillars" for a pillar in each quarter of the container, or "partitions"
+ * for two walls that reach in from the sides.
+ * @param {number} areaWidth - The width of the container's padding area.
+ * @param {number} areaHeight - The height of the container's padding area.
+ *
+ * @return {Object[]} The boxes of the obstacles, in whole pixels, see
+ * {@link ButtonWorld#setObstacles}.
+ *
+ * @throws {Error} If the layout is not known.
+ */
+export function obstacleLayout (layout, areaWidth, areaHeight) {
+  const obstacles = OBSTACLE_LAYOUTS[layout];
+  if (!Array.isArray(obstacles)) {
+    throw new Error('Unknown obstacle layout "' + String(layout) + '"');
+  }
+  return obstacles.map(function (obstacle) {
+    const left = Math.round(obstacle.x * areaWidth);
+    const top = Math.round(obstacle.y * areaHeight);
+    return {
+      x: left,
+      y: top,
+      width: Math.round((obstacle.x + obstacle.width) * areaWidth) - left,
+      height: Math.round((obstacle.y + obstacle.height) * areaHeight) - top
+    };
+  });
+}
+
+/**
+ * A constant deceleration, like the friction of a button sliding over a
+ * surface. This is the law that {@link BoundedMotion} uses along each of its
+ * trajectories, and the other laws provide the same methods.
+ *
+ * With deceleration `a` and initial speed `u0`, the speed and the distance
+ * travelled at time `t` are
+ *
+ * ```
+ *   u(t) = u0 - a * t ,
+ *   d(t) = u0 * t - (a * t * t) / 2 ,
+ * ```
+ *
+ * until the particle stops at `T = u0 / a`, after `D = u0 * u0 / (2 * a)`.
+ */
+export class ConstantDecel {
+  /**
+   * Create a new ConstantDecel.
+   *
+   * @param {number} accel - The magnitude of the deceleration. Must be
+   * positive (non-zero) and finite.
+   * @param {number} [terminalSpeed=Infinity] - The fastest that a push
+   * stronger than the deceleration speeds the particle up to, see
+   * {@link ConstantDecel#withPush}. Must be positive (non-zero).
+   *
+   * @return {ConstantDecel} A new ConstantDecel.
+   *
+   * @throws {RangeError} If parameters are out of bounds.
+   */
+  constructor (accel, terminalSpeed) {
+    if (terminalSpeed === undefined) {
+      terminalSpeed = Infinity;
+    }
+    checkRange('accel', accel, 0, false, Infinity, false);
+    checkRange('terminalSpeed', terminalSpeed, 0, false, Infinity, true);
+    this._accel = accel;
+    this._terminalSpeed = terminalSpeed;
+
+    Object.seal(this);
+  }
+
+  /**
+   * Get the speed of the particle a while after it started.
+   *
+   * @param {number} speed - The initial speed `u0`. Must not be negative.
+   * @param {number} time - The time since the particle started, which is at
+   * most the time that it stops.
+   *
+   * @return {number} The speed `u(t)`.
+   */
+  speedAt (speed, time) {
+    return Math.max(0, speed - (this._accel * time));
+  }
+
+  /**
+   * Get the distance the particle has travelled a while after it started.
+   *
+   * @param {number} speed - The initial speed `u0`. Must not be negative.
+   * @param {number} time - The time since the particle started, which is at
+   * most the time that it stops.
+   *
+   * @return {number} The distance `d(t)`.
+   */
+  distAt (speed, time) {
+    return ((speed + this.speedAt(speed, time)) / 2) * time;
+  }
+
+  /**
+   * Get the time that the particle stops.
+   *
+   * @param {number} speed - The initial speed `u0`. Must not be negative.
+   *
+   * @return {number} The time `T` since the particle started. This is finite.
+   */
+  timeToStop (speed) {
+    return speed / this._accel;
+  }
+
+  /**
+   * Get the distance that the particle travels before it stops.
+   *
+   * @param {number} speed - The initial speed `u0`. Must not be negative.
+   *
+   * @return {number} The distance `D`.
+   */
+  distToStop (speed) {
+    return (speed * speed) / (2 * this._accel);
+  }
+
+  /**
+   * Get the time that the particle has travelled a distance.
+   *
+   * @param {number} speed - The initial speed `u0`. Must not be negative.
+   * @param {number} dist - The distance `d`, which must not be more than the
+   * distance to stop.
+   *
+   * @return {number} The time `t` such that `d(t) = d`.
+   */
+  timeAtDist (speed, dist) {
+    /* the earlier root of
+     *
+     *   0 = d - u0 t + a t^2 / 2 ,
+     *
+     * since the later root is the particle turning around */
+    const accel = this._accel;
+    const disc = (speed * speed) - (2 * accel * dist);
+    /* clamp against rounding errors at the stop */
+    return (speed - Math.sqrt(Math.max(0, disc))) / accel;
+  }
+
+  /**
+   * Get the magnitude of the friction of the law, which is how much it
+   * slows a particle that is about to stop. A particle at rest is held by
+   * the friction against any weaker push.
+   *
+   * @return {number} The friction `a`.
+   */
+  friction () {
+    return this._accel;
+  }
+
+  /**
+   * Get the law for a particle that is also pushed along by a constant
+   * force, such as gravity, see {@link BoundedMotion#setForce}. The push
+   * takes away from the friction, so once it is stronger than the friction
+   * the particle speeds up rather than stopping, up to the terminal speed.
+   *
+   * @param {number} push - The acceleration from the force in the direction
+   * of travel. This is negative for a force against the travel.
+   *
+   * @return {Object} The law, which has the same methods. Once the push is
+   * at least the friction, the particle never stops, so the time and
+   * distance to stop are infinite.
+   */
+  withPush (push) {
+    if (push === 0) {
+      return this;
+    }
+    const decel = this._accel - push;
+    return (decel > 0)
+      ? new ConstantDecel(decel, this._terminalSpeed)
+      : new ConstantAccel(-decel, this._accel, this._terminalSpeed);
+  }
+}
+
+/**
+ * A constant acceleration, for a particle that is pushed along by a force
+ * stronger than the friction, see {@link ConstantDecel#withPush}. With
+ * acceleration `g`, the speed and the distance travelled at time `t` are
+ *
+ * ```
+ *   u(t) = u0 + g * t ,
+ *   d(t) = u0 * t + (g * t * t) / 2 ,
+ * ```
+ *
+ * until the particle reaches the terminal speed `W` at `T1 = (W - u0) / g`,
+ * after which it keeps that speed. A particle that starts faster than `W`
+ * instead slows down with the friction `a` until it reaches `W`, since the
+ * push no longer helps it along. Either way, the particle never stops, and
+ * without a terminal speed it speeds up forever. See {@link ConstantDecel}
+ * for the methods.
+ */
+class ConstantAccel {
+  /**
+   * Create a new ConstantAccel.
+   *
+   * @param {number} accel - The acceleration `g`. Must not be negative.
+   * @param {number} friction - The friction `a`.
+   * @param {number} terminalSpeed - The terminal speed `W`, which may be
+   * infinite.
+   *
+   * @return {ConstantAccel} A new ConstantAccel.
+   */
+  constructor (accel, friction, terminalSpeed) {
+    this._accel = accel;
+    this._friction = friction;
+    this._terminalSpeed = terminalSpeed;
+
+    Object.seal(this);
+  }
+
+  _rate (speed) {
+    /* the signed rate that the speed changes until the terminal speed */
+    return (speed <= this._terminalSpeed) ? this._accel : -this._friction;
+  }
+
+  _timeToTerminal (speed) {
+    const rate = this._rate(speed);
+    if (rate === 0) {
+      return Infinity;
+    }
+    return (this._terminalSpeed - speed) / rate;
+  }
+
+  speedAt (speed, time) {
+    if (time >= this._timeToTerminal(speed)) {
+      return this._terminalSpeed;
+    }
+    return speed + (this._rate(speed) * time);
+  }
+
+  distAt (speed, time) {
+    const terminalTime = this._timeToTerminal(speed);
+    if (time <= terminalTime) {
+      return ((speed + this.speedAt(speed, time)) / 2) * time;
+    }
+    return (((speed + this._terminalSpeed) / 2) * terminalTime) +
+      (this._terminalSpeed * (time - terminalTime));
+  }
+
+  timeToStop (speed) {
+    /* only a particle at rest, without a push, stays stopped */
+    return (speed === 0 && this._accel === 0) ? 0 : Infinity;
+  }
+
+  distToStop (speed) {
+    return (speed === 0 && this._accel === 0) ? 0 : Infinity;
+  }
+
+  timeAtDist (speed, dist) {
+    if (!(dist > 0)) {
+      return 0;
+    }
+    const terminalTime = this._timeToTerminal(speed);
+    const terminalDist = (terminalTime === Infinity)
+      ? Infinity : ((speed + this._terminalSpeed) / 2) * terminalTime;
+    if (dist > terminalDist) {
+      return terminalTime + ((dist - terminalDist) / this._terminalSpeed);
+    }
+    /* the earlier positive root of
+     *
+     *   0 = r t^2 / 2 + u0 t - d ,
+     *
+     * for the rate `r`, in a form that avoids the cancellation when `r` is
+     * small */
+    const disc = (speed * speed) + (2 * this._rate(speed) * dist);
+    /* clamp against rounding errors at the terminal speed */
+    const root = speed + Math.sqrt(Math.max(0, disc));
+    return (root > 0) ? (2 * dist) / root : Infinity;
+  }
+}
+
+/**
+ * A deceleration from linear drag, like a button gliding through a thick
+ * fluid, along with a constant friction so that it does stop. Fast buttons
+ * slow quickly, and slow buttons drift.
+ *
+ * With friction `a` and drag coefficient `k`, the speed follows
+ *
+ * ```
+ *   du/dt = -(a + k * u) ,
+ * ```
+ *
+ * so with `c = a / k`,
+ *
+ * ```
+ *   u(t) = (u0 + c) * exp(-k * t) - c ,
+ *   d(t) = (u0 + c) * (1 - exp(-k * t)) / k - c * t ,
+ * ```
+ *
+ * until the particle stops at `T = ln(1 + u0 / c) / k`. Without the friction,
+ * the speed would decay exponentially, but never reach zero.
+ *
+ * The time to travel a distance has no closed form, so it is found by
+ * Newton's method, see {@link LinearDrag#timeAtDist}.
+ *
+ * See {@link ConstantDecel} for the methods.
+ */
+export class LinearDrag {
+  /**
+   * Create a new LinearDrag.
+   *
+   * @param {number} accel - The magnitude of the constant friction. Must be
+   * positive (non-zero) and finite.
+   * @param {number} drag - The drag coefficient `k`, per second. Must be
+   * positive (non-zero) and finite.
+   *
+   * @return {LinearDrag} A new LinearDrag.
+   *
+   * @throws {RangeError} If parameters are out of bounds.
+   */
+  constructor (accel, drag) {
+    checkRange('accel', accel, 0, false, Infinity, false);
+    checkRange('drag', drag, 0, false, Infinity, false);
+    this._accel = accel;
+    this._drag = drag;
+    /* the most steps of Newton's method */
+    this._maxSteps = 100;
+
+    Object.seal(this);
+  }
+
+  speedAt (speed, time) {
+    const terminal = this._accel / this._drag;
+    return Math.max(
+      0, ((speed + terminal) * Math.exp(-this._drag * time)) - terminal);
+  }
+
+  distAt (speed, time) {
+    const drag = this._drag;
+    const terminal = this._accel / drag;
+    time = Math.min(time, this.timeToStop(speed));
+    /* expm1 keeps the precision for short times */
+    return ((speed + terminal) * -Math.expm1(-drag * time) / drag) -
+      (terminal * time);
+  }
+
+  timeToStop (speed) {
+    return Math.log1p(speed * this._drag / this._accel) / this._drag;
+  }
+
+  distToStop (speed) {
+    return (speed - (this._accel * this.timeToStop(speed))) / this._drag;
+  }
+
+  timeAtDist (speed, dist) {
+    /* The distance is increasing and concave in time, so starting from
+     * `t = 0`, each step of Newton's method stays before the solution and
+     * moves towards it. This can not overshoot, so it is robust, and it
+     * converges quickly except very close to the stop, where it is cut short
+     * by the step limit */
+    const stopTime = this.timeToStop(speed);
+    if (dist >= this.distToStop(speed)) {
+      return stopTime;
+    }
+    let time = 0;
+    for (let step = 0; step < this._maxSteps; step++) {
+      const vel = this.speedAt(speed, time);
+      if (!(vel > 0)) {
+        break;
+      }
+      const change = (dist - this.distAt(speed, time)) / vel;
+      if (!(change > 0)) {
+        break;
+      }
+      time = Math.min(stopTime, time + change);
+      if (change <= time * Number.EPSILON) {
+        break;
+      }
+    }
+    return time;
+  }
+
+  friction () {
+    return this._accel;
+  }
+
+  withPush (push) {
+    if (push === 0) {
+      return this;
+    }
+    const decel = this._accel - push;
+    return (decel > 0)
+      ? new LinearDrag(decel, this._drag)
+      : new PushedLinearDrag(-decel, this._drag);
+  }
+}
+
+/**
+ * Linear drag on a particle that is pushed along by a force stronger than
+ * the friction, see {@link LinearDrag#withPush}. With the net push `g` and
+ * drag coefficient `k`, the speed follows
+ *
+ * ```
+ *   du/dt = g - k * u ,
+ * ```
+ *
+ * so with the terminal speed `w = g / k`,
+ *
+ * ```
+ *   u(t) = w + (u0 - w) * exp(-k * t) ,
+ *   d(t) = w * t + (u0 - w) * (1 - exp(-k * t)) / k ,
+ * ```
+ *
+ * which tends to the terminal speed, from above or below, and never stops.
+ * The time to travel a distance is found by Newton's method, kept within a
+ * bracket of the solution since the distance may be convex in time.
+ *
+ * See {@link ConstantDecel} for the methods.
+ */
+class PushedLinearDrag {
+  /**
+   * Create a new PushedLinearDrag.
+   *
+   * @param {number} push - The net push `g`. Must not be negative.
+   * @param {number} drag - The drag coefficient `k`, per second. Must be
+   * positive (non-zero).
+   *
+   * @return {PushedLinearDrag} A new PushedLinearDrag.
+   */
+  constructor (push, drag) {
+    this._push = push;
+    this._drag = drag;
+    /* the most steps of Newton's method */
+    this._maxSteps = 100;
+
+    Object.seal(this);
+  }
+
+  speedAt (speed, time) {
+    const terminal = this._push / this._drag;
+    return terminal + ((speed - terminal) * Math.exp(-this._drag * time));
+  }
+
+  distAt (speed, time) {
+    const drag = this._drag;
+    const terminal = this._push / drag;
+    return (terminal * time) +
+      ((speed - terminal) * -Math.expm1(-drag * time) / drag);
+  }
+
+  timeToStop (speed) {
+    /* only a particle at rest, without a push, stays stopped */
+    return (speed === 0 && this._push === 0) ? 0 : Infinity;
+  }
+
+  distToStop (speed) {
+    return (speed === 0 && this._push === 0) ? 0 : Infinity;
+  }
+
+  timeAtDist (speed, dist) {
+    if (!(dist > 0)) {
+      return 0;
+    }
+    const drag = this._drag;
+    const terminal = this._push / drag;
+    if (terminal === 0) {
+      /* only drag, so the particle never gets past `u0 / k` */
+      const fraction = drag * dist / speed;
+      return (fraction < 1) ? -Math.log1p(-fraction) / drag : Infinity;
+    }
+    /* The speed stays between its initial and terminal speeds, which gives
+     * an upper bound on the time. From rest, the distance is at least
+     * `w * t - w / k` */
+    const slowest = Math.min(speed, terminal);
+    let low = 0;
+    let high = (slowest > 0)
+      ? dist / slowest : (dist / terminal) + (1 / drag);
+    let time = 0;
+    for (let step = 0; step < this._maxSteps; step++) {
+      const error = this.distAt(speed, time) - dist;
+      if (error === 0) {
+        break;
+      } else if (error < 0) {
+        low = time;
+      } else {
+        high = time;
+      }
+      let next = time - (error / this.speedAt(speed, time));
+      if (!(next > low && next < high)) {
+        /* Newton's method would leave the bracket, so bisect instead */
+        next = (low + high) / 2;
+      }
+      const change = Math.abs(next - time);
+      time = next;
+      if (change <= time * Number.EPSILON) {
+        break;
+      }
+    }
+    return time;
+  }
+}
+
+/**
+ * A deceleration from quadratic drag, like a button pushing through the air,
+ * along with a constant friction so that it does stop. This slows fast
+ * buttons much more than slow ones.
+ *
+ * With friction `a` and drag coefficient `c`, the speed follows
+ *
+ * ```
+ *   du/dt = -(a + c * u * u) ,
+ * ```
+ *
+ * so with `w = sqrt(a * c)` and `q0 = atan(u0 * sqrt(c / a))`,
+ *
+ * ```
+ *   u(t) = sqrt(a / c) * tan(q0 - w * t) ,
+ *   d(t) = ln(cos(q0 - w * t) / cos(q0)) / c ,
+ * ```
+ *
+ * until the particle stops at `T = q0 / w`. The distance can be inverted, so
+ * the time to travel a distance has the closed form
+ *
+ * ```
+ *   t = (q0 - acos(cos(q0) * exp(c * d))) / w ,
+ * ```
+ *
+ * although the methods use equivalent forms that keep their precision for
+ * small angles.
+ *
+ * See {@link ConstantDecel} for the methods.
+ */
+export class QuadraticDrag {
+  /**
+   * Create a new QuadraticDrag.
+   *
+   * @param {number} accel - The magnitude of the constant friction. Must be
+   * positive (non-zero) and finite.
+   * @param {number} drag - The drag coefficient `c`, per pixel. Must be
+   * positive (non-zero) and finite.
+   *
+   * @return {QuadraticDrag} A new QuadraticDrag.
+   *
+   * @throws {RangeError} If parameters are out of bounds.
+   */
+  constructor (accel, drag) {
+    checkRange('accel', accel, 0, false, Infinity, false);
+    checkRange('drag', drag, 0, false, Infinity, false);
+    this._accel = accel;
+    this._drag = drag;
+
+    Object.seal(this);
+  }
+
+  _angle (speed) {
+    return Math.atan(speed * Math.sqrt(this._drag / this._accel));
+  }
+
+  speedAt (speed, time) {
+    const angle = this._angle(speed) - (Math.sqrt(this._accel * this._drag) *
+      time);
+    /* clamp against rounding errors at the start and the stop */
+    return Math.min(speed, Math.max(
+      0, Math.sqrt(this._accel / this._drag) * Math.tan(angle)));
+  }
+
+  distAt (speed, time) {
+    /* since
+     *
+     *   cos(q0 - w t) / cos(q0) = cos(w t) + tan(q0) sin(w t) ,
+     *
+     * where `cos(w t) - 1 = -2 sin(w t / 2) ^ 2` */
+    const turn = Math.min(this._angle(speed),
+      Math.sqrt(this._accel * this._drag) * time);
+    const halfSin = Math.sin(turn / 2);
+    return Math.log1p(
+      (speed * Math.sqrt(this._drag / this._accel) * Math.sin(turn)) -
+      (2 * halfSin * halfSin)) / this._drag;
+  }
+
+  timeToStop (speed) {
+    return this._angle(speed) / Math.sqrt(this._accel * this._drag);
+  }
+
+  distToStop (speed) {
+    /* since `1 / cos(q0) ^ 2 = 1 + tan(q0) ^ 2` */
+    return Math.log1p(this._drag * speed * speed / this._accel) /
+      (2 * this._drag);
+  }
+
+  timeAtDist (speed, dist) {
+    /* the angle `q = q0 - w t` at the distance, from
+     *
+     *   tan(q) ^ 2 = 1 / cos(q) ^ 2 - 1
+     *              = (1 + tan(q0) ^ 2) * exp(-2 c d) - 1 ,
+     *
+     * rather than acos, which loses precision near the stop */
+    const drag = this._drag;
+    const scaled = speed * Math.sqrt(drag / this._accel);
+    const tanSq = (scaled * scaled * Math.exp(-2 * drag * dist)) +
+      Math.expm1(-2 * drag * dist);
+    /* clamp against rounding errors at the stop */
+    const angle = Math.atan(Math.sqrt(Math.max(0, tanSq)));
+    return (this._angle(speed) - angle) / Math.sqrt(this._accel * drag);
+  }
+
+  friction () {
+    return this._accel;
+  }
+
+  withPush (push) {
+    if (push === 0) {
+      return this;
+    }
+    const decel = this._accel - push;
+    return (decel > 0)
+      ? new QuadraticDrag(decel, this._drag)
+      : new PushedQuadraticDrag(-decel, this._drag);
+  }
+}
+
+/* `ln(cosh(x))`, without overflowing for large `x` */
+function logCosh (x) {
+  x = Math.abs(x);
+  return x + Math.log1p(Math.exp(-2 * x)) - Math.LN2;
+}
+
+/* `ln(sinh(x))` for positive `x`, without overflowing for large `x` */
+function logSinh (x) {
+  return x + Math.log(-Math.expm1(-2 * x)) - Math.LN2;
+}
+
+/**
+ * Quadratic drag on a particle that is pushed along by a force stronger
+ * than the friction, see {@link QuadraticDrag#withPush}. With the net push
+ * `g` and drag coefficient `c`, the speed follows
+ *
+ * ```
+ *   du/dt = g - c * u * u ,
+ * ```
+ *
+ * so with the terminal speed `w = sqrt(g / c)` and `m = sqrt(g * c)`, a
+ * particle slower than the terminal speed has, with `p0 = atanh(u0 / w)`,
+ *
+ * ```
+ *   u(t) = w * tanh(m * t + p0) ,
+ *   d(t) = ln(cosh(m * t + p0) / cosh(p0)) / c ,
+ * ```
+ *
+ * and a particle faster than the terminal speed has, with
+ * `p0 = atanh(w / u0)`,
+ *
+ * ```
+ *   u(t) = w / tanh(m * t + p0) ,
+ *   d(t) = ln(sinh(m * t + p0) / sinh(p0)) / c .
+ * ```
+ *
+ * Both tend to the terminal speed and never stop, and both distances can be
+ * inverted for the time to travel a distance. Without the push, the speed
+ * decays as `u(t) = u0 / (1 + c * u0 * t)`.
+ *
+ * See {@link ConstantDecel} for the methods.
+ */
+class PushedQuadraticDrag {
+  /**
+   * Create a new PushedQuadraticDrag.
+   *
+   * @param {number} push - The net push `g`. Must not be negative.
+   * @param {number} drag - The drag coefficient `c`, per pixel. Must be
+   * positive (non-zero).
+   *
+   * @return {PushedQuadraticDrag} A new PushedQuadraticDrag.
+   */
+  constructor (push, drag) {
+    this._push = push;
+    this._drag = drag;
+    this._terminal = Math.sqrt(push / drag);
+    this._rate = Math.sqrt(push * drag);
+
+    Object.seal(this);
+  }
+
+  _phase (speed) {
+    /* the phase `p0` for the initial speed, see the class */
+    return (speed < this._terminal)
+      ? Math.atanh(speed / this._terminal) : Math.atanh(this._terminal / speed);
+  }
+
+  speedAt (speed, time) {
+    const drag = this._drag;
+    const terminal = this._terminal;
+    if (terminal === 0) {
+      return speed / (1 + (drag * speed * time));
+    } else if (speed === terminal) {
+      return speed;
+    }
+    const phase = this._phase(speed) + (this._rate * time);
+    return (speed < terminal)
+      ? terminal * Math.tanh(phase) : terminal / Math.tanh(phase);
+  }
+
+  distAt (speed, time) {
+    const drag = this._drag;
+    const terminal = this._terminal;
+    if (terminal === 0) {
+      return Math.log1p(drag * speed * time) / drag;
+    } else if (speed === terminal) {
+      return speed * time;
+    }
+    const initPhase = this._phase(speed);
+    const phase = initPhase + (this._rate * time);
+    return (speed < terminal)
+      ? (logCosh(phase) - logCosh(initPhase)) / drag
+      : (logSinh(phase) - logSinh(initPhase)) / drag;
+  }
+
+  timeToStop (speed) {
+    /* only a particle at rest, without a push, stays stopped */
+    return (speed === 0 && this._push === 0) ? 0 : Infinity;
+  }
+
+  distToStop (speed) {
+    return (speed === 0 && this._push === 0) ? 0 : Infinity;
+  }
+
+  timeAtDist (speed, dist) {
+    if (!(dist > 0)) {
+      return 0;
+    }
+    const drag = this._drag;
+    const terminal = this._terminal;
+    if (terminal === 0) {
+      return (speed > 0) ? Math.expm1(drag * dist) / (drag * speed) : Infinity;
+    } else if (speed === terminal) {
+      return dist / speed;
+    }
+    /* the phase at the distance, from the logarithm of its cosh or sinh.
+     * For a large logarithm, `acosh(y)` and `asinh(y)` are `ln(2 * y)` to
+     * within rounding */
+    const initPhase = this._phase(speed);
+    let phase;
+    if (speed < terminal) {
+      const log = logCosh(initPhase) + (drag * dist);
+      phase = (log > 20) ? log + Math.LN2 : Math.acosh(Math.exp(log));
+    } else {
+      const log = logSinh(initPhase) + (drag * dist);
+      phase = (log > 20) ? log + Math.LN2 : Math.asinh(Math.exp(log));
+    }
+    return Math.max(0, phase - initPhase) / this._rate;
+  }
+}
+
+/* the modes of a boundary of a BoundedMotion */
+const WALL_MODES = ['rebound', 'wrap', 'sticky', 'absorb'];
+
+/* the highest that a particle pulled into a boundary can rebound from it
+ * before it settles against it instead, see BoundedMotion */
+const SETTLE_DISTANCE = 0.5;
+
+/* the most trajectories to follow ahead of a BoundedMotion, since a pulled
+ * particle may never come to rest */
+const MAX_TRAJECTORIES = 1000;
+
+/* the constant force of the field of a config along each axis, see the
+ * field option of makeConfig. The pull of the "magnet" mode is worked out by
+ * each ButtonBody */
+function fieldForce (config) {
+  switch (config.field) {
+    case 'gravity':
+      return { x: 0, y: config.fieldAccel };
+    case 'wind':
+      return { x: config.fieldAccel, y: 0 };
+    default:
+      return { x: 0, y: 0 };
+  }
+}
+
+/* the deceleration law of a config, see the decel option of makeConfig */
+function makeDecel (config) {
+  switch (config.decel) {
+    case 'linear':
+      return new LinearDrag(config.accel, config.linearDrag);
+    case 'quadratic':
+      return new QuadraticDrag(config.accel, config.quadraticDrag);
+    default:
+      return new ConstantDecel(config.accel, config.terminalVel);
+  }
+}
+
+/**
+ * Generate the motion for a point particle between two boundaries. If the
+ * particle is given a velocity it will decelerate until the velocity reaches
+ * zero. If a boundary is hit, the particle will rebound in the opposite
+ * direction.
+ *
+ * ## Motion Theory
+ *
+ * Whilst a particle is away from a boundary and has non-zero velocity it is
+ * subject to a deceleration law, such as a {@link ConstantDecel} with
+ * magnitude `a`. If the particle starts this trajectory at time `0`, with
+ * initial position `x0` and velocity `v0`, then at time `t` its velocity is
+ *
+ * ```
+ *   v(t) = s0 * u(t) ,
+ * ```
+ *
+ * where `s0 = sign(v0)` and `u(t)` is the speed given by the law, starting
+ * from `u0 = abs(v0)`. For the constant deceleration, `u(t) = u0 - a * t`.
+ * Its position from the earlier boundary is
+ *
+ * ```
+ *   x(t) = x0 + s0 * d(t) ,
+ * ```
+ *
+ * where `d(t)` is the distance travelled given by the law. For the constant
+ * deceleration, `d(t) = u0 * t - (a * t * t) / 2`. Every law only slows the
+ * particle, so the position changes monotonically along the trajectory.
+ *
+ * This trajectory ends at the earliest `t = T` such that:
+ *
+ * + `x(T) = 0` or
+ * + `x(T) = w` or
+ * + `v(T) = 0`,
+ *
+ * where `w` is the width between the boundaries.
+ *
+ * In the first two cases, the particle will start a new trajectory
+ * with velocity `v'` and position `x'` and time parameter `t'`, starting with:
+ *
+ * + `t' = 0`,
+ * + `x'(0) = x0' = x(T)`,
+ * + `v'(0) = v0' = r(v(T))` and
+ *
+ * where `r` is an antisymmetric rebound velocity function such that a negative
+ * velocity `v` becomes a positive rebound velocity `r(v)`.
+ *
+ * In the latter case where `v(T) = 0` the subsequent velocity will be `0` and
+ * the position will remain at `x(T)`.
+ *
+ * ## Walls
+ *
+ * The rebound above is the "rebound" mode of a boundary, which is the
+ * default. Each boundary can instead be given a different mode, see
+ * {@link BoundedMotion#setWalls}:
+ *
+ * + "wrap": the new trajectory starts from the opposite boundary with the
+ *   same velocity, `x0' = w - x(T)` and `v0' = v(T)`.
+ * + "sticky": the particle stops at the boundary, `v0' = 0`.
+ * + "absorb": the particle stops at the boundary, as for "sticky". The
+ *   difference is left to the user of the motion.
+ *
+ * ## Forces
+ *
+ * The particle can also be given a constant force `f`, as an acceleration,
+ * see {@link BoundedMotion#setForce}. Along a trajectory the force either
+ * opposes the velocity, and adds to the deceleration, or acts along it, and
+ * takes from the deceleration, see the *withPush* method of the laws. A
+ * force that is stronger than the friction of the law pushes the particle
+ * faster, so it may never stop, and the trajectory only ends at a boundary.
+ *
+ * Either way, the direction of travel does not change along a trajectory,
+ * so the position still changes monotonically. A particle that stops
+ * against a force that is stronger than the friction instead turns around
+ * and starts a new trajectory from rest, in the direction of the force. It
+ * only comes to rest against a boundary that the force pulls it into, or
+ * when it is held, see {@link BoundedMotion#rebound}.
+ *
+ * A particle that keeps rebounding from a boundary that it is pulled into
+ * would rebound infinitely many times, ever lower, in a finite time.
+ * Instead, once a rebound would take it no further than half a pixel from
+ * the boundary, it settles against the boundary.
+ *
+ * @public
+ */
+export class BoundedMotion {
+  /**
+   * Create a new BoundedMotion instance. You will want to call
+   * {@link BoundedMotion.setPos} and {@link BoundedMotion.setVel} to initialise
+   * the motion.
+   *
+   * @param {number} upperPos - The position of the upper boundary (the lower
+   * boundary is at 0). Must be positive (non-zero).
+   * @param {number} halfReboundVel - A reference velocity magnitude for the
+   * rebound velocity from a boundary. If the incoming velocity is equal to this
+   * reference velocity in magnitude, it will rebound with half its velocity.
+   * Higher velocities are reduced by more than half. Lower velocities are
+   * reduced by less than half. Must be positive (non-zero) and finite.
+   * @param {Object} decel - The deceleration law to apply, such as a
+   * {@link ConstantDecel}, {@link LinearDrag} or {@link QuadraticDrag}. This
+   * must have the *friction* and *withPush* methods.
+   * @param {function(number, number)} [reboundHandler] - A handler to call
+   * every time the particle rebounds from a boundary during
+   * {@link BoundedMotion#update}. It is given the position of the boundary
+   * and the incoming velocity.
+   *
+   * @return {BoundedMotion} A new BoundedMotion.
+   * @property {number} pos The position of the particle. Call
+   * {@link BoundedMotion#update} to update its value.
+   * @property {number} vel The velocity of the particle. Call
+   * {@link BoundedMotion#update} to update its value.
+   *
+   * @throws {RangeError} If parameters are out of bounds.
+   */
+  constructor (upperPos, halfReboundVel, decel, reboundHandler) {
+    checkRange('upperPos', upperPos, 0, false, Infinity, true);
+    checkRange('halfReboundVel', halfReboundVel, 0, false, Infinity, false);
+
+    this._halfReboundVel = halfReboundVel;
+    this._decel = decel;
+    this._upperPos = upperPos;
+    this._reboundHandler = reboundHandler;
+    /* the mode of each boundary */
+    this._lowerWall = 'rebound';
+    this._upperWall = 'rebound';
+
+    /* the constant force on the particle, and whether it is held at rest
+     * against it, see rebound */
+    this._force = 0;
+    this._held = false;
+
+    this._trajStartGlobalTime = undefined;
+    this._initPos = NaN;
+    this.pos = NaN;
+    this._initVel = 0;
+    this.vel = 0;
+    Object.seal(this);
+  }
+
+  /**
+   * Create a copy of the motion in its current state, which can be updated
+   * independently to predict the motion. The copy will not call the
+   * *reboundHandler*.
+   *
+   * @return {BoundedMotion} A new BoundedMotion.
+   */
+  copy () {
+    const motion = new BoundedMotion(
+      this._upperPos, this._halfReboundVel, this._decel);
+    motion._lowerWall = this._lowerWall;
+    motion._upperWall = this._upperWall;
+    motion._force = this._force;
+    motion._held = this._held;
+    motion._trajStartGlobalTime = this._trajStartGlobalTime;
+    motion._initPos = this._initPos;
+    motion.pos = this.pos;
+    motion._initVel = this._initVel;
+    motion.vel = this.vel;
+    return motion;
+  }
+
+  /**
+   * Get the state of the motion, such as to save it and carry on with it
+   * later, see {@link BoundedMotion#restoreState}. The state only has
+   * numbers, so it can be stored as JSON. Times are relative to the given
+   * time, so the state does not depend on the clock.
+   *
+   * @param {number} globalTime - The current time.
+   *
+   * @return {Object} The position of the upper boundary, *upperPos*, the
+   * current *pos* and *vel* of the particle, and the *initPos*, *initVel*
+   * and *trajStartTime* of its current trajectory, along with the *force*
+   * on the particle and whether it is *held*. The *trajStartTime* is
+   * relative to the given time, so is negative for a trajectory that started
+   * before it.
+   */
+  saveState (globalTime) {
+    if (!this.isMoving()) {
+      /* at rest, where the trajectory no longer matters, and may not have
+       * started */
+      return {
+        upperPos: this._upperPos,
+        pos: this.pos,
+        vel: 0,
+        initPos: this.pos,
+        initVel: 0,
+        trajStartTime: 0,
+        force: this._force,
+        held: this._held
+      };
+    }
+    return {
+      upperPos: this._upperPos,
+      pos: this.pos,
+      vel: this.vel,
+      initPos: this._initPos,
+      initVel: this._initVel,
+      trajStartTime: this._trajStartGlobalTime - globalTime,
+      force: this._force,
+      held: this._held
+    };
+  }
+
+  /**
+   * Carry on with a motion from a state given by
+   * {@link BoundedMotion#saveState}. If the upper boundary was elsewhere in
+   * the state, the particle is then moved with the boundary, as for
+   * {@link BoundedMotion#setUpperPos}. The boundary modes, the rebound and
+   * the deceleration are kept. A state saved before the forces, without a
+   * *force* or *held*, has no force and is not held.
+   *
+   * @param {number} globalTime - The current time, which the times of the
+   * state are relative to.
+   * @param {Object} state - The state to restore.
+   *
+   * @throws {TypeError} If a value of the state is not a number, or not a
+   * boolean for *held*.
+   * @throws {RangeError} If a value of the state is out of range.
+   */
+  restoreState (globalTime, state) {
+    /* check everything before changing anything */
+    const upperPos = state.upperPos;
+    checkRange('upperPos', upperPos, 0, false, Infinity, true);
+    checkRange('pos', state.pos, 0, true, upperPos, true);
+    checkRange('initPos', state.initPos, 0, true, upperPos, true);
+    checkRange('vel', state.vel, -Infinity, false, Infinity, false);
+    checkRange('initVel', state.initVel, -Infinity, false, Infinity, false);
+    checkRange(
+      'trajStartTime', state.trajStartTime, -Infinity, false, Infinity,
+      false);
+    const force = (state.force === undefined) ? 0 : state.force;
+    checkRange('force', force, -Infinity, false, Infinity, false);
+    const held = (state.held === undefined) ? false : state.held;
+    if (typeof held !== 'boolean') {
+      throw new TypeError('held must be a boolean');
+    }
+
+    const newUpperPos = this._upperPos;
+    this._upperPos = upperPos;
+    this._force = force;
+    this._held = held;
+    this._initPos = state.initPos;
+    this.pos = state.pos;
+    this._initVel = state.initVel;
+    this.vel = state.vel;
+    this._trajStartGlobalTime = globalTime + state.trajStartTime;
+    if (upperPos !== newUpperPos) {
+      this.setUpperPos(globalTime, newUpperPos);
+    }
+  }
+
+  /**
+   * Set the initial position of the particle.
+   *
+   * @param {number} initPos - The new position of the particle. Must be
+   * between 0 and the upper boundary (inclusive).
+   *
+   * @throws {RangeError} If out of range.
+   */
+  setPos (initPos) {
+    checkRange('initPos', initPos, 0, true, this._upperPos, true);
+    this._initPos = initPos;
+    this.pos = initPos;
+  }
+
+  /**
+   * Set the initial velocity of the particle. A particle that is given a
+   * velocity is no longer held, see {@link BoundedMotion#rebound}.
+   *
+   * @param {number} globalTime - The time for when the particle gained the
+   * velocity. Must be finite.
+   * @param {number} initVel - The new velocity of the particle. Must be
+   * finite.
+   *
+   * @throws {RangeError} If not finite numbers.
+   */
+  setVel (globalTime, initVel) {
+    checkRange('globalTime', globalTime, -Infinity, false, Infinity, false);
+    checkRange('initVel', initVel, -Infinity, false, Infinity, false);
+    this._trajStartGlobalTime = globalTime;
+    this._initVel = initVel;
+    this.vel = initVel;
+    if (initVel !== 0) {
+      this._held = false;
+    }
+  }
+
+  /**
+   * Change the rebound and deceleration of the particle. If the particle is
+   * moving, it continues from its position and velocity at the given time.
+   *
+   * @param {number} globalTime - The time of the change.
+   * @param {number} halfReboundVel - The new reference velocity for the
+   * rebound, see {@link BoundedMotion#constructor}.
+   * @param {Object} decel - The new deceleration law, see
+   * {@link BoundedMotion#constructor}.
+   *
+   * @throws {RangeError} If parameters are out of bounds.
+   */
+  setParams (globalTime, halfReboundVel, decel) {
+    checkRange('halfReboundVel', halfReboundVel, 0, false, Infinity, false);
+    const delayed = this._updateForChange(globalTime);
+    this._halfReboundVel = halfReboundVel;
+    this._decel = decel;
+    if (!delayed) {
+      /* start a new trajectory with the new parameters. This includes a
+       * particle at rest, since the new friction may no longer hold it */
+      this.setPos(this.pos);
+      this.setVel(globalTime, this.vel);
+    }
+  }
+
+  _updateForChange (globalTime) {
+    /* Update the particle to the time of a change to its motion, and return
+     * whether its trajectory starts after the given time instead, in which
+     * case it can simply use the change from its start. Otherwise, the
+     * particle should start a new trajectory from the given time */
+    if (this.isMoving() && globalTime < this._trajStartGlobalTime) {
+      return true;
+    }
+    if (this.isMoving() && globalTime > this._trajStartGlobalTime) {
+      this.update(globalTime);
+    }
+    return false;
+  }
+
+  /**
+   * Set the constant force on the particle, see the "Forces" of
+   * {@link BoundedMotion}. The particle continues from its position and
+   * velocity at the given time. A particle that is held is let go if the
+   * force changes direction.
+   *
+   * @param {number} globalTime - The time of the change.
+   * @param {number} force - The force, as an acceleration in the positive
+   * direction. Must be finite.
+   *
+   * @throws {RangeError} If not a finite number.
+   */
+  setForce (globalTime, force) {
+    checkRange('force', force, -Infinity, false, Infinity, false);
+    if (force === this._force) {
+      /* keep the trajectory, so that the motion does not depend on how
+       * often the force is set */
+      return;
+    }
+    const delayed = this._updateForChange(globalTime);
+    if (Math.sign(force) !== Math.sign(this._force)) {
+      this._held = false;
+    }
+    this._force = force;
+    if (!delayed) {
+      this.setPos(this.pos);
+      this.setVel(globalTime, this.vel);
+    }
+  }
+
+  /**
+   * Get the constant force on the particle, see
+   * {@link BoundedMotion#setForce}.
+   *
+   * @return {number} The force.
+   */
+  force () {
+    return this._force;
+  }
+
+  /**
+   * Get the position of the upper boundary, see
+   * {@link BoundedMotion#setUpperPos}.
+   *
+   * @return {number} The position.
+   */
+  upperPos () {
+    return this._upperPos;
+  }
+
+  /**
+   * Get the time that the current trajectory starts, which is when the
+   * particle was last given its position and velocity. The motion can only
+   * be updated to this time or later.
+   *
+   * @return {number} The time.
+   */
+  trajStartTime () {
+    return this._trajStartGlobalTime;
+  }
+
+  /**
+   * Get whether the particle is held at rest against its force, see
+   * {@link BoundedMotion#rebound}.
+   *
+   * @return {boolean} Whether the particle is held.
+   */
+  isHeld () {
+    return this._held;
+  }
+
+  /**
+   * Let go of a particle that is held, so that its force moves it from rest
+   * at the given time.
+   *
+   * @param {number} globalTime - The time to let go.
+   */
+  letGo (globalTime) {
+    this._held = false;
+    this.setPos(this.pos);
+    this.setVel(globalTime, 0);
+  }
+
+  /**
+   * Get whether the particle is moving, or will start moving from rest
+   * because of its force.
+   *
+   * @return {boolean} Whether the particle is moving.
+   */
+  isMoving () {
+    return this.vel !== 0 || !this._restsAt(this.pos);
+  }
+
+  /**
+   * Get the direction of travel along the current trajectory. A particle
+   * that starts from rest travels in the direction of its force.
+   *
+   * @return {number} 1 for towards the upper boundary, or -1 for towards the
+   * lower boundary.
+   */
+  dir () {
+    if (this._initVel !== 0) {
+      return Math.sign(this._initVel);
+    }
+    return (this._force < 0) ? -1 : 1;
+  }
+
+  _law () {
+    /* the law along the current trajectory, with the force */
+    return this._decel.withPush(this.dir() * this._force);
+  }
+
+  /**
+   * Get whether the force on the particle overcomes its friction, so that it
+   * moves from rest unless it is held.
+   *
+   * @return {boolean} Whether the particle is pulled by its force.
+   */
+  isPulled () {
+    return Math.abs(this._force) > this._decel.friction();
+  }
+
+  _restsAt (pos) {
+    /* whether a particle without velocity stays at the given position,
+     * which it does unless it is pulled away. A particle is not pulled into
+     * a boundary that it can not pass */
+    if (!this.isPulled() || this._held) {
+      return true;
+    } else if (this._force > 0) {
+      return pos === this._upperPos && this._upperWall !== 'wrap';
+    }
+    return pos === 0 && this._lowerWall !== 'wrap';
+  }
+
+  _settles (vel) {
+    /* whether a particle that leaves a boundary or obstacle with the given
+     * velocity settles against it instead, see the "Forces" of
+     * BoundedMotion */
+    if (!this.isPulled()) {
+      return false;
+    } else if (vel === 0) {
+      return true;
+    } else if (Math.sign(vel) === Math.sign(this._force)) {
+      return false;
+    }
+    const law = this._decel.withPush(-Math.abs(this._force));
+    return law.distToStop(Math.abs(vel)) < SETTLE_DISTANCE;
+  }
+
+  /**
+   * Change the mode of each boundary, see the "Walls" of
+   * {@link BoundedMotion}. A mode only applies when the particle reaches its
+   * boundary, so a moving particle should first be updated to the time of
+   * the change.
+   *
+   * @param {string} lowerWall - The mode of the lower boundary, which is
+   * "rebound", "wrap", "sticky" or "absorb".
+   * @param {string} upperWall - The mode of the upper boundary.
+   *
+   * @throws {Error} If a mode is not known.
+   */
+  setWalls (lowerWall, upperWall) {
+    for (const wall of [lowerWall, upperWall]) {
+      if (!WALL_MODES.includes(wall)) {
+        throw new Error('Unknown wall "' + String(wall) + '"');
+      }
+    }
+    this._lowerWall = lowerWall;
+    this._upperWall = upperWall;
+  }
+
+  /**
+   * Move the upper boundary. The position and velocity of the particle are
+   * scaled with the distance between the boundaries, so the particle keeps
+   * its place relative to them. If the particle is moving, it continues from
+   * its position and velocity at the given time.
+   *
+   * @param {number} globalTime - The time of the change.
+   * @param {number} upperPos - The new position of the upper boundary. Must
+   * be positive (non-zero).
+   *
+   * @throws {RangeError} If parameters are out of bounds.
+   */
+  setUpperPos (globalTime, upperPos) {
+    checkRange('upperPos', upperPos, 0, false, Infinity, true);
+    /* whatever held the particle has moved too */
+    this._held = false;
+    /* a trajectory that starts after the given time is scaled from its
+     * start instead */
+    const delayed = this._updateForChange(globalTime);
+    const oldUpperPos = this._upperPos;
+    const scale = upperPos / oldUpperPos;
+    this._upperPos = upperPos;
+    const pos = delayed ? this._initPos : this.pos;
+    const vel = delayed ? this._initVel : this.vel;
+    /* keep a particle against the upper boundary, and clamp against
+     * rounding errors */
+    this.setPos((pos === oldUpperPos)
+      ? upperPos : Math.min(upperPos, Math.max(0, pos * scale)));
+    this.setVel(
+      delayed ? this._trajStartGlobalTime : globalTime, vel * scale);
+  }
+
+  /**
+   * Get the velocity of the particle on a trajectory (no boundaries).
+   *
+   * @param {number} trajTime - The trajectory time `t` parameter along this
+   * path, which is at most the time it stops.
+   *
+   * @return {number} The velocity `v(t)`.
+   *
+   * @private
+   */
+  _velAtTrajTime (trajTime) {
+    const speed = this._law().speedAt(Math.abs(this._initVel), trajTime);
+    return this.dir() * speed;
+  }
+
+  /**
+   * Get the trajectory time at which the velocity would reach zero for the
+   * particle on a trajectory (no boundaries).
+   *
+   * @return {number} The trajectory time `t` such that `v(t) = 0`.
+   *
+   * @private
+   */
+  _trajTimeAtStop () {
+    return this._law().timeToStop(Math.abs(this._initVel));
+  }
+
+  /**
+   * Get the displacement of the particle when it would stop on a trajectory
+   * (no boundaries).
+   *
+   * @return {number} The displacement from the initial position `x0`, in
+   * the direction of travel.
+   *
+   * @private
+   */
+  _dispAtStop () {
+    return this._law().distToStop(Math.abs(this._initVel));
+  }
+
+  /**
+   * Get the rebound velocity after the particle hits a boundary.
+   *
+   * @param {number} vel - The incoming velocity `v`.
+   *
+   * @return {number} The outgoing velocity `r(v)`.
+   */
+  reboundVel (vel) {
+    /* `r` must be antisymmetric and switch the sign of the incoming velocity,
+     * so of the form
+     *
+     *   r(v) = - sign(v) f(abs(v))
+     *
+     * where `f` is a positive function with domain [0, inf) and f(0) = 0. We
+     * want `f` to be monotonically increasing so larger velocity magnitudes
+     * always return larger rebound velocity magnitudes. However, we want larger
+     * velocities to drop by a larger proportion (a harder hit into the wall
+     * will make the rebound less elastic). I.e. we want an `f` such that
+     *
+     *   v1 < v2  =>  f(v1) < f(v2)  and  (f(v1) / v1) > (f(v2) / v2) .
+     *
+     * The function
+     *
+     *   f(v) = v / (v / vH + 1) ,
+     *
+     * where `vH` is the velocity at which `f(v) = v / 2`, will satisfy these
+     * conditions.
+     */
+    return -vel / ((Math.abs(vel) / this._halfReboundVel) + 1);
+  }
+
+  /**
+   * Get the position of the particle on a trajectory (no boundaries).
+   *
+   * @param {number} trajTime - The trajectory time `t` parameter along this
+   * path, which is at most the time it stops.
+   *
+   * @return {number} The position `x(t)`.
+   *
+   * @private
+   */
+  _posAtTrajTime (trajTime) {
+    const dist = this._law().distAt(Math.abs(this._initVel), trajTime);
+    return this._initPos + (this.dir() * dist);
+  }
+
+  /**
+   * Get the earliest trajectory time at which the position of the particle on
+   * a trajectory (no boundaries) would reach the given displacement from its
+   * initial position. Since the particle does not turn around along the
+   * trajectory, it can only reach each displacement once before it stops.
+   *
+   * @param {number} disp - The displacement `d` from the initial position `x0`
+   * in the direction of travel, which is at most the displacement when it
+   * stops.
+   *
+   * @return {number} The trajectory time `t` such that
+   * `x(t) = x0 + sign(v0) d`.
+   *
+   * @private
+   */
+  _trajTimeAtDisp (disp) {
+    return this._law().timeAtDist(Math.abs(this._initVel), disp);
+  }
+
+  /**
+   * Update the {@link BoundedMotion#pos} and {@link BoundedMotion#vel} to
+   * correspond to the motion of the particle at the given time.
+   *
+   * @param {number} globalTime - The new time for the particles motion. This
+   * time is relative to the time given in {@link BoundedMotion#setVel}. This
+   * must be larger than or equal to the time given in
+   * {@link BoundedMotion#setVel} and all previous calls to
+   * {@link BoundedMotion#update} since then (motion can only be calculated
+   * forwards).
+   *
+   * @throws {RangeError} May be thrown if the given time is not later than the
+   * previous given time.
+   */
+  update (globalTime) {
+    let pos;
+    let vel;
+    /* time since the current trajectory began */
+    let trajTime = globalTime - this._trajStartGlobalTime;
+    if (!(trajTime >= 0.0)) {
+      throw new RangeError(
+        'globalTime ' + String(globalTime) + ' is not later than the ' +
+        'trajStartGlobalTime of ' + String(this._trajStartGlobalTime));
+    }
+    let newTraj = true;
+    while (newTraj === true) {
+      newTraj = false;
+      const upperPos = this._upperPos;
+      if (this._initVel === 0 && this._restsAt(this._initPos)) {
+        /* at rest for the whole trajectory */
+        pos = this._initPos;
+        vel = 0;
+        break;
+      }
+
+      const stopTime = this._trajTimeAtStop();
+      /* the time since the start of the trajectory, even if it stops
+       * before then */
+      const fullTime = trajTime;
+      const stopped = (trajTime >= stopTime);
+      if (stopped) {
+        /* The velocity would have reached zero, which would have ended the
+         * current trajectory.
+         *
+         * Instead, to get the *current* position we need to actually go to the
+         * earlier trajectory time `t` such that `v(t) = 0`. If we do not hit
+         * a boundary then `t` gives the final movement time, after which the
+         * position is constant, and _posAtTrajTime below would give this final
+         * position. Otherwise, we would actually end earlier, but this new time
+         * `t` will still ensure that, on the current trajectory, the change in
+         * position is purely monotonic before this time `t`.
+         * Note, a zero initVel stops straight away, unless the force pulls
+         * it.
+         */
+        trajTime = stopTime;
+        vel = 0;
+      } else {
+        /* get the velocity at the current trajectory time *if* there are no
+         * boundaries */
+        vel = this._velAtTrajTime(trajTime);
+      }
+
+      /* get the position we would be at *if* there are no boundaries */
+      pos = this._posAtTrajTime(trajTime);
+      if (pos < 0 || pos > upperPos) {
+        /* This check tells us that the particle would have met one of the
+         * boundaries between the last update and now if we followed the current
+         * trajectory.
+         * Moreover, since the change in position along the trajectory has been
+         * purely monotonic up to this time, if this check has failed, we know
+         * that the particle did *not* hit a boundary (there is know
+         * room for the particle crossing and coming back on itself). Therefore,
+         * this check is both necessary and sufficient to know we have crossed
+         * a boundary.
+         */
+        /* get the distance that would have been travelled until the boundary */
+        let disp;
+        if (pos < 0) {
+          disp = this._initPos;
+        } else {
+          disp = upperPos - this._initPos;
+        }
+        /* get the time that the boundary was hit */
+        let hitTime = this._trajTimeAtDisp(disp);
+        if (hitTime > trajTime && hitTime - trajTime < 1e-9) {
+          /* a rounding error of the deceleration law */
+          hitTime = trajTime;
+        }
+        if (!(hitTime >= 0.0 && hitTime <= trajTime)) {
+          console.error('Unexpected boundary hit time of ' + String(hitTime) +
+            'outside of the range [0,' + String(trajTime) + ']. Using a hit ' +
+            'time of ' + String(trajTime) + ' instead');
+          hitTime = trajTime;
+        }
+        /* get the velocity when the boundary was hit
+         * since hitTime <= trajTime, hitVel should have the same sign as vel */
+        const hitVel = this._velAtTrajTime(hitTime);
+        const wall = (pos < 0) ? this._lowerWall : this._upperWall;
+
+        /* start a new trajectory after rebound. This trajectory
+         * starts globally at the hit time, with an initial position at the
+         * boundary and an initial velocity given by the rebound */
+        this._trajStartGlobalTime += hitTime;
+        /* pass over the left over time to the new trajectory */
+        trajTime = fullTime - hitTime;
+        if (pos < 0) {
+          this._initPos = 0;
+        } else {
+          this._initPos = upperPos;
+        }
+        if (wall === 'wrap') {
+          /* carry on from the opposite boundary instead */
+          this._initPos = upperPos - this._initPos;
+          this._initVel = hitVel;
+        } else if (wall !== 'rebound') {
+          /* stop dead against the boundary */
+          this._initVel = 0;
+        } else {
+          const reboundVel = this.reboundVel(hitVel);
+          this._initVel = this._settles(reboundVel) ? 0 : reboundVel;
+          if (this._reboundHandler !== undefined && hitVel !== 0) {
+            this._reboundHandler(this._initPos, hitVel);
+          }
+        }
+        /* calculate the position using the new trajectory instead */
+        newTraj = true;
+      } else if (stopped && !this._restsAt(pos)) {
+        /* stopped against a force that pulls it back, so turn around from
+         * rest, passing over the left over time */
+        this._trajStartGlobalTime += trajTime;
+        trajTime = fullTime - trajTime;
+        this._initPos = pos;
+        this._initVel = 0;
+        newTraj = true;
+      }
+    }
+    this.pos = pos;
+    this.vel = vel;
+  }
+
+  /**
+   * Find when the particle will be strictly between two positions, from its
+   * current trajectory up until the given time, without changing the
+   * motion. This is solved exactly from each trajectory, including
+   * any rebounds from, or wraps around, the boundaries on the way.
+   *
+   * @param {number} lower - The lower position.
+   * @param {number} upper - The upper position.
+   * @param {number} globalTime - The time to search from.
+   * @param {number} endGlobalTime - The time to search until.
+   *
+   * @return {Array<{start: number, end: number}>} The open intervals of time
+   * in which the particle is between the positions, in order, that end after
+   * *globalTime* and start before or at *endGlobalTime*. An interval may
+   * start before *globalTime*, or be infinite, if the particle was, or will
+   * remain, between the positions.
+   */
+  timesBetween (lower, upper, globalTime, endGlobalTime) {
+    const intervals = [];
+    function addInterval (start, end) {
+      if (!(start < end)) {
+        return;
+      }
+      const last = intervals[intervals.length - 1];
+      if (last !== undefined && last.end === start) {
+        /* carries on between two trajectories */
+        last.end = end;
+      } else {
+        intervals.push({ start: start, end: end });
+      }
+    }
+    function isBetween (pos) {
+      return pos > lower && pos < upper;
+    }
+    if (!this.isMoving()) {
+      /* at rest */
+      return isBetween(this.pos) ? [{ start: -Infinity, end: Infinity }] : [];
+    }
+    if (isBetween(this._initPos)) {
+      /* at rest until the trajectory starts */
+      addInterval(-Infinity, this._trajStartGlobalTime);
+    }
+    this._followTrajs(endGlobalTime, function (traj) {
+      /* moving from the near position towards the far position */
+      const near = (traj.dir > 0) ? lower : upper;
+      const far = (traj.dir > 0) ? upper : lower;
+      let start = NaN;
+      if (isBetween(traj.initPos)) {
+        start = traj.start;
+      } else if (traj.dir * (traj.initPos - near) <= 0) {
+        start = traj.timeAtPos(near);
+      }
+      if (!Number.isNaN(start)) {
+        let end = traj.timeAtPos(far);
+        if (Number.isNaN(end)) {
+          /* still between at the end of the trajectory, and after it if it
+           * comes to rest there */
+          end = (traj.rests && isBetween(traj.endPos)) ? Infinity : traj.end;
+        }
+        addInterval(start, end);
+      }
+      return false;
+    });
+    return intervals.filter(function (interval) {
+      return interval.end > globalTime && interval.start <= endGlobalTime;
+    });
+  }
+
+  /**
+   * Find the first time, from the current trajectory up until the given
+   * time, that the particle reaches a boundary that does not rebound it,
+   * without changing the motion.
+   *
+   * @param {number} endGlobalTime - The time to search until.
+   *
+   * @return {Object} The *time* that the boundary is reached and its *wall*
+   * mode, along with the position *pos* and velocity *vel* that the particle
+   * continues with from then. Or undefined if no such boundary is reached.
+   */
+  nextWall (endGlobalTime) {
+    if (!this.isMoving()) {
+      return undefined;
+    }
+    const upperPos = this._upperPos;
+    let found;
+    this._followTrajs(endGlobalTime, function (traj) {
+      if (traj.wall === undefined || traj.wall === 'rebound') {
+        return false;
+      }
+      if (traj.end <= endGlobalTime) {
+        const wrap = (traj.wall === 'wrap');
+        found = {
+          time: traj.end,
+          wall: traj.wall,
+          pos: wrap ? upperPos - traj.endPos : traj.endPos,
+          vel: wrap ? traj.endVel : 0
+        };
+      }
+      return true;
+    });
+    return found;
+  }
+
+  /**
+   * Update the particle to a boundary found by
+   * {@link BoundedMotion#nextWall}, and continue from it. This is exact,
+   * rather than relying on the updated position to be beyond the boundary.
+   *
+   * @param {Object} wall - The boundary, as returned by
+   * {@link BoundedMotion#nextWall}.
+   */
+  passWall (wall) {
+    /* calls the reboundHandler for the rebounds on the way */
+    this.update(wall.time);
+    this.setPos(wall.pos);
+    this.setVel(wall.time, wall.vel);
+  }
+
+  /**
+   * Predict when the particle stops, without changing the motion.
+   *
+   * @return {{time: number, wallTime: number}} The *time* that the particle
+   * comes to rest, which is -Infinity if it is already at rest, or Infinity
+   * if it never does, such as when it is pushed through a boundary that
+   * wraps. And the *wallTime* that it first reaches a "sticky" or "absorb"
+   * boundary, or Infinity if it does not.
+   */
+  stopTimes () {
+    const stop = { time: -Infinity, wallTime: Infinity };
+    if (!this.isMoving()) {
+      return stop;
+    }
+    let last;
+    this._followTrajs(Infinity, function (traj) {
+      if (traj.wall === 'sticky' || traj.wall === 'absorb') {
+        stop.wallTime = Math.min(stop.wallTime, traj.end);
+      }
+      last = traj;
+      return false;
+    });
+    stop.time = (last !== undefined && last.rests) ? last.end : Infinity;
+    return stop;
+  }
+
+  _followTrajs (endGlobalTime, visit) {
+    /* Follow a copy through each trajectory that starts before or at the
+     * given time, as in update. Along each, the position changes
+     * monotonically until it either stops or reaches a boundary. Each is
+     * passed to visit, which returns true to stop following */
+    const motion = this.copy();
+    for (let count = 0; count < MAX_TRAJECTORIES &&
+        motion._trajStartGlobalTime <= endGlobalTime; count++) {
+      if (motion._initVel === 0 && motion._restsAt(motion._initPos)) {
+        return;
+      }
+      const trajStart = motion._trajStartGlobalTime;
+      const initPos = motion._initPos;
+      const dir = motion.dir();
+      /* the displacement at which the particle would stop, which is
+       * infinite if it is pushed along */
+      const stopDisp = motion._dispAtStop();
+      const boundary = (dir > 0) ? motion._upperPos : 0;
+      const boundaryDisp = dir * (boundary - initPos);
+      const atWall = (boundaryDisp < stopDisp);
+      const reach = atWall ? boundaryDisp : stopDisp;
+      /* the time at which the position is reached along this trajectory, or
+       * NaN if it is not */
+      const timeAtPos = function (pos) {
+        const disp = dir * (pos - initPos);
+        if (!(disp >= 0 && disp <= reach)) {
+          return NaN;
+        }
+        if (disp >= stopDisp) {
+          /* avoid rounding errors at the stop */
+          return trajStart + motion._trajTimeAtStop();
+        }
+        return trajStart + motion._trajTimeAtDisp(disp);
+      };
+      const end = atWall
+        ? timeAtPos(boundary) : trajStart + motion._trajTimeAtStop();
+      const endPos = atWall ? boundary : initPos + (dir * stopDisp);
+      const endVel = atWall ? motion._velAtTrajTime(end - trajStart) : 0;
+      const wall = atWall
+        ? ((dir > 0) ? motion._upperWall : motion._lowerWall) : undefined;
+      /* the next trajectory, as in update */
+      let nextPos = endPos;
+      let nextVel = 0;
+      if (wall === 'wrap') {
+        nextPos = motion._upperPos - boundary;
+        nextVel = endVel;
+      } else if (wall === 'rebound') {
+        nextVel = motion.reboundVel(endVel);
+        if (motion._settles(nextVel)) {
+          nextVel = 0;
+        }
+      }
+      const traj = {
+        start: trajStart,
+        end: end,
+        initPos: initPos,
+        endPos: endPos,
+        endVel: endVel,
+        dir: dir,
+        /* the mode of the boundary reached at the end, if any */
+        wall: wall,
+        /* whether the particle comes to rest at the end */
+        rests: (nextVel === 0 && motion._restsAt(nextPos)),
+        timeAtPos: timeAtPos
+      };
+      if (visit(traj) || traj.rests || !(end < Infinity)) {
+        return;
+      }
+      motion._initPos = nextPos;
+      motion._initVel = nextVel;
+      motion._trajStartGlobalTime = end;
+    }
+  }
+
+  /**
+   * Rebound the particle from an obstacle within the boundaries, in the same
+   * way as from a boundary. The motion should already be updated to the
+   * time of the rebound. A particle that is pulled into the obstacle may
+   * settle against it, as against a boundary, after which it is held at
+   * rest until it is let go, see {@link BoundedMotion#letGo}, or given a
+   * velocity.
+   *
+   * @param {number} globalTime - The time of the rebound.
+   * @param {number} pos - The position of the obstacle that the particle
+   * rebounds from.
+   */
+  rebound (globalTime, pos) {
+    const vel = this.vel;
+    const reboundVel = this.reboundVel(vel);
+    /* clamp against rounding errors */
+    this.setPos(Math.min(this._upperPos, Math.max(0, pos)));
+    if (this._settles(reboundVel)) {
+      this.setVel(globalTime, 0);
+      this._held = true;
+    } else {
+      this.setVel(globalTime, reboundVel);
+    }
+    if (this._reboundHandler !== undefined && vel !== 0) {
+      this._reboundHandler(this.pos, vel);
+    }
+  }
+}
+
+/* the side of a box that faces most along an outward normal */
+function entrySide (normal) {
+  if (Math.abs(normal.x) >= Math.abs(normal.y)) {
+    return (normal.x < 0) ? 'left' : 'right';
+  }
+  return (normal.y < 0) ? 'top' : 'bottom';
+}
+
+/**
+ * The physics of a button that will try to move away from pointers. This
+ * covers its motion within its container, being pushed by pointers and
+ * escaping when clicked, without any drawing.
+ *
+ * The pointers can be any object that provides the `posX`, `posY`, `velX` and
+ * `velY` methods of a {@link TrackedPointer}, in the coordinates of the
+ * container's padding area.
+ *
+ * Each wall of the container has the mode given by the config, see the
+ * "Walls" of {@link BoundedMotion}. A button that reaches a "sticky" or
+ * "absorb" wall stops dead, along both axes.
+ *
+ * The *field* of the config gives the button a constant force, see the
+ * "Forces" of {@link BoundedMotion}. In the "gravity" mode it is pulled
+ * down, and bounces on the bottom wall until it settles there, and in the
+ * "wind" mode it is blown to the right. In the "magnet" mode, the pointers
+ * no longer push the button. Instead, it is pulled towards the nearest
+ * pointer, unless the pointer is already over it.
+ */
+export class ButtonBody {
+  /**
+   * Create a new ButtonBody, placed in the centre of its container.
+   *
+   * @param {number} width - The width of the button.
+   * @param {number} height - The height of the button.
+   * @param {number} areaWidth - The width of the container's padding area.
+   * Must be larger than the button's width.
+   * @param {number} areaHeight - The height of the container's padding area.
+   * Must be larger than the button's height.
+   * @param {Object} config - The tuning of the button, as returned by
+   * `makeConfig` of the config module.
+   * @param {function(): number} random - A function that returns a random
+   * number in the interval [0, 1), like `Math.random`. Used to choose a
+   * direction when there is no better choice.
+   * @param {function(string, number, Object)} [reboundHandler] - A handler
+   * to call every time the button rebounds from a wall of the container, or
+   * from an obstacle. It is given the wall, which is "left", "right", "top",
+   * "bottom" or "obstacle", the incoming velocity along the axis of the wall,
+   * and the *x* and *y* position of the middle of the side of the button
+   * that hit the wall. Along the wall, the position is only as up to date as
+   * the last update of the motion along it.
+   * @param {number} [now=0] - The current time, in milliseconds, from which
+   * the button is at rest, or starts to fall in a field.
+   *
+   * @return {ButtonBody} A new ButtonBody.
+   *
+   * @throws {RangeError} If the button does not fit in its container.
+   */
+  constructor (
+    width, height, areaWidth, areaHeight, config, random, reboundHandler,
+    now) {
+    const horzBound = Math.floor(areaWidth - width);
+    const vertBound = Math.floor(areaHeight - height);
+
+    this._config = config;
+    this._reboundHandler = reboundHandler;
+    /* both axes share the same law, which does not change */
+    const decel = makeDecel(config);
+    this._motionX = new BoundedMotion(
+      horzBound, config.halfReboundVel, decel, this._bounced.bind(this, true));
+    this._motionY = new BoundedMotion(
+      vertBound, config.halfReboundVel, decel,
+      this._bounced.bind(this, false));
+    this._setWalls(config);
+    /* the constant force of the field, and the pull towards the pointers
+     * in the "magnet" mode, along each axis */
+    this._field = fieldForce(config);
+    this._pull = { x: 0, y: 0 };
+    /* whether the button has stopped against an absorbing wall */
+    this._absorbed = false;
+    /* the pixel positions */
+    this._leftPos = NaN;
+    this._topPos = NaN;
+
+    this._thickner = config.thickner;
+    this._hitWidth = width + (2 * this._thickner);
+    this._hitHeight = height + (2 * this._thickner);
+    /* the shape of the button, and of its hit area */
+    this._shape = undefined;
+    this._hitShape = undefined;
+    /* the last check of each pointer, by pointer. Each has whether the
+     * pointer was *hit*ting the button, the *x* and *y* position of the
+     * pointer in the coordinates of the hit area, the *boxX* and *boxY*
+     * position of the button, and the *time* of the check in
+     * milliseconds */
+    this._pointerHits = new Map();
+    this._hitImmune = false;
+    /* the contact of the last push, see lastContact */
+    this._lastContact = undefined;
+
+    this._random = random;
+
+    Object.seal(this);
+
+    this._updateShapes();
+    this.moveTo(horzBound / 2, vertBound / 2);
+    const globalTime = (now === undefined) ? 0 : now / 1000;
+    this._motionX.setVel(globalTime, 0);
+    this._motionY.setVel(globalTime, 0);
+    this._applyForce(globalTime);
+  }
+
+  _applyForce (globalTime) {
+    this._motionX.setForce(globalTime, this._field.x + this._pull.x);
+    this._motionY.setForce(globalTime, this._field.y + this._pull.y);
+  }
+
+  /**
+   * Change the tuning of the button. If the button is moving, it continues
+   * from its position and velocity at the given time.
+   *
+   * @param {Object} config - The new tuning, as returned by `makeConfig` of
+   * the config module.
+   * @param {number} now - The current time, in milliseconds.
+   */
+  setConfig (config, now) {
+    const globalTime = now / 1000;
+    const box = this.box();
+    if (config.obstacles !== this._config.obstacles) {
+      /* the obstacle that held the button may have gone */
+      for (const motion of [this._motionX, this._motionY]) {
+        if (motion.isHeld()) {
+          motion.letGo(globalTime);
+        }
+      }
+    }
+    const decel = makeDecel(config);
+    for (const motion of [this._motionX, this._motionY]) {
+      motion.setParams(globalTime, config.halfReboundVel, decel);
+    }
+    this._setWalls(config);
+    this._config = config;
+    this._thickner = config.thickner;
+    this._hitWidth = box.width + (2 * this._thickner);
+    this._hitHeight = box.height + (2 * this._thickner);
+    this._updateShapes();
+    this._field = fieldForce(config);
+    if (config.field === 'magnet') {
+      this._aimPull(now);
+    } else {
+      this._pull = { x: 0, y: 0 };
+      this._applyForce(globalTime);
+    }
+  }
+
+  /**
+   * Change the size of the button and its container. The button keeps its
+   * position and velocity relative to the room it has to move in, so it
+   * stays within a container that shrinks. If the button is moving, it
+   * continues from its position and velocity at the given time.
+   *
+   * @param {number} width - The new width of the button.
+   * @param {number} height - The new height of the button.
+   * @param {number} areaWidth - The new width of the container's padding
+   * area. Must be larger than the button's width.
+   * @param {number} areaHeight - The new height of the container's padding
+   * area. Must be larger than the button's height.
+   * @param {number} now - The current time, in milliseconds.
+   *
+   * @throws {RangeError} If the button does not fit in its container.
+   */
+  resize (width, height, areaWidth, areaHeight, now) {
+    const globalTime = now / 1000;
+    const horzBound = Math.floor(areaWidth - width);
+    const vertBound = Math.floor(areaHeight - height);
+    /* check both before changing either */
+    checkRange('horzBound', horzBound, 0, false, Infinity, true);
+    checkRange('vertBound', vertBound, 0, false, Infinity, true);
+    this._motionX.setUpperPos(globalTime, horzBound);
+    this._motionY.setUpperPos(globalTime, vertBound);
+    this._hitWidth = width + (2 * this._thickner);
+    this._hitHeight = height + (2 * this._thickner);
+    this._updateShapes();
+    this._setLeftPos(this._motionX.pos);
+    this._setTopPos(this._motionY.pos);
+  }
+
+  /**
+   * Get the state of the button's motion, such as to save it and carry on
+   * with it later, see {@link ButtonBody#restoreState}. The button should
+   * first be advanced to the given time. The pointers are not part of the
+   * state.
+   *
+   * @param {number} now - The current time, in milliseconds.
+   *
+   * @return {Object} The state of the horizontal and vertical motion, *x* and
+   * *y*, see {@link BoundedMotion#saveState}, and whether the button is
+   * *hitImmune*. The force of the motion includes the pull towards the
+   * pointers, which is aimed again once they move.
+   */
+  saveState (now) {
+    const globalTime = now / 1000;
+    return {
+      x: this._motionX.saveState(globalTime),
+      y: this._motionY.saveState(globalTime),
+      hitImmune: this._hitImmune
+    };
+  }
+
+  /**
+   * Carry on with the motion of a state given by
+   * {@link ButtonBody#saveState}. If the room the button had to move in was
+   * a different size, the button keeps its position and velocity relative to
+   * the room, as for {@link ButtonBody#resize}. The size and tuning of the
+   * button are kept.
+   *
+   * @param {Object} state - The state to restore.
+   * @param {number} now - The current time, in milliseconds, which the times
+   * of the state are relative to.
+   *
+   * @throws {TypeError} If the state is not an object, or a value of it has
+   * the wrong type.
+   * @throws {RangeError} If a value of the state is out of range.
+   */
+  restoreState (state, now) {
+    const globalTime = now / 1000;
+    if (typeof state !== 'object' || state === null ||
+        typeof state.x !== 'object' || state.x === null ||
+        typeof state.y !== 'object' || state.y === null) {
+      throw new TypeError('state must have the x and y motion');
+    }
+    if (typeof state.hitImmune !== 'boolean') {
+      throw new TypeError('hitImmune must be a boolean');
+    }
+    /* check the vertical motion before changing either */
+    this._motionY.copy().restoreState(globalTime, state.y);
+    this._motionX.restoreState(globalTime, state.x);
+    this._motionY.restoreState(globalTime, state.y);
+    this._hitImmune = state.hitImmune;
+    this._absorbed = false;
+    this._pointerHits.clear();
+    /* the field may differ, such as for another config */
+    this._pull = { x: 0, y: 0 };
+    this._applyForce(globalTime);
+    this._setLeftPos(this._motionX.pos);
+    this._setTopPos(this._motionY.pos);
+  }
+
+  _bounced (horizontal, boundaryPos, vel) {
+    if (this._reboundHandler === undefined) {
+      return;
+    }
+    const motion = horizontal ? this._motionX : this._motionY;
+    /* an obstacle rebounds the button in the same way, from within the
+     * walls */
+    let wall = 'obstacle';
+    if (vel < 0 && boundaryPos === 0) {
+      wall = horizontal ? 'left' : 'top';
+    } else if (vel > 0 && boundaryPos === motion.upperPos()) {
+      wall = horizontal ? 'right' : 'bottom';
+    }
+    const box = this.box();
+    const contact = (vel > 0) ? 1 : 0;
+    this._reboundHandler(wall, vel, {
+      x: horizontal ? boundaryPos + (contact * box.width)
+        : box.x + (box.width / 2),
+      y: horizontal ? box.y + (box.height / 2)
+        : boundaryPos + (contact * box.height)
+    });
+  }
+
+  _setWalls (config) {
+    this._motionX.setWalls(config.leftWall, config.rightWall);
+    this._motionY.setWalls(config.topWall, config.bottomWall);
+  }
+
+  _updateShapes () {
+    const thickner = this._thickner;
+    const width = this._hitWidth - (2 * thickner);
+    const height = this._hitHeight - (2 * thickner);
+    /* the hit area is the shape grown by the thickner on every side. This is
+     * exact for the rounded corners, and close enough for an ellipse */
+    switch (this._config.shape) {
+      case 'round':
+        this._shape = new HitShape('ellipse', width, height);
+        this._hitShape = new HitShape(
+          'ellipse', this._hitWidth, this._hitHeight);
+        break;
+      case 'pill':
+        /* the radius is reduced to make semicircular ends */
+        this._shape = new HitShape('roundrect', width, height, Infinity);
+        this._hitShape = new HitShape(
+          'roundrect', this._hitWidth, this._hitHeight, Infinity);
+        break;
+      default:
+        this._shape = new HitShape(
+          'roundrect', width, height, ROUNDED_RADIUS);
+        this._hitShape = new HitShape(
+          'roundrect', this._hitWidth, this._hitHeight,
+          ROUNDED_RADIUS + thickner);
+        break;
+    }
+  }
+
+  /**
+   * Get the horizontal pixel position of the button. This is the position of
+   * the left of the button, rounded to the nearest pixel, in the coordinates
+   * of the container's padding area.
+   *
+   * @return {number} The horizontal position.
+   */
+  leftPos () {
+    return this._leftPos;
+  }
+
+  /**
+   * Get the vertical pixel position of the button. This is the position of
+   * the top of the button, rounded to the nearest pixel, in the coordinates
+   * of the container's padding area.
+   *
+   * @return {number} The vertical position.
+   */
+  topPos () {
+    return this._topPos;
+  }
+
+  /**
+   * Get the horizontal velocity of the button.
+   *
+   * @return {number} The horizontal velocity (pixels per second).
+   */
+  velX () {
+    return this._motionX.vel;
+  }
+
+  /**
+   * Get the vertical velocity of the button.
+   *
+   * @return {number} The vertical velocity (pixels per second).
+   */
+  velY () {
+    return this._motionY.vel;
+  }
+
+  /**
+   * Get the box of the button.
+   *
+   * @return {{x: number, y: number, width: number, height: number}} The
+   * position of the top left corner of the button, in the coordinates of the
+   * container's padding area, and its size.
+   */
+  box () {
+    const thickner = this._thickner;
+    return {
+      x: this._motionX.pos,
+      y: this._motionY.pos,
+      width: this._hitWidth - (2 * thickner),
+      height: this._hitHeight - (2 * thickner)
+    };
+  }
+
+  /**
+   * Get the shape of the button, which fills its box, see
+   * {@link ButtonBody#box}. The shape should not be changed.
+   *
+   * @return {HitShape} The shape, relative to the top left of the box.
+   */
+  shape () {
+    return this._shape;
+  }
+
+  /**
+   * Get the range of positions that the button can move within.
+   *
+   * @return {{x: number, y: number}} The largest horizontal and vertical
+   * position of the top left corner of the button, in the coordinates of the
+   * container's padding area. The smallest positions are 0.
+   */
+  positionRange () {
+    return { x: this._motionX.upperPos(), y: this._motionY.upperPos() };
+  }
+
+  /**
+   * Get whether the button is moving.
+   *
+   * @return {boolean} Whether the button is moving.
+   */
+  isMoving () {
+    return this._motionX.isMoving() || this._motionY.isMoving();
+  }
+
+  /**
+   * Get whether the button has stopped against a wall in the "absorb" mode,
+   * after which it should be taken out of the game.
+   *
+   * @return {boolean} Whether the button has been absorbed.
+   */
+  isAbsorbed () {
+    return this._absorbed;
+  }
+
+  /**
+   * Get where the last pointer to push the button made contact with it.
+   *
+   * @return {Object} The contact, or undefined if the button has not been
+   * pushed. It has the *x* and *y* position of the contact relative to the
+   * top left of the button, the outward unit normal of the hit area at the
+   * contact, *normalX* and *normalY*, the *side* of the button that the
+   * pointer entered from, which is "left", "right", "top" or "bottom", the
+   * velocity of the pointer relative to the button before the push,
+   * *relVelX* and *relVelY*, and the *time* of the push in milliseconds.
+   */
+  lastContact () {
+    return this._lastContact;
+  }
+
+  /**
+   * Predict where the button will come to rest, following its rebounds from
+   * the walls of its container but not from the obstacles or other buttons.
+   *
+   * @return {{x: number, y: number}} The position of the top left of the
+   * button, in the coordinates of the container's padding area. Or
+   * undefined if the button never comes to rest, such as when it is blown
+   * through a wall that wraps.
+   */
+  restPoint () {
+    /* the time that the motion along both axes has stopped, or that a wall
+     * stops it along both */
+    let stopTime = -Infinity;
+    let wallTime = Infinity;
+    for (const motion of [this._motionX, this._motionY]) {
+      const stop = motion.stopTimes();
+      stopTime = Math.max(stopTime, stop.time);
+      wallTime = Math.min(wallTime, stop.wallTime);
+    }
+    if (stopTime === Infinity && wallTime === Infinity) {
+      return undefined;
+    } else if (stopTime === -Infinity) {
+      return { x: this._motionX.pos, y: this._motionY.pos };
+    }
+    return this.posAt(Math.min(stopTime, wallTime));
+  }
+
+  /**
+   * Move the button to a new position. The button must not have been given
+   * a velocity, but may be falling in a field since it was created.
+   *
+   * @param {number} leftPos - The new position of the left of the button, in
+   * the coordinates of the container's padding area.
+   * @param {number} topPos - The new position of the top of the button, in
+   * the coordinates of the container's padding area.
+   *
+   * @throws {RangeError} If the button would not be within its container.
+   */
+  moveTo (leftPos, topPos) {
+    this._setLeftPos(leftPos);
+    this._setTopPos(topPos);
+    this._motionX.setPos(this._leftPos);
+    this._motionY.setPos(this._topPos);
+  }
+
+  /**
+   * Get whether a position is over the button.
+   *
+   * @param {number} posX - The horizontal position, in the coordinates of the
+   * container's padding area.
+   * @param {number} posY - The vertical position, in the coordinates of the
+   * container's padding area.
+   *
+   * @return {boolean} Whether the position is over the button.
+   */
+  isOver (posX, posY) {
+    return this._shape.contains(posX - this._leftPos, posY - this._topPos);
+  }
+
+  /**
+   * Set whether the button is immune to being hit by pointers. The button is
+   * made immune when it escapes, so that it is not stopped by the pointer
+   * that clicked it.
+   *
+   * @param {boolean} immune - Whether the button is immune.
+   */
+  setHitImmune (immune) {
+    this._hitImmune = immune;
+  }
+
+  /**
+   * Get whether the button is immune to being hit by pointers, see
+   * {@link ButtonBody#setHitImmune}.
+   *
+   * @return {boolean} Whether the button is immune.
+   */
+  isHitImmune () {
+    return this._hitImmune;
+  }
+
+  /**
+   * Make the button rush away from a position, as when it is clicked. This
+   * makes it immune to being hit, see {@link ButtonBody#setHitImmune}.
+   *
+   * @param {number} posX - The horizontal position to escape from, relative
+   * to the centre of the button. If both positions are 0, a random direction
+   * is chosen.
+   * @param {number} posY - The vertical position to escape from, relative to
+   * the centre of the button.
+   * @param {number} now - The current time, in milliseconds.
+   */
+  escapeFrom (posX, posY, now) {
+    const vec = this._getUnitVecAwayFrom(posX, posY);
+    /* make immune to being hit so it can escape */
+    this._hitImmune = true;
+    /* move away from the mouse */
+    const speed = this._config.escapeSpeed;
+    this.giveVel(speed * vec.x, speed * vec.y, now);
+  }
+
+  /**
+   * Get the pointers that have been passed to {@link ButtonBody#detectHit}
+   * and have not ended.
+   *
+   * @return {Iterator<TrackedPointer>} The pointers.
+   */
+  pointers () {
+    return this._pointerHits.keys();
+  }
+
+  /**
+   * Forget a pointer that was passed to {@link ButtonBody#detectHit}, without
+   * affecting the other pointers. In the "magnet" mode, the button is then
+   * pulled towards the remaining pointers.
+   *
+   * @param {TrackedPointer} pointer - The pointer that has ended.
+   * @param {number} now - The current time, in milliseconds.
+   */
+  endPointer (pointer, now) {
+    this._pointerHits.delete(pointer);
+    if (this._config.field === 'magnet') {
+      this._aimPull(now);
+    }
+  }
+
+  /**
+   * Forget all the pointers that were passed to
+   * {@link ButtonBody#detectHit}.
+   */
+  clearPointers () {
+    this._pointerHits.clear();
+  }
+
+  _getUnitVecAwayFrom (posX, posY) {
+    let mag = Math.sqrt((posX * posX) + (posY * posY));
+    if (!(mag > 0)) {
+      /* choose a random direction */
+      const ang = this._random() * 2 * Math.PI;
+      posX = Math.cos(ang);
+      posY = Math.sin(ang);
+      mag = 1;
+    }
+    return { x: -(posX / mag), y: -(posY / mag) };
+  }
+
+  _minVel (vel) {
+    const min = this._config.minVel;
+    if (Math.abs(vel) < min) {
+      if (vel === 0) {
+        return 0;
+      } else if (vel > 0) {
+        return min;
+      } else {
+        return -min;
+      }
+    }
+    return vel;
+  }
+
+  _findContact (last, mouseX, mouseY, relVelX, relVelY) {
+    /* Sweep the pointer against the button since the last check. In the
+     * frame of the button, the pointer moves in a line from its last
+     * position to its current position, assuming that both moved linearly in
+     * between. The pointer makes contact where this segment first enters the
+     * hit area, which also catches a fast pointer that has passed all the way
+     * through the button between two checks. */
+    const shape = this._hitShape;
+    if (last !== undefined) {
+      const entry = shape.rayEntry(
+        last.x, last.y, mouseX - last.x, mouseY - last.y);
+      if (entry !== undefined && entry.t <= 1) {
+        return {
+          s: entry.t,
+          x: entry.x,
+          y: entry.y,
+          normal: { x: entry.normalX, y: entry.normalY }
+        };
+      }
+    }
+    if (!shape.contains(mouseX, mouseY)) {
+      return undefined;
+    }
+    /* no sweep, such as for the first position of a pointer, so trace the
+     * pointer back along its velocity in the frame of the button instead */
+    return {
+      s: 1,
+      x: mouseX,
+      y: mouseY,
+      normal: shape.contactNormal(mouseX, mouseY, relVelX, relVelY)
+    };
+  }
+
+  /**
+   * Check whether a pointer has moved into the button, and push the button
+   * away if it has. Each pointer only pushes the button once when it enters
+   * the button, so this should be called every time the pointer or the
+   * button moves.
+   *
+   * The pointer is swept against the button since the previous check, so a
+   * fast pointer can not jump over the button. The push is then made from
+   * the time and place that the pointer made contact.
+   *
+   * In the "magnet" mode of the field, the pointer never pushes the button,
+   * and the pull of the button is aimed at the nearest pointer instead.
+   *
+   * @param {TrackedPointer} pointer - The pointer to check.
+   * @param {number} now - The current time, in milliseconds.
+   *
+   * @return {boolean} Whether the button was pushed.
+   */
+  detectHit (pointer, now) {
+    const thickner = this._thickner;
+    const magnet = (this._config.field === 'magnet');
+    /* the button may have moved since its last update */
+    let box = this.posAt(now / 1000);
+    /* convert the mouse coordinates from the coordinates of the container to
+     * the coordinates of the button's hit area
+     * note, posY or posX may be undefined, giving NaN */
+    let mouseY = pointer.posY() - box.y + thickner;
+    let mouseX = pointer.posX() - box.x + thickner;
+
+    const last = this._pointerHits.get(pointer);
+    const motionX = this._motionX;
+    const motionY = this._motionY;
+
+    const mouseVelX = pointer.velX(now);
+    const mouseVelY = pointer.velY(now);
+
+    /* mouse velocity in the frame of the button */
+    const relVelX = mouseVelX - motionX.vel;
+    const relVelY = mouseVelY - motionY.vel;
+
+    let contact;
+    if (!magnet && this._hitImmune === false &&
+        !(last !== undefined && last.hit)) {
+      contact = this._findContact(last, mouseX, mouseY, relVelX, relVelY);
+    }
+    const pushed = (contact !== undefined);
+    if (pushed) {
+      /* the outward normal of the button where the mouse entered it */
+      const normal = contact.normal;
+      this._lastContact = {
+        x: contact.x - thickner,
+        y: contact.y - thickner,
+        normalX: normal.x,
+        normalY: normal.y,
+        side: entrySide(normal),
+        relVelX: relVelX,
+        relVelY: relVelY,
+        time: now
+      };
+
+      /* Along the normal, convert the button's velocity to the frame of the
+       * mouse (this is minus the mouse velocity in the frame of the button),
+       * do the rebound, then convert to the frame of the container (+ the
+       * mouse velocity along the normal).
+       * Along the tangent, pick up half the mouse's velocity through
+       * friction */
+      const normalVel = motionX.reboundVel(
+        -((relVelX * normal.x) + (relVelY * normal.y))) +
+        (mouseVelX * normal.x) + (mouseVelY * normal.y);
+      const tangentVel =
+        (motionX.vel * -normal.y) + (motionY.vel * normal.x) +
+        (((mouseVelX * -normal.y) + (mouseVelY * normal.x)) / 2);
+      let velX = (normalVel * normal.x) + (tangentVel * -normal.y);
+      let velY = (normalVel * normal.y) + (tangentVel * normal.x);
+
+      velX = this._minVel(velX);
+      velY = this._minVel(velY);
+      const min = this._config.minPushVel;
+      const mag = Math.sqrt((velX * velX) + (velY * velY));
+      if (!(mag >= min)) {
+        if (!(mag > 0)) {
+          /* move away from the contact, relative to the center */
+          const halfWidth = (this._hitWidth / 2);
+          const halfHeight = (this._hitHeight / 2);
+          const posX = contact.x - halfWidth;
+          const posY = contact.y - halfHeight;
+          const vec = this._getUnitVecAwayFrom(posX, posY);
+          /* depth from center to corner that we are moving away from */
+          const depthX = halfWidth - Math.abs(posX);
+          const depthY = halfHeight - Math.abs(posY);
+          const depth = Math.sqrt((depthX * depthX) + (depthY * depthY));
+          /* velocity magnitude, either the min or leave the area in 0.1
+           * seconds */
+          const vel = Math.max(min, depth * 10);
+          velX = vel * vec.x;
+          velY = vel * vec.y;
+        } else {
+          /* boost to min */
+          velX *= (min / mag);
+          velY *= (min / mag);
+        }
+      }
+
+      if (contact.s < 1) {
+        this._giveVelAtContact(last, box, contact.s, velX, velY, now);
+        /* the button has moved on from the contact since */
+        box = this.posAt(now / 1000);
+        mouseY = pointer.posY() - box.y + thickner;
+        mouseX = pointer.posX() - box.x + thickner;
+      } else {
+        this.giveVel(velX, velY, now);
+      }
+    }
+    const hit = (!magnet && this._hitImmune === false &&
+      this._hitShape.contains(mouseX, mouseY));
+    this._pointerHits.set(pointer, {
+      hit: hit,
+      x: mouseX,
+      y: mouseY,
+      boxX: box.x,
+      boxY: box.y,
+      time: now
+    });
+    if (magnet) {
+      this._aimPull(now);
+    }
+    return pushed;
+  }
+
+  _aimPull (now) {
+    /* pull towards the nearest pointer, from the centre of the button, unless
+     * the pointer is already over the button or it is escaping */
+    const globalTime = now / 1000;
+    const box = this.box();
+    const pos = this.posAt(globalTime);
+    let pullX = 0;
+    let pullY = 0;
+    let nearest = Infinity;
+    for (const pointer of this._hitImmune ? [] : this._pointerHits.keys()) {
+      const posX = pointer.posX();
+      const posY = pointer.posY();
+      const diffX = posX - pos.x - (box.width / 2);
+      const diffY = posY - pos.y - (box.height / 2);
+      const dist = Math.sqrt((diffX * diffX) + (diffY * diffY));
+      /* note, a pointer without a position gives NaN */
+      if (!(dist < nearest)) {
+        continue;
+      }
+      nearest = dist;
+      if (this._shape.contains(posX - pos.x, posY - pos.y)) {
+        pullX = 0;
+        pullY = 0;
+      } else {
+        pullX = this._config.fieldAccel * diffX / dist;
+        pullY = this._config.fieldAccel * diffY / dist;
+      }
+    }
+    this._pull = { x: pullX, y: pullY };
+    this._applyForce(globalTime);
+  }
+
+  /**
+   * Get the exact position of the button at a time, without moving it.
+   *
+   * @param {number} globalTime - The time, in seconds. If the button was
+   * given its velocity after this time, its current position is given.
+   *
+   * @return {{x: number, y: number}} The position of the top left of the
+   * button, in the coordinates of the container's padding area.
+   */
+  posAt (globalTime) {
+    const pos = {};
+    for (const axis of ['x', 'y']) {
+      let motion = (axis === 'x') ? this._motionX : this._motionY;
+      if (motion.isMoving() && globalTime > motion.trajStartTime()) {
+        motion = motion.copy();
+        motion.update(globalTime);
+      }
+      pos[axis] = motion.pos;
+    }
+    return pos;
+  }
+
+  _giveVelAtContact (last, box, fraction, velX, velY, now) {
+    /* start the new velocity from where the button was at the time of the
+     * contact, assuming it moved linearly since the last check, then move it
+     * on to now */
+    const globalTime = (last.time + (fraction * (now - last.time))) / 1000;
+    const motionX = this._motionX;
+    const motionY = this._motionY;
+    const range = this.positionRange();
+    const posX = last.boxX + (fraction * (box.x - last.boxX));
+    const posY = last.boxY + (fraction * (box.y - last.boxY));
+    /* the container may have shrunk since */
+    motionX.setPos(Math.min(range.x, Math.max(0, posX)));
+    motionY.setPos(Math.min(range.y, Math.max(0, posY)));
+    motionX.setVel(globalTime, velX);
+    motionY.setVel(globalTime, velY);
+    this.advance(now / 1000);
+  }
+
+  _setLeftPos (leftPos) {
+    this._leftPos = Math.round(leftPos);
+  }
+
+  _setTopPos (topPos) {
+    this._topPos = Math.round(topPos);
+  }
+
+  /**
+   * Update the motion of the button to the given time.
+   *
+   * @param {number} globalTime - The time to update to, in seconds. If the
+   * button was given its velocity after this time, it is not moved.
+   */
+  advance (globalTime) {
+    /* the motion may have been given a velocity after the given time, in
+     * which case it has not moved yet */
+    const motionX = this._motionX;
+    const motionY = this._motionY;
+    /* pass each wall that does not rebound the button at the time it is
+     * reached, since it changes the motion along both axes */
+    let wall = this._nextWall(globalTime);
+    while (wall !== undefined) {
+      for (const motion of [motionX, motionY]) {
+        if (motion === wall.motion) {
+          motion.passWall(wall);
+        } else if (motion.isMoving() &&
+            wall.time >= motion.trajStartTime()) {
+          motion.update(wall.time);
+        }
+      }
+      if (wall.wall !== 'wrap') {
+        /* stop dead against the wall */
+        for (const motion of [motionX, motionY]) {
+          motion.setPos(motion.pos);
+          motion.setVel(wall.time, 0);
+        }
+        if (wall.wall === 'absorb') {
+          this._absorbed = true;
+        }
+      }
+      wall = this._nextWall(globalTime);
+    }
+    for (const motion of [motionX, motionY]) {
+      if (motion.isMoving() && globalTime >= motion.trajStartTime()) {
+        motion.update(globalTime);
+      }
+    }
+    this._setLeftPos(motionX.pos);
+    this._setTopPos(motionY.pos);
+  }
+
+  _nextWall (globalTime) {
+    /* the first wall, along either axis, that does not rebound the button
+     * before or at the given time */
+    let first;
+    for (const motion of [this._motionX, this._motionY]) {
+      const wall = motion.nextWall(globalTime);
+      if (wall !== undefined &&
+          (first === undefined || wall.time < first.time)) {
+        first = wall;
+        first.motion = motion;
+      }
+    }
+    return first;
+  }
+
+  /**
+   * Give the button a new velocity along one axis, after colliding with
+   * something at the given time. The button continues from its current exact
+   * position.
+   *
+   * @param {number} globalTime - The time of the collision, in seconds.
+   * @param {boolean} horizontal - Whether to set the horizontal velocity,
+   * rather than the vertical velocity.
+   * @param {number} vel - The new velocity.
+   */
+  collide (globalTime, horizontal, vel) {
+    /* continue from the exact position of the motion, rather than the pixel
+     * position, since the collision is between the exact positions */
+    const motion = horizontal ? this._motionX : this._motionY;
+    motion.setPos(motion.pos);
+    motion.setVel(globalTime, vel);
+  }
+
+  /**
+   * Rebound the button along one axis from the face of an obstacle, in the
+   * same way as from a wall of its container. The button should already be
+   * moved to the time of the rebound.
+   *
+   * @param {number} globalTime - The time of the rebound, in seconds.
+   * @param {boolean} horizontal - Whether to rebound horizontally, rather
+   * than vertically.
+   * @param {number} pos - The position of the button against the face, in
+   * the coordinates of the container's padding area.
+   */
+  rebound (globalTime, horizontal, pos) {
+    const motion = horizontal ? this._motionX : this._motionY;
+    motion.rebound(globalTime, pos);
+  }
+
+  /**
+   * Let go of the button along one axis, after whatever held it against its
+   * force has gone, see {@link BoundedMotion#rebound}. The button should
+   * already be moved to the given time.
+   *
+   * @param {number} globalTime - The time to let go, in seconds.
+   * @param {boolean} horizontal - Whether to let go horizontally, rather
+   * than vertically.
+   */
+  letGo (globalTime, horizontal) {
+    const motion = horizontal ? this._motionX : this._motionY;
+    motion.letGo(globalTime);
+  }
+
+  /**
+   * Get the velocity that the button would rebound with after hitting
+   * something, using the same law as for the walls of its container.
+   *
+   * @param {number} vel - The incoming velocity, towards the thing that is
+   * hit.
+   *
+   * @return {number} The outgoing velocity.
+   */
+  reboundVel (vel) {
+    return this._motionX.reboundVel(vel);
+  }
+
+  /**
+   * Get whether the button is moving along one axis, or will start moving
+   * from rest because of its force.
+   *
+   * @param {boolean} horizontal - Whether to check the horizontal motion,
+   * rather than the vertical motion.
+   *
+   * @return {boolean} Whether the button is moving along the axis.
+   */
+  isMovingAlong (horizontal) {
+    return (horizontal ? this._motionX : this._motionY).isMoving();
+  }
+
+  /**
+   * Get the direction that the button travels along one axis, since it was
+   * last given its velocity. A button that starts from rest travels in the
+   * direction of its force.
+   *
+   * @param {boolean} horizontal - Whether to get the horizontal direction,
+   * rather than the vertical direction.
+   *
+   * @return {number} 1 for right or down, or -1 for left or up.
+   */
+  dir (horizontal) {
+    return (horizontal ? this._motionX : this._motionY).dir();
+  }
+
+  /**
+   * Get the time that the button was last given its velocity along one
+   * axis, from which it moves.
+   *
+   * @param {boolean} horizontal - Whether to get the time for the horizontal
+   * motion, rather than the vertical motion.
+   *
+   * @return {number} The time, in seconds.
+   */
+  trajStartTime (horizontal) {
+    return (horizontal ? this._motionX : this._motionY).trajStartTime();
+  }
+
+  /**
+   * Get the constant force on the button along one axis, from the field and
+   * the pull towards the pointers.
+   *
+   * @param {boolean} horizontal - Whether to get the horizontal force,
+   * rather than the vertical force.
+   *
+   * @return {number} The force.
+   */
+  force (horizontal) {
+    return (horizontal ? this._motionX : this._motionY).force();
+  }
+
+  /**
+   * Get whether the button is held at rest against its force along one
+   * axis, by an obstacle or another button, see
+   * {@link ButtonBody#rebound}.
+   *
+   * @param {boolean} horizontal - Whether to check the horizontal motion,
+   * rather than the vertical motion.
+   *
+   * @return {boolean} Whether the button is held along the axis.
+   */
+  isHeld (horizontal) {
+    return (horizontal ? this._motionX : this._motionY).isHeld();
+  }
+
+  /**
+   * Get whether the button is at rest along one axis against a force that
+   * overcomes its friction, such as against a wall or an obstacle, so that
+   * it can not be pushed any further that way.
+   *
+   * @param {boolean} horizontal - Whether to check the horizontal motion,
+   * rather than the vertical motion.
+   * @param {number} dir - The direction to check, which is positive for
+   * right or down, and negative for left or up.
+   *
+   * @return {boolean} Whether the button is pinned in the direction.
+   */
+  isPinned (horizontal, dir) {
+    const motion = horizontal ? this._motionX : this._motionY;
+    return !motion.isMoving() && motion.isPulled() &&
+      Math.sign(motion.force()) === Math.sign(dir);
+  }
+
+  /**
+   * Find when the top left of the button will be strictly between two
+   * positions along one axis, without moving it, see
+   * {@link BoundedMotion#timesBetween}.
+   *
+   * @param {boolean} horizontal - Whether to search along the horizontal
+   * axis, rather than the vertical axis.
+   * @param {number} lower - The lower position.
+   * @param {number} upper - The upper position.
+   * @param {number} globalTime - The time to search from, in seconds.
+   * @param {number} endGlobalTime - The time to search until, in seconds.
+   *
+   * @return {Array<{start: number, end: number}>} The open intervals of time
+   * in which the button is between the positions, in order.
+   */
+  timesBetween (horizontal, lower, upper, globalTime, endGlobalTime) {
+    const motion = horizontal ? this._motionX : this._motionY;
+    return motion.timesBetween(lower, upper, globalTime, endGlobalTime);
+  }
+
+  /**
+   * Find the first time that the button reaches a wall of its container
+   * that does not rebound it, without moving it.
+   *
+   * @param {number} globalTime - The time to search until, in seconds.
+   *
+   * @return {number} The time that the wall is reached, in seconds, or
+   * undefined if no such wall is reached by the given time.
+   */
+  nextWallTime (globalTime) {
+    const wall = this._nextWall(globalTime);
+    return (wall === undefined) ? undefined : wall.time;
+  }
+
+  /**
+   * Give the button a new velocity, starting from its pixel position.
+   *
+   * @param {number} velX - The new horizontal velocity.
+   * @param {number} velY - The new vertical velocity.
+   * @param {number} now - The current time, in milliseconds.
+   */
+  giveVel (velX, velY, now) {
+    const globalTime = now / 1000;
+    const motionX = this._motionX;
+    const motionY = this._motionY;
+    /* use the pixel positions, rather than the calculated position of the
+     * motion */
+    motionX.setPos(this._leftPos);
+    motionY.setPos(this._topPos);
+    motionX.setVel(globalTime, velX);
+    motionY.setVel(globalTime, velY);
+  }
+}
+
+/**
+ * A collection of {@link ButtonBody} that share a container and collide with
+ * each other, and with any static obstacles within the container. The
+ * buttons collide by their shapes, along the normal where they touch.
+ *
+ * The buttons rebound from the obstacles in the same way as a "rebound" wall
+ * of the container. The time that a button hits an obstacle is solved exactly
+ * from its motion, so it does not depend on how often the world is updated.
+ *
+ * A button that is pulled by a field can settle on an obstacle, or on a
+ * button that is itself at rest against its own pull, see
+ * {@link BoundedMotion#rebound}. It is let go once it no longer rests on
+ * any of them, such as when it slides off the edge of an obstacle.
+ */
+export class ButtonWorld {
+  /**
+   * Create a new, empty, ButtonWorld.
+   *
+   * @return {ButtonWorld} A new ButtonWorld.
+   */
+  constructor () {
+    this._bodies = [];
+    /* the boxes of the obstacles */
+    this._obstacles = [];
+    /* the most collisions between the buttons to resolve in a single
+     * update, so that buttons stuck together can not stall the update */
+    this._maxCollisions = 20;
+
+    Object.seal(this);
+  }
+
+  /**
+   * Add a button to the world.
+   *
+   * @param {ButtonBody} body - The button to add.
+   */
+  add (body) {
+    this._bodies.push(body);
+  }
+
+  /**
+   * Remove a button from the world.
+   *
+   * @param {ButtonBody} body - The button to remove.
+   */
+  remove (body) {
+    const index = this._bodies.indexOf(body);
+    if (index !== -1) {
+      this._bodies.splice(index, 1);
+    }
+  }
+
+  /**
+   * Get the buttons in the world.
+   *
+   * @return {ButtonBody[]} The buttons, in the order they were added.
+   */
+  bodies () {
+    return this._bodies.slice();
+  }
+
+  /**
+   * Set the obstacles in the container, replacing any previous obstacles. A
+   * button that is left overlapping an obstacle, such as when the obstacles
+   * are moved, is pushed out of it once it moves further into it.
+   *
+   * @param {Object[]} obstacles - The boxes of the obstacles, each with the
+   * *x* and *y* position of its top left corner, in the coordinates of the
+   * container's padding area, and its *width* and *height*.
+   */
+  setObstacles (obstacles) {
+    this._obstacles = obstacles.map(function (obstacle) {
+      return {
+        x: obstacle.x,
+        y: obstacle.y,
+        width: obstacle.width,
+        height: obstacle.height
+      };
+    });
+  }
+
+  /**
+   * Get the obstacles in the container.
+   *
+   * @return {Object[]} The boxes of the obstacles, see
+   * {@link ButtonWorld#setObstacles}.
+   */
+  obstacles () {
+    return this._obstacles.map(function (obstacle) {
+      return Object.assign({}, obstacle);
+    });
+  }
+
+  /**
+   * Update the motion of all the buttons from one time to another, resolving
+   * the collisions between them, and with the obstacles, on the way.
+   *
+   * The buttons are assumed to move linearly between the two times when
+   * searching for collisions between them, so the interval should be short,
+   * such as a single frame. The hits with the obstacles, and with the walls
+   * that do not rebound, are exact. If the buttons collide with each other
+   * too many times in one update, such as when they are stuck together, they
+   * may pass through each other until the next update, but they still never
+   * pass through the obstacles or walls.
+   *
+   * @param {number} startTime - The time of the previous update, in seconds.
+   * @param {number} endTime - The time to update to, in seconds.
+   */
+  update (startTime, endTime) {
+    let time = startTime;
+    let collisions = 0;
+    /* advance in steps between the collisions, so that each collision is
+     * resolved at the time it happens */
+    let collision = this._findNext(time, endTime, true);
+    while (collision !== undefined) {
+      for (const body of this._bodies) {
+        body.advance(collision.time);
+      }
+      if (collision.obstacle !== undefined) {
+        this._rebound(collision);
+      } else if (collision.buttonA !== undefined) {
+        this._collide(collision);
+        collisions++;
+      } else if (collision.release) {
+        collision.body.letGo(collision.time, collision.horizontal);
+      }
+      /* otherwise the button passed the wall as it advanced */
+      time = collision.time;
+      collision = this._findNext(
+        time, endTime, collisions < this._maxCollisions);
+    }
+    for (const body of this._bodies) {
+      body.advance(endTime);
+    }
+  }
+
+  _findNext (startTime, endTime, buttons) {
+    /* find the earliest thing to resolve, leaving out the collisions
+     * between the buttons unless asked. Each of the others stops or turns a
+     * single button at an exact time, so they can not stall the update */
+    const wall = this._findWallHit(startTime, endTime);
+    /* a button that passes a wall jumps or stops, so it can only be assumed
+     * to move linearly up until then */
+    const stepEnd = (wall === undefined) ? endTime : wall.time;
+    let earliest;
+    if (buttons) {
+      earliest = this._findCollision(startTime, stepEnd);
+    }
+    for (const hit of [
+      this._findObstacleHit(startTime, stepEnd),
+      this._findRelease(startTime, stepEnd),
+      wall
+    ]) {
+      if (hit !== undefined &&
+          (earliest === undefined || hit.time < earliest.time)) {
+        earliest = hit;
+      }
+    }
+    return earliest;
+  }
+
+  _contactTime (shape, boxA, boxB, endBoxA, endBoxB) {
+    /* Find the earliest fraction `s` of the update interval at which the two
+     * buttons come into contact, assuming both move linearly between their
+     * start and end boxes over the interval. With the displacement of B from
+     * A being
+     *
+     *   d(s) = d0 + s * (d1 - d0) ,
+     *
+     * the buttons touch whilst `d(s)`, plus the size of B, is within their
+     * contact shape, see HitShape#contactShape. So the contact is where this
+     * segment first enters the contact shape, with the outward normal of the
+     * shape there, which points from A to B. Testing the sweep, rather than
+     * the end boxes, means that fast buttons can not pass through each other
+     * between two updates, and testing the shape, rather than the box, means
+     * that round buttons do not touch in the empty corners of their boxes */
+    const startX = boxB.x - boxA.x + boxB.width;
+    const startY = boxB.y - boxA.y + boxB.height;
+    const moveX = (endBoxB.x - endBoxA.x) - (boxB.x - boxA.x);
+    const moveY = (endBoxB.y - endBoxA.y) - (boxB.y - boxA.y);
+    /* buttons that only touch along an edge are not overlapping */
+    if (startX > 0 && startX < boxA.width + boxB.width &&
+        startY > 0 && startY < boxA.height + boxB.height &&
+        shape.contains(startX, startY)) {
+      /* already overlapping, such as from rounding at the last contact, so
+       * collide along the line from the middle, as if B had moved straight
+       * in. Its velocity can not be used, since it may be moving out */
+      return { s: 0, normal: shape.contactNormal(startX, startY, 0, 0) };
+    }
+    const entry = shape.rayEntry(startX, startY, moveX, moveY);
+    if (entry === undefined || entry.t > 1) {
+      return undefined;
+    }
+    return { s: entry.t, normal: { x: entry.normalX, y: entry.normalY } };
+  }
+
+  _findCollision (startTime, endTime) {
+    /* find the earliest collision between two approaching buttons */
+    let earliest;
+    const buttons = this._bodies;
+    const endBoxes = buttons.map(function (button) {
+      return Object.assign(button.box(), button.posAt(endTime));
+    });
+    for (let i = 0; i < buttons.length; i++) {
+      for (let j = i + 1; j < buttons.length; j++) {
+        const buttonA = buttons[i];
+        const buttonB = buttons[j];
+        if (!buttonA.isMoving() && !buttonB.isMoving()) {
+          continue;
+        }
+        const boxA = buttonA.box();
+        const boxB = buttonB.box();
+        const endBoxA = endBoxes[i];
+        const endBoxB = endBoxes[j];
+        const contact = this._contactTime(
+          buttonA.shape().contactShape(buttonB.shape()), boxA, boxB, endBoxA,
+          endBoxB);
+        if (contact === undefined) {
+          continue;
+        }
+        /* only collide if A approaches B along the normal, otherwise they
+         * are already separating */
+        const normal = contact.normal;
+        let approach =
+          ((buttonA.velX() - buttonB.velX()) * normal.x) +
+          ((buttonA.velY() - buttonB.velY()) * normal.y);
+        if (approach === 0) {
+          /* such as for buttons that start to fall from rest, so use how
+           * they move over the interval */
+          approach =
+            (((endBoxA.x - boxA.x) - (endBoxB.x - boxB.x)) * normal.x) +
+            (((endBoxA.y - boxA.y) - (endBoxB.y - boxB.y)) * normal.y);
+        }
+        if (!(approach > 0) || this._restsOn(buttonA, buttonB, normal) ||
+            this._restsOn(buttonB, buttonA, { x: -normal.x, y: -normal.y })) {
+          continue;
+        }
+        if (earliest === undefined || contact.s < earliest.s) {
+          earliest = {
+            s: contact.s,
+            normal: normal,
+            buttonA: buttonA,
+            buttonB: buttonB
+          };
+        }
+      }
+    }
+    if (earliest !== undefined) {
+      earliest.time = startTime + (earliest.s * (endTime - startTime));
+    }
+    return earliest;
+  }
+
+  _obstacleContact (body, obstacle, startTime, endTime) {
+    /* The button overlaps the obstacle whilst its top left corner is
+     * strictly within the obstacle grown by the size of the button, above
+     * and to the left. Each axis is solved exactly and separately, and the
+     * button enters the obstacle at the start of the earliest overlap of the
+     * two axes, along the axis that started overlapping last */
+    const box = body.box();
+    const timesX = body.timesBetween(
+      true, obstacle.x - box.width, obstacle.x + obstacle.width, startTime,
+      endTime);
+    if (timesX.length === 0) {
+      return undefined;
+    }
+    const timesY = body.timesBetween(
+      false, obstacle.y - box.height, obstacle.y + obstacle.height,
+      startTime, endTime);
+    for (const intervalX of timesX) {
+      for (const intervalY of timesY) {
+        const start = Math.max(intervalX.start, intervalY.start);
+        const end = Math.min(intervalX.end, intervalY.end);
+        if (!(start < end) || end <= startTime || start > endTime) {
+          continue;
+        }
+        if (start >= startTime) {
+          return {
+            time: start,
+            horizontal: (intervalX.start >= intervalY.start)
+          };
+        }
+        /* already overlapping, so push out along the axis of least
+         * overlap, if moving further into the obstacle along it */
+        const overlapX = Math.min(
+          box.x + box.width - obstacle.x,
+          obstacle.x + obstacle.width - box.x);
+        const overlapY = Math.min(
+          box.y + box.height - obstacle.y,
+          obstacle.y + obstacle.height - box.y);
+        const horizontal = (overlapX <= overlapY);
+        const vel = horizontal ? body.velX() : body.velY();
+        const axis = horizontal ? 'x' : 'y';
+        const size = horizontal ? 'width' : 'height';
+        /* between the centres */
+        const dist = (obstacle[axis] + (obstacle[size] / 2)) -
+          (box[axis] + (box[size] / 2));
+        /* the motion may have been given its velocity since */
+        const time = Math.max(startTime, body.trajStartTime(horizontal));
+        if (time <= endTime &&
+            ((dist >= 0 && vel > 0) || (dist <= 0 && vel < 0))) {
+          return { time: time, horizontal: horizontal };
+        }
+      }
+    }
+    return undefined;
+  }
+
+  _findObstacleHit (startTime, endTime) {
+    /* find the earliest hit of a moving button with an obstacle */
+    let earliest;
+    for (const body of this._bodies) {
+      if (!body.isMoving()) {
+        continue;
+      }
+      for (const obstacle of this._obstacles) {
+        const contact = this._obstacleContact(
+          body, obstacle, startTime, endTime);
+        if (contact !== undefined &&
+            (earliest === undefined || contact.time < earliest.time)) {
+          earliest = {
+            time: contact.time,
+            horizontal: contact.horizontal,
+            body: body,
+            obstacle: obstacle
+          };
+        }
+      }
+    }
+    return earliest;
+  }
+
+  _findWallHit (startTime, endTime) {
+    /* find the earliest time a moving button reaches a wall that does not
+     * rebound it */
+    let earliest;
+    for (const body of this._bodies) {
+      const time = body.isMoving() ? body.nextWallTime(endTime) : undefined;
+      if (time !== undefined &&
+          (earliest === undefined || time < earliest.time)) {
+        earliest = { time: Math.max(startTime, time), body: body };
+      }
+    }
+    return earliest;
+  }
+
+  _rebound (hit) {
+    /* rebound from the face of the obstacle that the button is moving
+     * into */
+    const body = hit.body;
+    const obstacle = hit.obstacle;
+    const box = body.box();
+    const vel = hit.horizontal ? body.velX() : body.velY();
+    /* a button that starts to move from rest has no velocity yet */
+    const dir = (vel !== 0) ? vel : body.dir(hit.horizontal);
+    let pos;
+    if (hit.horizontal) {
+      pos = (dir > 0) ? obstacle.x - box.width : obstacle.x + obstacle.width;
+    } else {
+      pos = (dir > 0)
+        ? obstacle.y - box.height : obstacle.y + obstacle.height;
+    }
+    body.rebound(hit.time, hit.horizontal, pos);
+  }
+
+  _findRelease (startTime, endTime) {
+    /* find the earliest time that a button that is held against its pull
+     * no longer rests on anything */
+    let earliest;
+    for (const body of this._bodies) {
+      for (const horizontal of [true, false]) {
+        if (!body.isHeld(horizontal)) {
+          continue;
+        }
+        const time = this._releaseTime(body, horizontal, startTime, endTime);
+        if (time <= endTime &&
+            (earliest === undefined || time < earliest.time)) {
+          earliest = {
+            time: time,
+            release: true,
+            body: body,
+            horizontal: horizontal
+          };
+        }
+      }
+    }
+    return earliest;
+  }
+
+  _releaseTime (body, horizontal, startTime, endTime) {
+    /* The button rests on each obstacle, or button at rest, whose face it
+     * touches on the side it is pulled to, whilst it overlaps it along the
+     * other axis. It is released once it has slid off all of them, which is
+     * solved exactly for an obstacle, and assuming linear motion for a
+     * button, as in _contactTime. A button that moves along the pull no
+     * longer holds it up at all */
+    const axis = horizontal ? 'x' : 'y';
+    const size = horizontal ? 'width' : 'height';
+    const across = horizontal ? 'y' : 'x';
+    const acrossSize = horizontal ? 'height' : 'width';
+    const forwards = (body.force(horizontal) > 0);
+    const box = body.box();
+    function restsOn (other) {
+      const touch = forwards
+        ? other[axis] - (box[axis] + box[size])
+        : box[axis] - (other[axis] + other[size]);
+      return Math.abs(touch) <= 1e-6 &&
+        other[across] < box[across] + box[acrossSize] &&
+        box[across] < other[across] + other[acrossSize];
+    }
+    let release = startTime;
+    for (const obstacle of this._obstacles) {
+      if (!restsOn(obstacle)) {
+        continue;
+      }
+      const times = body.timesBetween(
+        !horizontal, obstacle[across] - box[acrossSize],
+        obstacle[across] + obstacle[acrossSize], startTime, endTime);
+      for (const interval of times) {
+        if (interval.start <= startTime && interval.end > startTime) {
+          release = Math.max(release, interval.end);
+        }
+      }
+    }
+    const endBox = body.posAt(endTime);
+    for (const other of this._bodies) {
+      const otherBox = other.box();
+      if (other === body || !restsOn(otherBox) ||
+          other.isMovingAlong(horizontal)) {
+        continue;
+      }
+      const dist = otherBox[across] - box[across];
+      const change = (other.posAt(endTime)[across] - endBox[across]) - dist;
+      if (change === 0) {
+        return Infinity;
+      }
+      /* the fraction of the interval at which they stop overlapping */
+      const edge = (change > 0) ? box[acrossSize] : -otherBox[acrossSize];
+      release = Math.max(
+        release, startTime + ((edge - dist) / change * (endTime - startTime)));
+    }
+    return release;
+  }
+
+  _collide (collision) {
+    /* An elastic collision of two equal masses along the normal of the
+     * contact, using the same rebound law as for the walls. In the centre of
+     * mass frame, the buttons have equal and opposite velocities, so the
+     * part of their relative velocity along the normal, `u`, rebounds to
+     * `r(u)`, and each button takes half of the change:
+     *
+     *   vA' = vA + n (r(u) - u) / 2 ,
+     *   vB' = vB - n (r(u) - u) / 2 ,
+     *
+     * where `n` is the unit normal from A to B and `u = (vA - vB) . n`. The
+     * velocities across the normal are unchanged */
+    const buttonA = collision.buttonA;
+    const buttonB = collision.buttonB;
+    const normal = collision.normal;
+    /* a button at rest against its pull, away from the other, can not be
+     * pushed any further that way, so the other rebounds from it as from an
+     * obstacle, along the axis that the contact faces most */
+    const horizontal = (Math.abs(normal.x) >= Math.abs(normal.y));
+    const away = horizontal ? normal.x : normal.y;
+    const axis = horizontal ? 'x' : 'y';
+    const size = horizontal ? 'width' : 'height';
+    const boxA = buttonA.box();
+    const boxB = buttonB.box();
+    if (buttonB.isPinned(horizontal, away)) {
+      buttonA.rebound(collision.time, horizontal, (away > 0)
+        ? boxB[axis] - boxA[size] : boxB[axis] + boxB[size]);
+      return;
+    } else if (buttonA.isPinned(horizontal, -away)) {
+      buttonB.rebound(collision.time, horizontal, (away > 0)
+        ? boxA[axis] + boxA[size] : boxA[axis] - boxB[size]);
+      return;
+    }
+    const velA = { x: buttonA.velX(), y: buttonA.velY() };
+    const velB = { x: buttonB.velX(), y: buttonB.velY() };
+    const approach =
+      ((velA.x - velB.x) * normal.x) + ((velA.y - velB.y) * normal.y);
+    const change = (buttonA.reboundVel(approach) - approach) / 2;
+    for (const along of ['x', 'y']) {
+      const part = change * normal[along];
+      /* leave the motion along an axis that the collision does not
+       * change, such as one held against a pull */
+      if (part !== 0) {
+        buttonA.collide(collision.time, along === 'x', velA[along] + part);
+        buttonB.collide(collision.time, along === 'x', velB[along] - part);
+      }
+    }
+  }
+
+  _restsOn (body, other, normal) {
+    /* whether a button is at rest on another that is pinned, see _collide,
+     * given the normal from the button to the other. It is held up by the
+     * box of the other, as by an obstacle, until _releaseTime lets it go, so
+     * it may slide along it without colliding */
+    const horizontal = (Math.abs(normal.x) >= Math.abs(normal.y));
+    return !body.isMovingAlong(horizontal) &&
+      other.isPinned(horizontal, horizontal ? normal.x : normal.y);
+  }
+}
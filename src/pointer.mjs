@@ -0,0 +1,258 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { makeEstimator } from './estimator.mjs';
+
+/**
+ * The position and velocity estimate of a single pointer, built up from the
+ * samples of its position, such as those of a {@link MouseTracker}. The
+ * velocity along each axis is estimated by the estimator of the config, see
+ * the estimator module.
+ *
+ * Any object that provides the {@link TrackedPointer#posX},
+ * {@link TrackedPointer#posY}, {@link TrackedPointer#velX} and
+ * {@link TrackedPointer#velY} methods can act as a pointer for a
+ * {@link ButtonBody}.
+ */
+export class TrackedPointer {
+  /**
+   * Create a new TrackedPointer with an unknown position.
+   *
+   * @param {number} pointerId - The pointerId of the pointer events.
+   * @param {string} pointerType - The pointerType of the pointer events.
+   * @param {Object} config - The tuning, as returned by `makeConfig` of the
+   * config module. The *sampleExpireTime*, and the options of the
+   * *estimator*, are used.
+   *
+   * @return {TrackedPointer} A new TrackedPointer.
+   */
+  constructor (pointerId, pointerType, config) {
+    this.pointerId = pointerId;
+    this.pointerType = pointerType;
+    /* the velocity estimate along each axis */
+    this._estimatorX = makeEstimator(config);
+    this._estimatorY = makeEstimator(config);
+    /* position, relative to the relative element */
+    this._posX = NaN;
+    this._posY = NaN;
+    /* simulation time of the last sample, in milliseconds */
+    this._nowAtSample = NaN;
+    this._sampleExpireTime = config.sampleExpireTime;
+
+    Object.seal(this);
+  }
+
+  _isRecent (now) {
+    /* Note: if nowAtSample is NaN comparison would fail */
+    return (now - this._nowAtSample) <= this._sampleExpireTime;
+  }
+
+  _recentVelSample (now, vel) {
+    if (this._isRecent(now)) {
+      return vel;
+    } else {
+      /* no recent sample, so treat as zero */
+      return 0;
+    }
+  }
+
+  /**
+   * Get an estimate for the pointer velocity in the horizontal direction (left
+   * to right is a positive velocity).
+   *
+   * @param {number} now - The current time returned by
+   * {@link FrameScheduler#now}.
+   * @return {number} The horizontal velocity of the pointer (pixels per
+   * second).
+   */
+  velX (now) {
+    return this._recentVelSample(now, this._estimatorX.vel());
+  }
+
+  /**
+   * Get an estimate for the pointer velocity in the vertical direction (top
+   * to bottom is a positive velocity).
+   *
+   * @param {number} now - The current time returned by
+   * {@link FrameScheduler#now}.
+   * @return {number} The vertical velocity of the pointer (pixels per second).
+   */
+  velY (now) {
+    return this._recentVelSample(now, this._estimatorY.vel());
+  }
+
+  /**
+   * Get an estimate for the horizontal pointer position, such as relative to
+   * the *relativeEl* given in {@link MouseTracker#constructor}.
+   *
+   * @return {number|undefined} The horizontal position of the pointer, or
+   * *undefined* if it is not known.
+   */
+  posX () {
+    return this._posX;
+  }
+
+  /**
+   * Get an estimate for the vertical pointer position, such as relative to
+   * the *relativeEl* given in {@link MouseTracker#constructor}.
+   *
+   * @return {number|undefined} The vertical position of the pointer, or
+   * *undefined* if it is not known.
+   */
+  posY () {
+    return this._posY;
+  }
+
+  /**
+   * Predict the horizontal pointer position for the current frame, from its
+   * estimated motion since the last sample. Once the last sample has
+   * expired, the pointer is taken to be still.
+   *
+   * @param {number} now - The current time returned by
+   * {@link FrameScheduler#now}.
+   *
+   * @return {number} The predicted horizontal position, or NaN if the
+   * position is not known.
+   */
+  predictX (now) {
+    return this._predict(now, this._posX, this._estimatorX);
+  }
+
+  /**
+   * Predict the vertical pointer position for the current frame, as
+   * {@link TrackedPointer#predictX}.
+   *
+   * @param {number} now - The current time returned by
+   * {@link FrameScheduler#now}.
+   *
+   * @return {number} The predicted vertical position, or NaN if the position
+   * is not known.
+   */
+  predictY (now) {
+    return this._predict(now, this._posY, this._estimatorY);
+  }
+
+  _predict (now, pos, estimator) {
+    if (!this._isRecent(now)) {
+      return pos;
+    }
+    return pos + estimator.predict(now - this._nowAtSample);
+  }
+
+  /**
+   * Add a new sample of the pointer's position.
+   *
+   * @param {number} now - The current time returned by
+   * {@link FrameScheduler#now}.
+   * @param {number} diffX - The horizontal distance the pointer has moved
+   * since the previous sample, or NaN if not known.
+   * @param {number} diffY - The vertical distance the pointer has moved since
+   * the previous sample, or NaN if not known.
+   * @param {number} timeStamp - The time stamp of the sample, in
+   * milliseconds.
+   * @param {number} posX - The new horizontal position.
+   * @param {number} posY - The new vertical position.
+   */
+  addSample (now, diffX, diffY, timeStamp, posX, posY) {
+    this._nowAtSample = now;
+    this._estimatorX.addSample(timeStamp, diffX);
+    this._estimatorY.addSample(timeStamp, diffY);
+    this._posX = posX;
+    this._posY = posY;
+  }
+}
+
+/**
+ * A pointer that sweeps a short distance in one go, such as the shove of a
+ * mouse wheel turning over the tracking area. It has the same position and
+ * velocity methods as a {@link TrackedPointer}, but its velocity is fixed
+ * rather than estimated.
+ */
+export class WheelPointer {
+  /**
+   * Create a new WheelPointer.
+   *
+   * @param {number} posX - The horizontal start position.
+   * @param {number} posY - The vertical start position.
+   * @param {number} velX - The horizontal velocity of the shove (pixels per
+   * second).
+   * @param {number} velY - The vertical velocity of the shove (pixels per
+   * second).
+   *
+   * @return {WheelPointer} A new WheelPointer.
+   */
+  constructor (posX, posY, velX, velY) {
+    this.pointerType = 'wheel';
+    this._posX = posX;
+    this._posY = posY;
+    this._velX = velX;
+    this._velY = velY;
+
+    Object.seal(this);
+  }
+
+  /**
+   * Get the velocity of the shove in the horizontal direction.
+   *
+   * @param {number} now - The current time returned by
+   * {@link FrameScheduler#now}.
+   * @return {number} The horizontal velocity (pixels per second).
+   */
+  velX (now) {
+    return this._velX;
+  }
+
+  /**
+   * Get the velocity of the shove in the vertical direction.
+   *
+   * @param {number} now - The current time returned by
+   * {@link FrameScheduler#now}.
+   * @return {number} The vertical velocity (pixels per second).
+   */
+  velY (now) {
+    return this._velY;
+  }
+
+  /**
+   * Get the current horizontal position of the shove.
+   *
+   * @return {number} The horizontal position.
+   */
+  posX () {
+    return this._posX;
+  }
+
+  /**
+   * Get the current vertical position of the shove.
+   *
+   * @return {number} The vertical position.
+   */
+  posY () {
+    return this._posY;
+  }
+
+  /**
+   * Move the shove along.
+   *
+   * @param {number} diffX - The horizontal distance to move.
+   * @param {number} diffY - The vertical distance to move.
+   */
+  moveBy (diffX, diffY) {
+    this._posX += diffX;
+    this._posY += diffY;
+  }
+}
@@ -0,0 +1,349 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { configDifferences, DEFAULT_CONFIG, makeConfig } from './config.mjs';
+import { checkRange } from './physics.mjs';
+
+/**
+ * The version of the recording format written by {@link SessionRecorder}.
+ * The version is increased whenever the format changes, or the game changes
+ * in a way that would replay an older recording differently, so
+ * {@link SessionPlayer} only accepts recordings of this version.
+ *
+ * @type {number}
+ */
+export const RECORDING_VERSION = 8;
+
+/**
+ * Records a session of the game so that it can be replayed exactly by a
+ * {@link SessionPlayer}.
+ *
+ * The recording holds the input of every pointer event, wheel, scroll, resize,
+ * change of the play area size and click that the {@link ButtonGroup}
+ * receives, along with the time of every frame and every random number drawn
+ * by the buttons. Since the game is otherwise deterministic, this is enough to
+ * repeat the session. The recording is a plain object that can be saved as
+ * JSON:
+ *
+ *   {
+ *     "format": "clicking-game-recording",
+ *     "version": 8,
+ *     "config": { "accel": 25, ... },
+ *     "area": { "width": 500, "height": 500 },
+ *     "buttonCount": 1,
+ *     "startTime": 1520.5,
+ *     "events": [{ "time": 1536.2, "type": "frame" }, ...],
+ *     "random": [0.25, ...]
+ *   }
+ *
+ * The *startTime* of the recording and the *time* of each event are the
+ * simulation times of the {@link FrameScheduler}, in milliseconds. They are
+ * kept as they were, rather than relative to the start, so that the replay
+ * repeats the same arithmetic. The other properties of an event are its
+ * input, see {@link ButtonGroup#applyInput}.
+ */
+export class SessionRecorder {
+  /**
+   * Create a new SessionRecorder.
+   *
+   * @param {ButtonGroup} buttonGroup - The buttons to record.
+   * @param {FrameScheduler} scheduler - The scheduler of the buttons.
+   *
+   * @return {SessionRecorder} A new SessionRecorder.
+   */
+  constructor (buttonGroup, scheduler) {
+    this._buttonGroup = buttonGroup;
+    this._scheduler = scheduler;
+    this._recording = undefined;
+    this._frameCallback = this._recordFrame.bind(this);
+    this._randomCallback = this._recordRandom.bind(this);
+
+    Object.seal(this);
+  }
+
+  /**
+   * Get whether a recording is in progress.
+   *
+   * @return {boolean} Whether recording.
+   */
+  isRecording () {
+    return this._recording !== undefined;
+  }
+
+  /**
+   * Start a new recording. The buttons are reset, see
+   * {@link ButtonGroup#resetButtons}, so that the recording starts from a
+   * known state.
+   */
+  start () {
+    const group = this._buttonGroup;
+    this.stop();
+    this._recording = {
+      format: 'clicking-game-recording',
+      version: RECORDING_VERSION,
+      config: group.config(),
+      area: group.areaSize(),
+      buttonCount: group.buttonCount(),
+      startTime: this._scheduler.now(),
+      events: [],
+      random: []
+    };
+    group.setRandom(this._randomCallback);
+    group.resetButtons(group.buttonCount());
+    group.setRecorder(this);
+    this._scheduler.add(this._frameCallback);
+  }
+
+  /**
+   * Stop the current recording, if any.
+   *
+   * @return {Object} The finished recording, or undefined if there was no
+   * recording in progress.
+   */
+  stop () {
+    const recording = this._recording;
+    if (recording === undefined) {
+      return undefined;
+    }
+    this._scheduler.remove(this._frameCallback);
+    this._buttonGroup.setRecorder(undefined);
+    this._buttonGroup.setRandom(Math.random);
+    this._recording = undefined;
+    return recording;
+  }
+
+  /**
+   * Add the input of the button group to the recording. This is called by
+   * the {@link ButtonGroup} whilst recording.
+   *
+   * @param {Object} input - The input that is about to be applied.
+   */
+  recordInput (input) {
+    this._recording.events.push(
+      Object.assign({ time: this._scheduler.now() }, input));
+  }
+
+  _recordFrame (now) {
+    this._recording.events.push({ time: now, type: 'frame' });
+  }
+
+  _recordRandom () {
+    const value = Math.random();
+    this._recording.random.push(value);
+    return value;
+  }
+}
+
+/**
+ * Replays a recording made by a {@link SessionRecorder}, by feeding the
+ * recorded input and frames back through the {@link ButtonGroup} at the
+ * recorded times.
+ *
+ * Whilst playing, the scheduler is driven by hand, see
+ * {@link FrameScheduler#setManual}, and the live input of the group is
+ * dropped.
+ */
+export class SessionPlayer {
+  /**
+   * Create a new SessionPlayer.
+   *
+   * @param {ButtonGroup} buttonGroup - The buttons to replay with. Their
+   * container must be the same size, and they must have the same config, as
+   * when the session was recorded.
+   * @param {FrameScheduler} scheduler - The scheduler of the buttons.
+   * @param {Object} recording - The recording to replay, as parsed from its
+   * JSON.
+   * @param {function(Error=)} [finishHandler] - A handler to call when the
+   * replay reaches the end of the recording, or is stopped. If the replay
+   * could not carry on, such as for a broken recording, it is given the
+   * error.
+   *
+   * @return {SessionPlayer} A new SessionPlayer.
+   *
+   * @throws {Error} If the recording is not in the expected format, or is of
+   * another version.
+   */
+  constructor (buttonGroup, scheduler, recording, finishHandler) {
+    if (recording === null || typeof recording !== 'object' ||
+        recording.format !== 'clicking-game-recording') {
+      throw new Error('Not a recording of the clicking game');
+    }
+    if (recording.version !== RECORDING_VERSION) {
+      throw new Error('Recording has version ' + String(recording.version) +
+        ' but only version ' + String(RECORDING_VERSION) + ' is supported');
+    }
+    if (!Array.isArray(recording.events) || !Array.isArray(recording.random) ||
+        recording.area === null || typeof recording.area !== 'object' ||
+        !Number.isFinite(recording.startTime)) {
+      throw new Error('Recording is missing its events');
+    }
+    /* every option is recorded, so that a change to the defaults does not
+     * change the replay */
+    const config = recording.config;
+    const missing = Object.keys(DEFAULT_CONFIG).filter(function (name) {
+      return config === null || typeof config !== 'object' ||
+        config[name] === undefined;
+    });
+    if (missing.length !== 0) {
+      throw new Error('Recording is missing the config for ' +
+        missing.join(', '));
+    }
+    this._buttonGroup = buttonGroup;
+    this._scheduler = scheduler;
+    this._recording = recording;
+    this._finishHandler = finishHandler;
+    this._speed = 1;
+    this._playing = false;
+    /* index of the next event and random number to replay */
+    this._eventIndex = 0;
+    this._randomIndex = 0;
+    /* how far through the recording the replay is, in milliseconds */
+    this._playTime = 0;
+    /* time of the last animation frame, in milliseconds */
+    this._lastFrameTime = NaN;
+    this._frameRequestID = undefined;
+    this._frameCallback = this._frame.bind(this);
+    this._randomCallback = this._replayRandom.bind(this);
+
+    Object.seal(this);
+  }
+
+  /**
+   * Set how fast to replay the recording.
+   *
+   * @param {number} speed - The speed of the replay, relative to the speed it
+   * was recorded at. Must be positive (non-zero) and finite.
+   *
+   * @throws {RangeError} If the speed is out of range.
+   */
+  setSpeed (speed) {
+    checkRange('speed', speed, 0, false, Infinity, false);
+    this._speed = speed;
+  }
+
+  /**
+   * Get whether the recording is being replayed.
+   *
+   * @return {boolean} Whether the recording is being replayed.
+   */
+  isPlaying () {
+    return this._playing;
+  }
+
+  /**
+   * Start replaying the recording from the beginning. The buttons are reset
+   * to the state at the start of the recording.
+   *
+   * @throws {Error} If the container of the buttons is not the same size as
+   * in the recording, or the buttons do not have the same config.
+   */
+  start () {
+    const group = this._buttonGroup;
+    const differences = configDifferences(
+      group.config(), makeConfig(this._recording.config));
+    if (differences.length !== 0) {
+      throw new Error('Recording has a different config for ' +
+        differences.join(', '));
+    }
+    const area = this._recording.area;
+    const size = group.areaSize();
+    if (size.width !== area.width || size.height !== area.height) {
+      throw new Error('Recording has a play area of ' + String(area.width) +
+        'x' + String(area.height) + ' but the current play area is ' +
+        String(size.width) + 'x' + String(size.height));
+    }
+    this.stop();
+    this._playing = true;
+    this._eventIndex = 0;
+    this._randomIndex = 0;
+    this._playTime = 0;
+    this._lastFrameTime = NaN;
+    /* the buttons are reset, so nothing is still timed from the current
+     * time */
+    this._scheduler.setManual(true, this._recording.startTime);
+    group.setReplaying(true);
+    group.setRandom(this._randomCallback);
+    group.resetButtons(this._recording.buttonCount);
+    this._frameRequestID = window.requestAnimationFrame(this._frameCallback);
+  }
+
+  /**
+   * Stop the replay, if it is playing. The buttons are left where they are
+   * and the live input is used again.
+   */
+  stop () {
+    this._end(undefined);
+  }
+
+  _end (err) {
+    if (!this._playing) {
+      return;
+    }
+    this._playing = false;
+    if (this._frameRequestID !== undefined) {
+      window.cancelAnimationFrame(this._frameRequestID);
+      this._frameRequestID = undefined;
+    }
+    this._buttonGroup.setRandom(Math.random);
+    this._buttonGroup.setReplaying(false);
+    this._scheduler.setManual(false);
+    if (this._finishHandler !== undefined) {
+      this._finishHandler(err);
+    }
+  }
+
+  _replayRandom () {
+    const random = this._recording.random;
+    if (this._randomIndex >= random.length) {
+      throw new Error('Recording has run out of random numbers');
+    }
+    return random[this._randomIndex++];
+  }
+
+  _frame (frameTime) {
+    this._frameRequestID = undefined;
+    if (!Number.isNaN(this._lastFrameTime)) {
+      this._playTime += (frameTime - this._lastFrameTime) * this._speed;
+    }
+    this._lastFrameTime = frameTime;
+
+    const events = this._recording.events;
+    const endTime = this._recording.startTime + this._playTime;
+    try {
+      while (this._eventIndex < events.length &&
+          events[this._eventIndex].time <= endTime) {
+        const event = events[this._eventIndex++];
+        if (event.type === 'frame') {
+          this._scheduler.runFrame(event.time);
+        } else {
+          this._scheduler.setTime(event.time);
+          this._buttonGroup.applyInput(event);
+        }
+      }
+    } catch (err) {
+      /* a broken recording should not leave the game stuck in the replay */
+      this._end(err);
+      return;
+    }
+
+    if (this._eventIndex >= events.length) {
+      this.stop();
+    } else {
+      this._frameRequestID = window.requestAnimationFrame(this._frameCallback);
+    }
+  }
+}
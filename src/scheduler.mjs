@@ -0,0 +1,288 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { checkRange } from './physics.mjs';
+
+/**
+ * Schedules callbacks for every animation frame, and keeps the simulation
+ * clock that the game is timed with.
+ *
+ * The simulation clock is a monotonic time base, built on
+ * `performance.now()`. It is paused whilst the page is hidden or the window
+ * does not have focus, and no frames are scheduled during this time. This
+ * means that any motion continues from where it was left once the page is
+ * shown again.
+ */
+export class FrameScheduler {
+  /**
+   * Create a new FrameScheduler.
+   *
+   * @return {FrameScheduler} A new FrameScheduler.
+   */
+  constructor () {
+    this._callbacks = new Set();
+    this._frameRequestID = undefined;
+    this._frameCallback = this._frame.bind(this);
+    /* total time spent paused, in milliseconds */
+    this._pausedTime = 0;
+    /* performance.now() of when the clock was paused */
+    this._pauseStart = NaN;
+    this._hidden = false;
+    this._blurred = false;
+    /* the clock and frames are driven by hand, such as for a replay */
+    this._manual = false;
+    /* the time of the clock whilst driven by hand, in milliseconds */
+    this._manualTime = NaN;
+    /* the time the clock is held at, see hold() */
+    this._held = false;
+    this._heldTime = NaN;
+    /* the listeners of the page, kept to remove them */
+    this._visibilityCallback = this._updateFromVisibility.bind(this);
+    this._blurCallback = this._updateFromBlur.bind(this);
+    this._focusCallback = this._updateFromFocus.bind(this);
+
+    Object.seal(this);
+
+    document.addEventListener('visibilitychange', this._visibilityCallback);
+    window.addEventListener('blur', this._blurCallback);
+    window.addEventListener('focus', this._focusCallback);
+
+    /* the page may be loaded in a window that does not have focus, in which
+     * case no blur event comes */
+    this._setPaused(
+      document.visibilityState === 'hidden', !document.hasFocus());
+  }
+
+  /**
+   * Get the current time of the simulation clock.
+   *
+   * @return {number} The current time, in milliseconds.
+   */
+  now () {
+    if (this._manual) {
+      return this._manualTime;
+    }
+    if (this._held) {
+      return this._heldTime;
+    }
+    const time = this.isPaused() ? this._pauseStart : performance.now();
+    return time - this._pausedTime;
+  }
+
+  /**
+   * Get whether the simulation clock is paused.
+   *
+   * @return {boolean} Whether the clock is paused.
+   */
+  isPaused () {
+    return this._hidden || this._blurred;
+  }
+
+  /**
+   * Call a callback on every animation frame, until it is removed. Adding a
+   * callback that was already added has no effect.
+   *
+   * @param {function(number)} callback - The callback to call. It is given
+   * the time of the frame, as returned by {@link FrameScheduler#now}.
+   */
+  add (callback) {
+    this._callbacks.add(callback);
+    this._requestFrame();
+  }
+
+  /**
+   * Stop calling a callback that was given to {@link FrameScheduler#add}.
+   *
+   * @param {function(number)} callback - The callback to remove.
+   */
+  remove (callback) {
+    this._callbacks.delete(callback);
+    if (this._callbacks.size === 0) {
+      this._cancelFrame();
+    }
+  }
+
+  /**
+   * Set whether the clock and the frames are driven by hand, rather than by
+   * the animation frames of the page. This is used to replay a recorded
+   * session, using {@link FrameScheduler#setTime} and
+   * {@link FrameScheduler#runFrame}. The clock continues from the same time
+   * when switching back.
+   *
+   * @param {boolean} manual - Whether to drive the clock by hand.
+   * @param {number} [time] - The time to start the clock from when driven by
+   * hand. Defaults to the current time. If this is before the current time,
+   * the caller must make sure that nothing is still timed from the later
+   * time.
+   */
+  setManual (manual, time) {
+    if (manual) {
+      this._manualTime = (time === undefined) ? this.now() : time;
+      this._manual = true;
+      this._cancelFrame();
+    } else if (this._manual) {
+      /* continue the clock from the manual time */
+      const time = this.isPaused() ? this._pauseStart : performance.now();
+      this._pausedTime = time - this._manualTime;
+      this._manualTime = NaN;
+      this._manual = false;
+      this._requestFrame();
+    }
+  }
+
+  /**
+   * Get whether the clock and the frames are driven by hand.
+   *
+   * @return {boolean} Whether the clock is driven by hand.
+   */
+  isManual () {
+    return this._manual;
+  }
+
+  /**
+   * Set the time of the clock whilst it is driven by hand.
+   *
+   * @param {number} time - The new time, in milliseconds. Must not be before
+   * the current time.
+   *
+   * @throws {Error} If the clock is not driven by hand.
+   * @throws {RangeError} If the time is before the current time.
+   */
+  setTime (time) {
+    if (!this._manual) {
+      throw new Error('The clock is not driven by hand');
+    }
+    checkRange('time', time, this._manualTime, true, Infinity, false);
+    this._manualTime = time;
+  }
+
+  /**
+   * Run a single frame whilst the clock is driven by hand, calling all the
+   * callbacks.
+   *
+   * @param {number} time - The time of the frame, in milliseconds. See
+   * {@link FrameScheduler#setTime}.
+   *
+   * @throws {Error} If the clock is not driven by hand.
+   * @throws {RangeError} If the time is before the current time.
+   */
+  runFrame (time) {
+    this.setTime(time);
+    this._runCallbacks(time);
+  }
+
+  /**
+   * Call a function with the clock held at the current time, so that every
+   * call to {@link FrameScheduler#now} during the function gives the same
+   * time. The clock is already held during the callbacks of a frame.
+   *
+   * @param {function()} callback - The function to call.
+   */
+  hold (callback) {
+    if (this._held || this._manual) {
+      callback();
+      return;
+    }
+    this._heldTime = this.now();
+    this._held = true;
+    try {
+      callback();
+    } finally {
+      this._held = false;
+      this._heldTime = NaN;
+    }
+  }
+
+  /**
+   * Stop scheduling frames, removing every callback and every listener that
+   * was added to the page. The scheduler should no longer be used
+   * afterwards.
+   */
+  destroy () {
+    this._callbacks.clear();
+    this._cancelFrame();
+    document.removeEventListener(
+      'visibilitychange', this._visibilityCallback);
+    window.removeEventListener('blur', this._blurCallback);
+    window.removeEventListener('focus', this._focusCallback);
+  }
+
+  _requestFrame () {
+    if (this._frameRequestID === undefined && !this.isPaused() &&
+        !this._manual && this._callbacks.size !== 0) {
+      this._frameRequestID = window.requestAnimationFrame(this._frameCallback);
+    }
+  }
+
+  _cancelFrame () {
+    if (this._frameRequestID !== undefined) {
+      window.cancelAnimationFrame(this._frameRequestID);
+      this._frameRequestID = undefined;
+    }
+  }
+
+  _frame () {
+    this._frameRequestID = undefined;
+    /* the time of the frame is taken once the clock is held, so that the
+     * callbacks are given the same time as anything they call. Otherwise a
+     * callback that pushes a button, such as a bot, would time the push by
+     * the held clock, just after the frame time that the buttons are then
+     * moved to */
+    const scheduler = this;
+    this.hold(function () {
+      scheduler._runCallbacks(scheduler.now());
+    });
+    this._requestFrame();
+  }
+
+  _runCallbacks (now) {
+    /* copy, since the callbacks may add or remove callbacks */
+    for (const callback of Array.from(this._callbacks)) {
+      if (this._callbacks.has(callback)) {
+        callback(now);
+      }
+    }
+  }
+
+  _setPaused (hidden, blurred) {
+    const wasPaused = this.isPaused();
+    this._hidden = hidden;
+    this._blurred = blurred;
+    const paused = this.isPaused();
+    if (paused && !wasPaused) {
+      this._pauseStart = performance.now();
+      this._cancelFrame();
+    } else if (!paused && wasPaused) {
+      this._pausedTime += performance.now() - this._pauseStart;
+      this._pauseStart = NaN;
+      this._requestFrame();
+    }
+  }
+
+  _updateFromVisibility () {
+    this._setPaused(document.visibilityState === 'hidden', this._blurred);
+  }
+
+  _updateFromBlur (ev) {
+    /* blur events from elements do not bubble, so this is only the window */
+    this._setPaused(this._hidden, true);
+  }
+
+  _updateFromFocus (ev) {
+    this._setPaused(this._hidden, false);
+  }
+}
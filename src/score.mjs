@@ -0,0 +1,329 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Keeps the score of the game and shows it in a heads-up display.
+ *
+ * The score counts the successful clicks, the pushes from pointers and the
+ * bounces off the walls. Each successful click is timed from when the button
+ * last went shiny, and the fastest times are kept in a high-score table for
+ * each difficulty, which is saved in the localStorage.
+ *
+ * The score can be counted from the events of the buttons, see
+ * {@link ScoreKeeper#watch}, or by calling the "add" methods directly.
+ */
+export class ScoreKeeper {
+  /**
+   * Create a new ScoreKeeper, showing the score in the given display.
+   *
+   * @param {Element} hudEl - The element to show the score in. The values are
+   * written into its descendants with the classes "score-clicks",
+   * "score-last-time", "score-best-time", "score-pushes", "score-bounces" and
+   * "score-difficulty". The high-score table is written into the descendant
+   * list with the class "high-scores", and a descendant button with the class
+   * "reset-high-scores" will reset the table.
+   * @param {string} difficulty - The name of the difficulty being played,
+   * which selects the high-score table.
+   *
+   * @return {ScoreKeeper} A new ScoreKeeper.
+   */
+  constructor (hudEl, difficulty) {
+    this._clicks = 0;
+    this._pushes = 0;
+    this._bounces = 0;
+    /* click times in milliseconds */
+    this._lastTime = NaN;
+    this._bestTime = NaN;
+    this._difficulty = difficulty;
+    /* the high-score tables, by difficulty */
+    this._highScores = this._loadHighScores();
+    /* the high-score entry that was just added */
+    this._newEntry = undefined;
+
+    this._hudEl = hudEl;
+    this._maxHighScores = 10;
+    this._highScoresEnabled = true;
+    this._eventListener = this._handleEvent.bind(this);
+    this._resetListener = this._resetClicked.bind(this);
+
+    Object.seal(this);
+
+    this._getHudEl('reset-high-scores').addEventListener(
+      'click', this._resetListener);
+
+    this._render();
+  }
+
+  /**
+   * Count the pushes, bounces and clicks of the buttons whose events reach
+   * the given element, such as the container of the buttons. See
+   * `MovingButton` of the button module for the events.
+   *
+   * @param {EventTarget} target - The element to listen to.
+   */
+  watch (target) {
+    for (const type of ['push', 'bounce', 'clicked']) {
+      target.addEventListener(type, this._eventListener);
+    }
+  }
+
+  /**
+   * Stop counting the events that reach an element given to
+   * {@link ScoreKeeper#watch}.
+   *
+   * @param {EventTarget} target - The element to stop listening to.
+   */
+  unwatch (target) {
+    for (const type of ['push', 'bounce', 'clicked']) {
+      target.removeEventListener(type, this._eventListener);
+    }
+  }
+
+  /**
+   * Remove the listener of the reset button. Any elements given to
+   * {@link ScoreKeeper#watch} should be unwatched first. The display is left
+   * as it is, and the score keeper should no longer be used afterwards.
+   */
+  destroy () {
+    this._getHudEl('reset-high-scores').removeEventListener(
+      'click', this._resetListener);
+  }
+
+  _handleEvent (event) {
+    if (event.type === 'push') {
+      this.addPush();
+    } else if (event.type === 'bounce') {
+      this.addBounce();
+    } else {
+      this.addClick(event.detail.clickTime);
+    }
+  }
+
+  /**
+   * Count a push of the button by a pointer.
+   */
+  addPush () {
+    this._pushes++;
+    this._render();
+  }
+
+  /**
+   * Count a bounce of the button off a wall.
+   */
+  addBounce () {
+    this._bounces++;
+    this._render();
+  }
+
+  /**
+   * Count a successful click of the button.
+   *
+   * @param {number} time - How long the click took since the button last went
+   * shiny, in milliseconds. If the button has not gone shiny since the last
+   * click, this should be NaN and the click is not timed.
+   */
+  addClick (time) {
+    this._clicks++;
+    this._newEntry = undefined;
+    if (Number.isFinite(time)) {
+      this._lastTime = time;
+      if (!(this._bestTime <= time)) {
+        this._bestTime = time;
+      }
+      if (this._highScoresEnabled) {
+        this._addHighScore(time);
+      }
+    }
+    this._render();
+  }
+
+  /**
+   * Get the score, such as to save it and carry on with it later, see
+   * {@link ScoreKeeper#restoreState}. The high-score tables are already
+   * saved, so are not part of it. The state can be stored as JSON.
+   *
+   * @return {Object} The number of *clicks*, *pushes* and *bounces*, and the
+   * *lastTime* and *bestTime* of the timed clicks in milliseconds, which
+   * are null if there have been none.
+   */
+  saveState () {
+    return {
+      clicks: this._clicks,
+      pushes: this._pushes,
+      bounces: this._bounces,
+      lastTime: Number.isNaN(this._lastTime) ? null : this._lastTime,
+      bestTime: Number.isNaN(this._bestTime) ? null : this._bestTime
+    };
+  }
+
+  /**
+   * Carry on with a score given by {@link ScoreKeeper#saveState}.
+   *
+   * @param {Object} state - The score to restore.
+   *
+   * @throws {RangeError} If a value of the state is not a count or a time.
+   */
+  restoreState (state) {
+    for (const name of ['clicks', 'pushes', 'bounces']) {
+      if (!Number.isInteger(state[name]) || state[name] < 0) {
+        throw new RangeError(name + ' is ' + String(state[name]) +
+          ' but must be a non-negative integer');
+      }
+    }
+    for (const name of ['lastTime', 'bestTime']) {
+      const time = state[name];
+      if (time !== null && !(typeof time === 'number' && time >= 0 &&
+          Number.isFinite(time))) {
+        throw new RangeError(name + ' is ' + String(time) +
+          ' but must be a non-negative number or null');
+      }
+    }
+    this._clicks = state.clicks;
+    this._pushes = state.pushes;
+    this._bounces = state.bounces;
+    this._lastTime = (state.lastTime === null) ? NaN : state.lastTime;
+    this._bestTime = (state.bestTime === null) ? NaN : state.bestTime;
+    this._newEntry = undefined;
+    this._render();
+  }
+
+  /**
+   * Set the difficulty being played, which selects the high-score table.
+   *
+   * @param {string} difficulty - The name of the difficulty.
+   */
+  setDifficulty (difficulty) {
+    this._difficulty = difficulty;
+    this._newEntry = undefined;
+    this._render();
+  }
+
+  /**
+   * Set whether the timed clicks are added to the high-score table. This can
+   * be used to leave out the clicks of a replay.
+   *
+   * @param {boolean} enabled - Whether to add to the high-score table.
+   */
+  setHighScoresEnabled (enabled) {
+    this._highScoresEnabled = enabled;
+  }
+
+  /**
+   * Remove all the entries of the high-score table for the current
+   * difficulty.
+   */
+  resetHighScores () {
+    delete this._highScores[this._difficulty];
+    this._newEntry = undefined;
+    this._saveHighScores();
+    this._render();
+  }
+
+  _addHighScore (time) {
+    let table = this._highScores[this._difficulty];
+    if (table === undefined) {
+      table = [];
+      this._highScores[this._difficulty] = table;
+    }
+    const entry = { time: time, date: new Date().toISOString() };
+    /* keep sorted by time, with earlier entries first for equal times */
+    let index = table.findIndex(function (other) {
+      return other.time > time;
+    });
+    if (index === -1) {
+      index = table.length;
+    }
+    if (index >= this._maxHighScores) {
+      return;
+    }
+    table.splice(index, 0, entry);
+    table.length = Math.min(table.length, this._maxHighScores);
+    this._newEntry = entry;
+    this._saveHighScores();
+  }
+
+  _loadHighScores () {
+    let highScores;
+    try {
+      highScores = JSON.parse(
+        window.localStorage.getItem('clicking-game-high-scores'));
+    } catch (err) {
+      console.warn('Could not load the high scores: ' + String(err));
+    }
+    if (typeof highScores !== 'object' || highScores === null) {
+      return {};
+    }
+    return highScores;
+  }
+
+  _saveHighScores () {
+    try {
+      window.localStorage.setItem(
+        'clicking-game-high-scores', JSON.stringify(this._highScores));
+    } catch (err) {
+      /* the scores are still kept for this page */
+      console.warn('Could not save the high scores: ' + String(err));
+    }
+  }
+
+  _resetClicked () {
+    if (window.confirm(
+      'Reset the high scores for the ' + this._difficulty + ' difficulty?')) {
+      this.resetHighScores();
+    }
+  }
+
+  _getHudEl (className) {
+    const el = this._hudEl.querySelector('.' + className);
+    if (el === null) {
+      throw new Error('Missing element with class "' + className + '"');
+    }
+    return el;
+  }
+
+  _formatTime (time) {
+    if (!Number.isFinite(time)) {
+      return '–';
+    }
+    return (time / 1000).toFixed(2) + ' s';
+  }
+
+  _render () {
+    this._getHudEl('score-clicks').textContent = String(this._clicks);
+    this._getHudEl('score-last-time').textContent =
+      this._formatTime(this._lastTime);
+    this._getHudEl('score-best-time').textContent =
+      this._formatTime(this._bestTime);
+    this._getHudEl('score-pushes').textContent = String(this._pushes);
+    this._getHudEl('score-bounces').textContent = String(this._bounces);
+    this._getHudEl('score-difficulty').textContent = this._difficulty;
+
+    const listEl = this._getHudEl('high-scores');
+    const table = this._highScores[this._difficulty] || [];
+    listEl.replaceChildren();
+    for (const entry of table) {
+      const itemEl = document.createElement('li');
+      itemEl.textContent = this._formatTime(entry.time) + ' on ' +
+        new Date(entry.date).toLocaleDateString();
+      if (entry === this._newEntry) {
+        itemEl.classList.add('new');
+      }
+      listEl.appendChild(itemEl);
+    }
+    this._getHudEl('reset-high-scores').disabled = (table.length === 0);
+  }
+}
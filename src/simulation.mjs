@@ -0,0 +1,315 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { makeConfig } from './config.mjs';
+import {
+  ButtonBody, ButtonWorld, checkRange, obstacleLayout
+} from './physics.mjs';
+import { TrackedPointer } from './pointer.mjs';
+
+/**
+ * A headless game, which runs the physics of the buttons against a scripted
+ * pointer path without a browser. The simulation keeps its own clock, so a
+ * run is reproducible given the same path, clock and random function.
+ *
+ * For example, in Node:
+ *
+ *   const sim = new GameSimulation({ random: () => 0.5 });
+ *   const result = sim.run(
+ *     [{ time: 0, x: 0, y: 300 }, { time: 100, x: 320, y: 300 }], 2000);
+ */
+export class GameSimulation {
+  /**
+   * Create a new GameSimulation.
+   *
+   * @param {Object} [options] - The options of the simulation.
+   * @param {number} [options.areaWidth=600] - The width of the play area.
+   * @param {number} [options.areaHeight=600] - The height of the play area.
+   * @param {number} [options.buttonWidth=100] - The width of each button.
+   * @param {number} [options.buttonHeight=40] - The height of each button.
+   * @param {number} [options.buttonCount=1] - The number of buttons. The
+   * first is placed in the centre and the others at random positions, away
+   * from the obstacles if there is room. A button that stops against an
+   * absorbing wall is lost, and a new one is placed in the centre when the
+   * last is lost.
+   * @param {function(): number} [options.random=Math.random] - A function that
+   * returns a random number in the interval [0, 1).
+   * @param {number} [options.frameInterval=1000/60] - The time between the
+   * motion updates, in milliseconds.
+   * @param {function(number): number} [options.clock] - A function that is
+   * given the time of a motion update and returns the time of the next one,
+   * in milliseconds, such as to replay the uneven frames of a browser.
+   * Defaults to steps of *frameInterval*.
+   * @param {Object} [options.config] - Overrides of the default tuning, see
+   * `makeConfig` of the config module.
+   *
+   * @return {GameSimulation} A new GameSimulation.
+   *
+   * @throws {Error} If an option of the config is not known.
+   * @throws {RangeError} If an option is out of range.
+   */
+  constructor (options) {
+    options = Object.assign({
+      areaWidth: 600,
+      areaHeight: 600,
+      buttonWidth: 100,
+      buttonHeight: 40,
+      buttonCount: 1,
+      random: Math.random,
+      frameInterval: 1000 / 60,
+      clock: undefined,
+      config: undefined
+    }, options);
+    const config = makeConfig(options.config);
+    checkRange('buttonWidth', options.buttonWidth, 0, false, Infinity, false);
+    checkRange(
+      'buttonHeight', options.buttonHeight, 0, false, Infinity, false);
+    checkRange(
+      'areaWidth', options.areaWidth, options.buttonWidth, false,
+      Infinity, false);
+    checkRange(
+      'areaHeight', options.areaHeight, options.buttonHeight, false,
+      Infinity, false);
+    checkRange('buttonCount', options.buttonCount, 1, true, Infinity, false);
+    checkRange(
+      'frameInterval', options.frameInterval, 0, false, Infinity, false);
+
+    const frameInterval = options.frameInterval;
+    this._clock = options.clock || function (time) {
+      return time + frameInterval;
+    };
+    this._config = config;
+    /* simulation time, in milliseconds */
+    this._time = 0;
+    this._world = new ButtonWorld();
+    this._world.setObstacles(obstacleLayout(
+      config.obstacles, options.areaWidth, options.areaHeight));
+    /* time that each clicked button stops being immune, by body */
+    this._immuneUntil = new Map();
+    this._pushes = 0;
+    this._bounces = 0;
+    this._clicks = 0;
+    this._lost = 0;
+
+    const bounced = this._bounced.bind(this);
+    /* creates a button in the centre, at the given time */
+    this._newBody = function (now) {
+      return new ButtonBody(
+        options.buttonWidth, options.buttonHeight, options.areaWidth,
+        options.areaHeight, config, options.random, bounced, now);
+    };
+    for (let i = 0; i < options.buttonCount; i++) {
+      const body = this._newBody(this._time);
+      if (i > 0) {
+        this._placeRandomly(body, options.random);
+      }
+      this._world.add(body);
+    }
+
+    Object.seal(this);
+  }
+
+  /**
+   * Get the current time of the simulation.
+   *
+   * @return {number} The time, in milliseconds.
+   */
+  now () {
+    return this._time;
+  }
+
+  /**
+   * Get the buttons of the simulation.
+   *
+   * @return {ButtonBody[]} The buttons.
+   */
+  bodies () {
+    return this._world.bodies();
+  }
+
+  _placeRandomly (body, random) {
+    /* try random positions until one is clear of the obstacles */
+    const box = body.box();
+    const range = body.positionRange();
+    const obstacles = this._world.obstacles();
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const x = Math.round(random() * range.x);
+      const y = Math.round(random() * range.y);
+      body.moveTo(x, y);
+      const clear = obstacles.every(function (obstacle) {
+        return x >= obstacle.x + obstacle.width ||
+          x + box.width <= obstacle.x ||
+          y >= obstacle.y + obstacle.height ||
+          y + box.height <= obstacle.y;
+      });
+      if (clear) {
+        return;
+      }
+    }
+  }
+
+  _bounced (wall, vel) {
+    this._bounces++;
+  }
+
+  _applySample (pointer, sample) {
+    /* returns the pointer to use for the next sample */
+    const bodies = this._world.bodies();
+    if (Number.isNaN(sample.x) || Number.isNaN(sample.y)) {
+      /* the pointer has left */
+      if (pointer !== undefined) {
+        for (const body of bodies) {
+          body.endPointer(pointer, sample.time);
+        }
+      }
+      return undefined;
+    }
+    let diffX = NaN;
+    let diffY = NaN;
+    if (pointer === undefined) {
+      pointer = new TrackedPointer(1, 'mouse', this._config);
+    } else {
+      diffX = sample.x - pointer.posX();
+      diffY = sample.y - pointer.posY();
+    }
+    pointer.addSample(
+      sample.time, diffX, diffY, sample.time, sample.x, sample.y);
+    for (const body of bodies) {
+      if (body.detectHit(pointer, sample.time)) {
+        this._pushes++;
+      }
+    }
+    if (sample.click) {
+      /* later buttons are on top */
+      for (let i = bodies.length - 1; i >= 0; i--) {
+        const body = bodies[i];
+        if (body.isOver(sample.x, sample.y)) {
+          const box = body.box();
+          body.escapeFrom(
+            sample.x - body.leftPos() - (box.width / 2),
+            sample.y - body.topPos() - (box.height / 2), sample.time);
+          this._immuneUntil.set(body, sample.time + this._config.alertTime);
+          this._clicks++;
+          break;
+        }
+      }
+    }
+    return pointer;
+  }
+
+  _step (pointer, endTime) {
+    for (const [body, time] of Array.from(this._immuneUntil)) {
+      if (time <= endTime) {
+        body.setHitImmune(false);
+        this._immuneUntil.delete(body);
+      }
+    }
+    this._world.update(this._time / 1000, endTime / 1000);
+    this._time = endTime;
+    for (const body of this._world.bodies()) {
+      if (body.isAbsorbed()) {
+        this._world.remove(body);
+        this._immuneUntil.delete(body);
+        this._lost++;
+      }
+    }
+    if (this._world.bodies().length === 0) {
+      this._world.add(this._newBody(endTime));
+    }
+    if (pointer !== undefined) {
+      for (const body of this._world.bodies()) {
+        if (body.detectHit(pointer, endTime)) {
+          this._pushes++;
+        }
+      }
+    }
+  }
+
+  /**
+   * Run the simulation for a while, moving a pointer along a path.
+   *
+   * @param {Object[]|function(number, ButtonBody[]): Object} pointerPath -
+   * The samples of the pointer, ordered by time. Each has the *time* of the
+   * sample in milliseconds, the *x* and *y* position in the coordinates of
+   * the play area, and optionally *click* set to true if the pointer clicks
+   * at that position. A position of NaN means that the pointer has left the
+   * play area. This can instead be a function, for a pointer that reacts to
+   * the buttons, which is called at the start of every frame with the time
+   * and the buttons, and returns the sample for that time, undefined to leave
+   * the pointer where it is, or null to end the run before the duration.
+   * @param {number} duration - How long to run for, in milliseconds.
+   *
+   * @return {Object} The *frames* of the run, each with the *time* and the
+   * *x*, *y*, *velX* and *velY* of the *buttons*, along with the total number
+   * of *pushes*, *bounces*, *clicks* and *lost* buttons during the run.
+   *
+   * @throws {RangeError} If the duration is out of range, or the clock does
+   * not move forward.
+   */
+  run (pointerPath, duration) {
+    checkRange('duration', duration, 0, true, Infinity, false);
+    const endTime = this._time + duration;
+    const frames = [];
+    const start = {
+      pushes: this._pushes,
+      bounces: this._bounces,
+      clicks: this._clicks,
+      lost: this._lost
+    };
+    let pointer;
+    let index = 0;
+    while (this._time < endTime) {
+      const nextTime = this._clock(this._time);
+      checkRange('nextTime', nextTime, this._time, false, Infinity, false);
+      const frameTime = Math.min(endTime, nextTime);
+      if (typeof pointerPath === 'function') {
+        const sample = pointerPath(this._time, this._world.bodies());
+        if (sample === null) {
+          break;
+        }
+        if (sample !== undefined) {
+          pointer = this._applySample(pointer, sample);
+        }
+      } else {
+        while (index < pointerPath.length &&
+            pointerPath[index].time <= frameTime) {
+          pointer = this._applySample(pointer, pointerPath[index]);
+          index++;
+        }
+      }
+      this._step(pointer, frameTime);
+      frames.push({
+        time: frameTime,
+        buttons: this._world.bodies().map(function (body) {
+          return {
+            x: body.leftPos(),
+            y: body.topPos(),
+            velX: body.velX(),
+            velY: body.velY()
+          };
+        })
+      });
+    }
+    return {
+      frames: frames,
+      pushes: this._pushes - start.pushes,
+      bounces: this._bounces - start.bounces,
+      clicks: this._clicks - start.clicks,
+      lost: this._lost - start.lost
+    };
+  }
+}
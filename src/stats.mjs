@@ -0,0 +1,374 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* the number of cells along each side of the heatmap */
+const HEATMAP_CELLS = 20;
+/* the number of bars of the histogram */
+const HISTOGRAM_BARS = 20;
+/* the most events kept, after which the oldest are dropped */
+const MAX_EVENTS = 100000;
+/* the columns of the CSV export, which are the properties of the events */
+const CSV_COLUMNS = [
+  'type', 'time', 'x', 'y', 'side', 'relVelX', 'relVelY', 'wall', 'speed',
+  'clickTime'];
+
+/* the names of each kind of event, as shown */
+const KIND_NAMES = {
+  push: ['push', 'pushes'],
+  bounce: ['bounce', 'bounces'],
+  clicked: ['click', 'clicks']
+};
+
+function csvField (value) {
+  if (value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  if (/[",\n]/.test(text)) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+function download (text, type, filename) {
+  const blob = new Blob([text], { type: type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(function () {
+    URL.revokeObjectURL(link.href);
+  }, 0);
+}
+
+/**
+ * Logs where the buttons are caught, to learn how the game is played. This
+ * keeps every push, bounce and click of the buttons, from their events, see
+ * `MovingButton` of the button module, and shows them in a display:
+ *
+ * - A heatmap of where the events of the chosen kind happened over the play
+ *   area. A push or click is placed where the pointer was, and a bounce
+ *   where the button met the wall.
+ * - A histogram of their speeds. For a push, this is the speed of the
+ *   pointer relative to the button, and for a bounce the speed the button
+ *   hit the wall with. For a click, it is instead the time taken to click
+ *   the button, in seconds, since a click has no speed.
+ *
+ * Each logged event has the *type* of event, which is "push", "bounce" or
+ * "clicked", the *time* on the scheduler's clock in milliseconds, and the
+ * *x* and *y* position as placed in the heatmap. A push also has the *side*
+ * the pointer entered from and its relative velocity, *relVelX* and
+ * *relVelY*. A bounce also has the *wall* and the *speed*. A click also has
+ * the *clickTime*, which is NaN if the button had not gone shiny since the
+ * last click. The events can be downloaded as CSV or JSON.
+ */
+export class SessionStats {
+  /**
+   * Create a new SessionStats, showing the statistics in the given display.
+   *
+   * @param {Element} hudEl - The element to show the statistics in. The
+   * heatmap and histogram are drawn on its descendant canvases with the
+   * classes "stats-heatmap" and "stats-histogram", and the kind of event to
+   * show is chosen by the descendant select with the class "stats-kind",
+   * whose values are "push", "bounce" and "clicked". The counts are written
+   * into the descendant with the class "stats-summary". The descendant
+   * buttons with the classes "stats-csv", "stats-json" and "stats-reset"
+   * download the events as CSV, download them as JSON, and forget them.
+   * @param {Element} container - The container of the buttons, whose padding
+   * area the positions are in.
+   *
+   * @return {SessionStats} A new SessionStats.
+   */
+  constructor (hudEl, container) {
+    this._events = [];
+    /* the events are drawn at most once a frame */
+    this._renderRequestID = undefined;
+    this._renderCallback = this._render.bind(this);
+    this._hudEl = hudEl;
+    this._container = container;
+    this._eventListener = this._handleEvent.bind(this);
+    /* the listeners of the display, by class */
+    this._hudListeners = {
+      'stats-kind': this._renderCallback,
+      'stats-csv': this._downloadCSV.bind(this),
+      'stats-json': this._downloadJSON.bind(this),
+      'stats-reset': this.reset.bind(this)
+    };
+
+    Object.seal(this);
+
+    for (const className of Object.keys(this._hudListeners)) {
+      const type = (className === 'stats-kind') ? 'change' : 'click';
+      this._getHudEl(className).addEventListener(
+        type, this._hudListeners[className]);
+    }
+
+    this._render();
+  }
+
+  /**
+   * Log the pushes, bounces and clicks of the buttons whose events reach the
+   * given element, such as the container of the buttons.
+   *
+   * @param {EventTarget} target - The element to listen to.
+   */
+  watch (target) {
+    for (const type of ['push', 'bounce', 'clicked']) {
+      target.addEventListener(type, this._eventListener);
+    }
+  }
+
+  /**
+   * Stop logging the events that reach an element given to
+   * {@link SessionStats#watch}.
+   *
+   * @param {EventTarget} target - The element to stop listening to.
+   */
+  unwatch (target) {
+    for (const type of ['push', 'bounce', 'clicked']) {
+      target.removeEventListener(type, this._eventListener);
+    }
+  }
+
+  /**
+   * Remove the listeners of the display. Any elements given to
+   * {@link SessionStats#watch} should be unwatched first. The display is left
+   * as it is, and the stats should no longer be used afterwards.
+   */
+  destroy () {
+    if (this._renderRequestID !== undefined) {
+      window.cancelAnimationFrame(this._renderRequestID);
+      this._renderRequestID = undefined;
+    }
+    for (const className of Object.keys(this._hudListeners)) {
+      const type = (className === 'stats-kind') ? 'change' : 'click';
+      this._getHudEl(className).removeEventListener(
+        type, this._hudListeners[className]);
+    }
+  }
+
+  /**
+   * Get the logged events.
+   *
+   * @return {Object[]} A copy of the events, oldest first.
+   */
+  events () {
+    return this._events.map(function (event) {
+      return Object.assign({}, event);
+    });
+  }
+
+  /**
+   * Forget all of the logged events.
+   */
+  reset () {
+    this._events = [];
+    this._render();
+  }
+
+  /**
+   * Get the logged events as CSV, with a header row and a row for each
+   * event. The properties that an event does not have are left empty.
+   *
+   * @return {string} The CSV text.
+   */
+  exportCSV () {
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const event of this._events) {
+      rows.push(CSV_COLUMNS.map(function (column) {
+        return csvField(event[column]);
+      }).join(','));
+    }
+    return rows.join('\n') + '\n';
+  }
+
+  /**
+   * Get the logged events as JSON:
+   *
+   *   {
+   *     "format": "clicking-game-stats",
+   *     "events": [{ "type": "push", "time": 1536.2, ... }, ...]
+   *   }
+   *
+   * A NaN *clickTime* is written as null.
+   *
+   * @return {string} The JSON text.
+   */
+  exportJSON () {
+    return JSON.stringify({
+      format: 'clicking-game-stats',
+      events: this._events
+    });
+  }
+
+  _getHudEl (className) {
+    const el = this._hudEl.querySelector('.' + className);
+    if (el === null) {
+      throw new Error('Missing element with class "' + className + '"');
+    }
+    return el;
+  }
+
+  _handleEvent (event) {
+    const detail = event.detail;
+    const logged = { type: event.type, time: detail.time };
+    if (event.type === 'push') {
+      logged.x = detail.pointerX;
+      logged.y = detail.pointerY;
+      logged.side = detail.side;
+      logged.relVelX = detail.relVelX;
+      logged.relVelY = detail.relVelY;
+    } else if (event.type === 'bounce') {
+      logged.x = detail.contactX;
+      logged.y = detail.contactY;
+      logged.wall = detail.wall;
+      logged.speed = detail.speed;
+    } else {
+      logged.x = detail.pointerX;
+      logged.y = detail.pointerY;
+      logged.clickTime = detail.clickTime;
+    }
+    this._events.push(logged);
+    if (this._events.length > MAX_EVENTS) {
+      this._events.shift();
+    }
+    if (this._renderRequestID === undefined) {
+      this._renderRequestID = window.requestAnimationFrame(
+        this._renderCallback);
+    }
+  }
+
+  _downloadCSV () {
+    download(this.exportCSV(), 'text/csv', 'clicking-game-stats.csv');
+  }
+
+  _downloadJSON () {
+    download(this.exportJSON(), 'application/json', 'clicking-game-stats.json');
+  }
+
+  _render () {
+    if (this._renderRequestID !== undefined) {
+      window.cancelAnimationFrame(this._renderRequestID);
+      this._renderRequestID = undefined;
+    }
+    const kind = this._getHudEl('stats-kind').value;
+    const shown = this._events.filter(function (event) {
+      return event.type === kind;
+    });
+    const counts = { push: 0, bounce: 0, clicked: 0 };
+    for (const event of this._events) {
+      counts[event.type]++;
+    }
+    this._getHudEl('stats-summary').textContent = Object.keys(counts).map(
+      function (type) {
+        const names = KIND_NAMES[type];
+        return String(counts[type]) + ' ' +
+          ((counts[type] === 1) ? names[0] : names[1]);
+      }).join(', ') + '.';
+    this._renderHeatmap(shown);
+    this._renderHistogram(shown, kind);
+  }
+
+  _renderHeatmap (events) {
+    const canvas = this._getHudEl('stats-heatmap');
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    const areaWidth = this._container.clientWidth;
+    const areaHeight = this._container.clientHeight;
+    if (!(areaWidth > 0 && areaHeight > 0)) {
+      return;
+    }
+    const cells = new Array(HEATMAP_CELLS * HEATMAP_CELLS).fill(0);
+    let most = 0;
+    for (const event of events) {
+      /* keep the events on the edges, such as bounces, in the edge cells */
+      const column = Math.min(HEATMAP_CELLS - 1, Math.max(0, Math.floor(
+        event.x / areaWidth * HEATMAP_CELLS)));
+      const row = Math.min(HEATMAP_CELLS - 1, Math.max(0, Math.floor(
+        event.y / areaHeight * HEATMAP_CELLS)));
+      /* Note: a NaN position is left out */
+      if (Number.isNaN(column) || Number.isNaN(row)) {
+        continue;
+      }
+      const index = (row * HEATMAP_CELLS) + column;
+      cells[index]++;
+      most = Math.max(most, cells[index]);
+    }
+    const cellWidth = canvas.width / HEATMAP_CELLS;
+    const cellHeight = canvas.height / HEATMAP_CELLS;
+    for (let index = 0; index < cells.length; index++) {
+      if (cells[index] === 0) {
+        continue;
+      }
+      context.fillStyle = 'rgba(220, 40, 40, ' +
+        String(0.15 + (0.85 * cells[index] / most)) + ')';
+      context.fillRect(
+        (index % HEATMAP_CELLS) * cellWidth,
+        Math.floor(index / HEATMAP_CELLS) * cellHeight, cellWidth,
+        cellHeight);
+    }
+  }
+
+  _renderHistogram (events, kind) {
+    const canvas = this._getHudEl('stats-histogram');
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    const values = [];
+    for (const event of events) {
+      let value;
+      if (kind === 'push') {
+        value = Math.sqrt(
+          (event.relVelX * event.relVelX) + (event.relVelY * event.relVelY));
+      } else if (kind === 'bounce') {
+        value = event.speed;
+      } else {
+        value = event.clickTime / 1000;
+      }
+      if (Number.isFinite(value)) {
+        values.push(value);
+      }
+    }
+    const label = (kind === 'clicked') ? 'time to click (s)' : 'speed (px/s)';
+    /* Note: not spread into Math.max, since there can be too many */
+    const largest = values.reduce(function (most, value) {
+      return Math.max(most, value);
+    }, 0);
+    /* a little past the largest value, so that it is inside the last bar */
+    const range = (largest > 0) ? largest * 1.0001 : 1;
+    const bars = new Array(HISTOGRAM_BARS).fill(0);
+    for (const value of values) {
+      bars[Math.floor(value / range * HISTOGRAM_BARS)]++;
+    }
+    const tallest = Math.max(1, ...bars);
+    /* leave room for the labels */
+    const textHeight = 14;
+    const barWidth = canvas.width / HISTOGRAM_BARS;
+    const barSpace = canvas.height - textHeight;
+    context.fillStyle = 'steelblue';
+    for (let index = 0; index < HISTOGRAM_BARS; index++) {
+      const height = barSpace * bars[index] / tallest;
+      context.fillRect(
+        index * barWidth, barSpace - height, barWidth - 1, height);
+    }
+    context.fillStyle = 'black';
+    context.font = '11px sans-serif';
+    context.textBaseline = 'bottom';
+    context.fillText(
+      label + ', 0 to ' + largest.toFixed((kind === 'clicked') ? 1 : 0), 0,
+      canvas.height);
+  }
+}
@@ -0,0 +1,457 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { makeConfig } from './config.mjs';
+import { getRelativeOffset, getViewport } from './dom.mjs';
+import { TrackedPointer, WheelPointer } from './pointer.mjs';
+
+/* the pointer events that are tracked on the tracking area */
+const POINTER_EVENT_TYPES = [
+  'pointermove', 'pointerleave', 'pointerover', 'pointerdown', 'pointerup',
+  'pointercancel'];
+
+/* the pixels scrolled by a line of the mouse wheel, for the wheel events
+ * that are measured in lines */
+const WHEEL_LINE_HEIGHT = 40;
+
+/**
+ * Tracks the user pointer events (mouse, pen or touch) within a given area to
+ * approximate the position and velocity of each active pointer.
+ *
+ * Every pointer is tracked separately by a {@link TrackedPointer}, so several
+ * fingers, or a mouse and a pen, can be used at the same time. For touch
+ * input, a finger touching down is treated as the pointer entering the
+ * tracking area, and the finger lifting up is treated as the pointer leaving
+ * it.
+ *
+ * Over the relative element, the mouse wheel shoves the buttons from the
+ * pointer's position, rather than scrolling the page. Elsewhere in the
+ * tracking area, the wheel scrolls the page as usual. A zoom keeps track of
+ * where each pointer is on the page, so the pointers move across the page as
+ * it is zoomed under them.
+ *
+ * Each event is first turned into a plain input object, which holds
+ * everything the tracker uses from the event and the page at that moment.
+ * These inputs can be recorded and later given back to
+ * {@link MouseTracker#input} to repeat the same tracking.
+ */
+export class MouseTracker {
+  /**
+   * Create a new MouseTracker covering the given area.
+   *
+   * @param {Element} trackingAreaEl - Element whose area will be used for
+   * tracking pointer events. If a pointer leaves this element it will no
+   * longer be tracked.
+   * @param {Element} relativeEl - Element to use as the coordinate origin.
+   * The left and top of this element, **within** its padding area (minus the
+   * border), will be used as the `x` and `y` origins, respectively. These are
+   * the coordinates used in {@link TrackedPointer#posX} and
+   * {@link TrackedPointer#posY}. The element may move within the tracking
+   * area when either is resized, but its border width must stay fixed.
+   * @param {FrameScheduler} scheduler - The scheduler whose clock the pointer
+   * samples are timed with.
+   * @param {function(TrackedPointer)} posHandler - A handler to call every time
+   * the position or velocity of a pointer has been updated by a pointer event.
+   * @param {function(TrackedPointer)} endHandler - A handler to call when a
+   * pointer is no longer tracked. The pointer will not be passed to
+   * *posHandler* again.
+   * @param {function(Object)} [inputHandler] - A handler to pass the input of
+   * every event to, rather than applying it straight away. The handler can
+   * then apply the input with {@link MouseTracker#input}, or drop it.
+   * @param {Object} [config] - Overrides of the default tuning, see
+   * `makeConfig` of the config module. Only the *sampleExpireTime*, the
+   * options of the *estimator* and the *wheelShove* are used.
+   *
+   * @return {MouseTracker} A new MouseTracker.
+   */
+  constructor (
+    trackingAreaEl, relativeEl, scheduler, posHandler, endHandler,
+    inputHandler, config) {
+    /* tracked pointers and their position relative to the client, by their
+     * pointerId */
+    this._pointers = new Map();
+    /* last scroll position */
+    this._scrollX = window.scrollX;
+    this._scrollY = window.scrollY;
+    /* last viewport, which changes with a zoom */
+    this._viewport = getViewport();
+
+    this._trackingAreaEl = trackingAreaEl;
+    this._relativeEl = relativeEl;
+    {
+      /* only changes with a resize of either element */
+      const offset = getRelativeOffset(trackingAreaEl, relativeEl);
+      /* minus these offset to translate from the border area of the tracking
+       * area to the padding area of the relative element */
+      this._offsetX = offset.x;
+      this._offsetY = offset.y;
+    }
+    this._resizeObserver = undefined;
+    this._eventCallback = this._inputFromEvent.bind(this);
+    this._resizeCallback = this._inputFromResize.bind(this);
+    this._scheduler = scheduler;
+    this._posHandler = posHandler;
+    this._endHandler = endHandler;
+    this._inputHandler = (inputHandler === undefined)
+      ? this.input.bind(this) : inputHandler;
+    /* the tuning of the new pointers */
+    this._config = makeConfig(config);
+
+    Object.seal(this);
+
+    for (const type of POINTER_EVENT_TYPES) {
+      trackingAreaEl.addEventListener(type, this._eventCallback);
+    }
+    /* not passive, so that the wheel does not scroll the page */
+    trackingAreaEl.addEventListener(
+      'wheel', this._eventCallback, { passive: false });
+    window.addEventListener('scroll', this._eventCallback);
+    window.addEventListener('resize', this._resizeCallback);
+    /* a pinch zoom only changes the visual viewport */
+    if (window.visualViewport) {
+      window.visualViewport.addEventListener('resize', this._resizeCallback);
+      window.visualViewport.addEventListener('scroll', this._resizeCallback);
+    }
+    /* either element can also change size without the window, such as when
+     * the page sizes the play area to the window */
+    this._resizeObserver = new ResizeObserver(this._resizeCallback);
+    this._resizeObserver.observe(trackingAreaEl);
+    this._resizeObserver.observe(relativeEl);
+  }
+
+  /**
+   * Apply the input of an event, as passed to the *inputHandler* given to
+   * {@link MouseTracker#constructor}.
+   *
+   * @param {Object} input - The input to apply. Its *type* is the type of the
+   * event.
+   *
+   * @throws {Error} If the type of the input is not known.
+   */
+  input (input) {
+    switch (input.type) {
+      case 'pointermove':
+        this._updateFromPointerMove(input);
+        break;
+      case 'pointerleave':
+        this._updateFromPointerLeave(input);
+        break;
+      case 'pointerover':
+        this._updateFromPointerOver(input);
+        break;
+      case 'pointerdown':
+        this._updateFromPointerDown(input);
+        break;
+      case 'pointerup':
+        this._updateFromPointerUp(input);
+        break;
+      case 'pointercancel':
+        this._updateFromPointerCancel(input);
+        break;
+      case 'scroll':
+        this._updateFromScroll(input);
+        break;
+      case 'wheel':
+        this._updateFromWheel(input);
+        break;
+      case 'resize':
+        this._updateFromResize(input);
+        break;
+      default:
+        throw new Error('Unknown input type "' + String(input.type) + '"');
+    }
+  }
+
+  /**
+   * Change the tuning of the tracking. This only affects the pointers that
+   * start being tracked afterwards.
+   *
+   * @param {Object} config - Overrides of the default tuning, see
+   * `makeConfig` of the config module. Only the *sampleExpireTime*, the
+   * options of the *estimator* and the *wheelShove* are used.
+   */
+  setConfig (config) {
+    this._config = makeConfig(config);
+  }
+
+  /**
+   * Stop tracking all of the current pointers.
+   */
+  endPointers () {
+    for (const pointerId of Array.from(this._pointers.keys())) {
+      this._endPointer(pointerId);
+    }
+  }
+
+  /**
+   * Stop tracking, and remove every listener and observer that was added to
+   * the page. The current pointers are ended first, see
+   * {@link MouseTracker#endPointers}. The tracker should no longer be used
+   * afterwards.
+   */
+  destroy () {
+    this.endPointers();
+    for (const type of POINTER_EVENT_TYPES) {
+      this._trackingAreaEl.removeEventListener(type, this._eventCallback);
+    }
+    this._trackingAreaEl.removeEventListener('wheel', this._eventCallback);
+    window.removeEventListener('scroll', this._eventCallback);
+    window.removeEventListener('resize', this._resizeCallback);
+    if (window.visualViewport) {
+      window.visualViewport.removeEventListener(
+        'resize', this._resizeCallback);
+      window.visualViewport.removeEventListener(
+        'scroll', this._resizeCallback);
+    }
+    this._resizeObserver.disconnect();
+  }
+
+  _inputFromEvent (ev) {
+    /* the client position of the tracking area, which may move with a scroll
+     * or a resize */
+    const rect = this._trackingAreaEl.getBoundingClientRect();
+    const input = {
+      type: ev.type,
+      timeStamp: ev.timeStamp,
+      rectX: rect.x,
+      rectY: rect.y
+    };
+    if (ev.type === 'scroll') {
+      const newScrollX = window.scrollX;
+      const newScrollY = window.scrollY;
+      input.diffX = newScrollX - this._scrollX;
+      input.diffY = newScrollY - this._scrollY;
+      this._scrollX = newScrollX;
+      this._scrollY = newScrollY;
+    } else if (ev.type === 'wheel') {
+      if (!ev.ctrlKey) {
+        /* outside of the relative element, the wheel can not reach the
+         * buttons, so it is left to scroll the page */
+        const posX = ev.clientX - rect.x - this._offsetX;
+        const posY = ev.clientY - rect.y - this._offsetY;
+        if (posX < 0 || posX > this._relativeEl.clientWidth ||
+            posY < 0 || posY > this._relativeEl.clientHeight) {
+          return;
+        }
+        /* the wheel shoves the buttons instead. A wheel with the control key
+         * held zooms, which is left to the browser */
+        ev.preventDefault();
+      }
+      /* measure the wheel in pixels, whatever its unit */
+      let scaleX = 1;
+      let scaleY = 1;
+      if (ev.deltaMode === WheelEvent.DOM_DELTA_LINE) {
+        scaleX = WHEEL_LINE_HEIGHT;
+        scaleY = WHEEL_LINE_HEIGHT;
+      } else if (ev.deltaMode === WheelEvent.DOM_DELTA_PAGE) {
+        scaleX = this._relativeEl.clientWidth;
+        scaleY = this._relativeEl.clientHeight;
+      }
+      input.diffX = ev.deltaX * scaleX;
+      input.diffY = ev.deltaY * scaleY;
+      input.ctrlKey = ev.ctrlKey;
+      input.clientX = ev.clientX;
+      input.clientY = ev.clientY;
+    } else {
+      input.pointerId = ev.pointerId;
+      input.pointerType = ev.pointerType;
+      input.clientX = ev.clientX;
+      input.clientY = ev.clientY;
+    }
+    this._inputHandler(input);
+  }
+
+  _inputFromResize () {
+    /* the tracking area may have moved, and the relative element may have
+     * moved within it */
+    const rect = this._trackingAreaEl.getBoundingClientRect();
+    const offset = getRelativeOffset(this._trackingAreaEl, this._relativeEl);
+    /* a zoom keeps each pointer at the same place on the screen, so its
+     * client position becomes
+     *
+     *   viewX + viewScale * client ,
+     *
+     * found from the screen position, (client - x) * scale, of the old and
+     * new viewport */
+    const last = this._viewport;
+    const viewport = getViewport();
+    const viewScale = last.scale / viewport.scale;
+    this._viewport = viewport;
+    this._inputHandler({
+      type: 'resize',
+      timeStamp: performance.now(),
+      rectX: rect.x,
+      rectY: rect.y,
+      offsetX: offset.x,
+      offsetY: offset.y,
+      viewX: viewport.x - (last.x * viewScale),
+      viewY: viewport.y - (last.y * viewScale),
+      viewScale: viewScale
+    });
+  }
+
+  /**
+   * Get the pointers that are currently tracked.
+   *
+   * @return {Iterator<TrackedPointer>} The tracked pointers.
+   */
+  pointers () {
+    return Array.from(this._pointers.values(), function (tracked) {
+      return tracked.pointer;
+    }).values();
+  }
+
+  _updatePointerMotion (tracked, diffX, diffY, input) {
+    /* translate from the client to the relative element */
+    /* minus the client rect to translate to border area of the tracking area
+     * then minus offset to translate to the padding area of the relative
+     * element */
+    tracked.pointer.addSample(
+      this._scheduler.now(), diffX, diffY, input.timeStamp,
+      tracked.clientX - input.rectX - this._offsetX,
+      tracked.clientY - input.rectY - this._offsetY);
+    this._posHandler(tracked.pointer);
+  }
+
+  _updateToClientPos (input) {
+    let tracked = this._pointers.get(input.pointerId);
+    if (tracked === undefined) {
+      tracked = {
+        pointer: new TrackedPointer(
+          input.pointerId, input.pointerType, this._config),
+        clientX: NaN,
+        clientY: NaN
+      };
+      this._pointers.set(input.pointerId, tracked);
+    }
+    const lastX = tracked.clientX;
+    const lastY = tracked.clientY;
+    const clientX = input.clientX;
+    const clientY = input.clientY;
+    if (lastX === clientX && lastY === clientY) {
+      /* ignore duplicate position events */
+      return;
+    }
+    const diffX = clientX - lastX;
+    const diffY = clientY - lastY;
+    /* update prior */
+    tracked.clientX = clientX;
+    tracked.clientY = clientY;
+    this._updatePointerMotion(tracked, diffX, diffY, input);
+  }
+
+  _endPointer (pointerId) {
+    const tracked = this._pointers.get(pointerId);
+    if (tracked === undefined) {
+      return;
+    }
+    this._pointers.delete(pointerId);
+    this._endHandler(tracked.pointer);
+  }
+
+  _updateFromPointerMove (input) {
+    this._updateToClientPos(input);
+  }
+
+  _updateFromPointerOver (input) {
+    /* the pointer has moved over us or one of our children, can be triggered
+     * by a zoom or a finger touching down.
+     * Note, we are assuming this is released after the resize event */
+    this._updateToClientPos(input);
+  }
+
+  _updateFromPointerDown (input) {
+    /* a finger or pen touching down enters the tracking area. A mouse will
+     * already be tracked, so this is ignored as a duplicate position */
+    this._updateToClientPos(input);
+  }
+
+  _updateFromScroll (input) {
+    /* client positions are the same, but rect of the tracking area may have
+     * moved */
+    for (const tracked of this._pointers.values()) {
+      this._updatePointerMotion(tracked, input.diffX, input.diffY, input);
+    }
+  }
+
+  _updateFromWheel (input) {
+    if (input.ctrlKey) {
+      /* a zoom, which is followed by a resize */
+      return;
+    }
+    /* shove from the position of the wheel along its turn, as if the pointer
+     * had been scrolled that far into the buttons */
+    const speed = this._config.wheelShove;
+    const pointer = new WheelPointer(
+      input.clientX - input.rectX - this._offsetX,
+      input.clientY - input.rectY - this._offsetY,
+      input.diffX * speed, input.diffY * speed);
+    this._posHandler(pointer);
+    pointer.moveBy(input.diffX, input.diffY);
+    this._posHandler(pointer);
+    this._endHandler(pointer);
+  }
+
+  _updateFromPointerLeave (input) {
+    /* the pointer has left the tracking area so we don't know its position */
+    this._endPointer(input.pointerId);
+  }
+
+  _updateFromPointerUp (input) {
+    /* a finger lifting up leaves the tracking area. A mouse or pen can still
+     * hover, so continue to track them */
+    if (input.pointerType !== 'touch') {
+      return;
+    }
+    this._endPointer(input.pointerId);
+  }
+
+  _updateFromPointerCancel (input) {
+    /* the browser has taken over the pointer (e.g. for panning) so we will not
+     * receive any more events for it */
+    this._endPointer(input.pointerId);
+  }
+
+  _updateFromResize (input) {
+    /* the tracking area and the relative element may have moved */
+    this._offsetX = input.offsetX;
+    this._offsetY = input.offsetY;
+    const zoomed = (
+      input.viewScale !== 1 || input.viewX !== 0 || input.viewY !== 0);
+    for (const tracked of this._pointers.values()) {
+      const pointer = tracked.pointer;
+      const lastX = pointer.posX();
+      const lastY = pointer.posY();
+      if (zoomed) {
+        /* the pointer stays on the same place on the screen, so it moves
+         * across the zoomed page, which can push the buttons */
+        tracked.clientX = input.viewX + (input.viewScale * tracked.clientX);
+        tracked.clientY = input.viewY + (input.viewScale * tracked.clientY);
+        this._updatePointerMotion(
+          tracked, tracked.clientX - input.rectX - this._offsetX - lastX,
+          tracked.clientY - input.rectY - this._offsetY - lastY, input);
+      } else if (
+        tracked.clientX - input.rectX - this._offsetX !== lastX ||
+        tracked.clientY - input.rectY - this._offsetY !== lastY) {
+        /* client positions are the same, but the play area has moved under
+         * the pointers. The pointers did not move themselves, so their
+         * velocity is not known */
+        this._updatePointerMotion(tracked, NaN, NaN, input);
+      }
+    }
+  }
+}
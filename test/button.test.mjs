@@ -0,0 +1,184 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { ButtonGroup } from '../src/button.mjs';
+import { FrameScheduler } from '../src/scheduler.mjs';
+import { installFakeDom } from './fake-dom.mjs';
+
+const page = installFakeDom();
+
+/* the frames of the page, in milliseconds */
+const FRAME_INTERVAL = 16;
+
+/* a small seeded generator, so that the runs are reproducible */
+function seededRandom (seed) {
+  return function () {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+}
+
+/* a group with an absorbing right wall, that records how it is played. The
+ * padding area of its container is 600 by 600, unless another width and
+ * height are given */
+function makeGroup (width, height) {
+  const area = page.createPlayArea();
+  if (width !== undefined) {
+    /* within the 8 pixel border */
+    area.container.style.width = String(width + 16) + 'px';
+    area.container.style.height = String(height + 16) + 'px';
+  }
+  const scheduler = new FrameScheduler();
+  const group = new ButtonGroup(
+    area.button, area.container, area.trackingArea, scheduler);
+  group.setConfig({ rightWall: 'absorb' });
+  const played = [];
+  group.setPlayHandler(function (kind) {
+    played.push(kind);
+  });
+  return { group: group, area: area, played: played };
+}
+
+/* run the frames until the group has lost a button */
+function runUntilLost (game) {
+  for (let i = 0; i < 300 && !game.played.includes('lost'); i++) {
+    page.runFrame(FRAME_INTERVAL);
+  }
+  assert.ok(game.played.includes('lost'));
+}
+
+describe('ButtonGroup', function () {
+  test('loses a button that stops against an absorbing wall', function () {
+    const game = makeGroup();
+    game.group.setButtonCount(2);
+    const [lost, kept] = game.group.buttons();
+    /* the left of the button in the centre, which sends it to the right */
+    assert.ok(game.group.clickAt(255, 300));
+    runUntilLost(game);
+    assert.ok(lost.body().isAbsorbed());
+    assert.deepEqual(game.group.buttons(), [kept]);
+    assert.deepEqual(game.area.container.children, [kept.element()]);
+  });
+
+  test('replaces the last button in the centre', function () {
+    const game = makeGroup();
+    const [lost] = game.group.buttons();
+    assert.ok(game.group.clickAt(255, 300));
+    runUntilLost(game);
+    const buttons = game.group.buttons();
+    assert.equal(buttons.length, 1);
+    assert.notEqual(buttons[0], lost);
+    assert.deepEqual(
+      buttons[0].body().box(), { x: 250, y: 280, width: 100, height: 40 });
+    assert.deepEqual(game.area.container.children, [buttons[0].element()]);
+    assert.ok(!game.area.container.contains(lost.element()));
+  });
+
+  test('loses the round when a button to click is lost', function () {
+    const game = makeGroup();
+    const results = [];
+    game.group.startRound(60, function (round) {
+      results.push(round.result);
+    });
+    /* push the button to the right with the pointer, rather than clicking
+     * it, then leave */
+    for (let x = 150; x <= 270; x += 20) {
+      game.area.trackingArea.dispatchEvent(
+        page.pointerEvent('pointermove', 28 + x, 28 + 300));
+      page.runFrame(FRAME_INTERVAL);
+    }
+    game.area.trackingArea.dispatchEvent(
+      page.pointerEvent('pointerleave', NaN, NaN));
+    runUntilLost(game);
+    assert.deepEqual(game.played, ['push', 'lost', 'roundend']);
+    assert.equal(results[results.length - 1], 'lost');
+  });
+
+  /* the box of each button, and the classes of its element */
+  function buttonViews (group) {
+    return group.buttons().map(function (button) {
+      return {
+        box: button.body().box(),
+        classes: Array.from(button.element().classList._names).sort()
+      };
+    });
+  }
+
+  /* a group of three buttons, with the one in the centre clicked from the
+   * top so that it moves down */
+  function clickedGroup () {
+    const game = makeGroup();
+    game.group.setRandom(seededRandom(3));
+    game.group.setButtonCount(3);
+    assert.ok(game.group.clickAt(300, 282));
+    for (let i = 0; i < 5; i++) {
+      page.runFrame(FRAME_INTERVAL);
+    }
+    return game;
+  }
+
+  test('carries on from a saved state', function () {
+    const game = clickedGroup();
+    /* as if saved when the page is unloaded, and loaded again */
+    const state = JSON.parse(JSON.stringify(game.group.saveState()));
+    const restored = makeGroup();
+    restored.group.restoreState(state);
+    assert.equal(restored.group.buttons().length, 3);
+    assert.deepEqual(buttonViews(restored.group), buttonViews(game.group));
+    assert.ok(restored.group.buttons()[0].body().isMoving());
+    for (let i = 0; i < 60; i++) {
+      page.runFrame(FRAME_INTERVAL);
+      assert.deepEqual(buttonViews(restored.group), buttonViews(game.group));
+    }
+  });
+
+  test('keeps the buttons in their place in a container of another size',
+    function () {
+      const game = clickedGroup();
+      const state = game.group.saveState();
+      /* room for 700 by 360 rather than 500 by 560 */
+      const restored = makeGroup(800, 400);
+      restored.group.restoreState(state);
+      const views = buttonViews(game.group);
+      buttonViews(restored.group).forEach(function (view, i) {
+        assert.ok(Math.abs(view.box.x - (views[i].box.x * 700 / 500)) < 1e-9);
+        assert.ok(Math.abs(view.box.y - (views[i].box.y * 360 / 560)) < 1e-9);
+        assert.deepEqual(view.classes, views[i].classes);
+      });
+    });
+
+  test('rejects a bad state', function () {
+    const game = makeGroup();
+    for (const [state, error] of [
+      [undefined, TypeError],
+      [{ buttons: {} }, /must have the buttons/],
+      [{ buttons: [] }, RangeError]
+    ]) {
+      assert.throws(function () {
+        game.group.restoreState(state);
+      }, error);
+    }
+    const state = clickedGroup().group.saveState();
+    state.buttons[0].alertEndTime = 'soon';
+    assert.throws(function () {
+      game.group.restoreState(state);
+    }, TypeError);
+  });
+});
@@ -0,0 +1,290 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { DEFAULT_CONFIG, ESTIMATORS } from '../src/config.mjs';
+import {
+  AverageEstimator, compareEstimators, KalmanEstimator,
+  LeastSquaresEstimator, tracesFromRecording
+} from '../src/estimator.mjs';
+import { makePointerTraces } from './pointer-traces.mjs';
+
+/* within rounding of the expected value */
+function assertClose (actual, expected) {
+  assert.ok(
+    Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)),
+    String(actual) + ' is not close to ' + String(expected));
+}
+
+/* give an estimator the positions of a pointer, each as [time, pos] */
+function addPositions (estimator, positions) {
+  let prev = NaN;
+  for (const [time, pos] of positions) {
+    estimator.addSample(time, pos - prev);
+    prev = pos;
+  }
+}
+
+describe('AverageEstimator', function () {
+  test('has no velocity from the first sample', function () {
+    const estimator = new AverageEstimator(300);
+    estimator.addSample(0, NaN);
+    assert.equal(estimator.vel(), 0);
+    assert.equal(estimator.predict(10), 0);
+  });
+
+  test('averages each sample with the previous estimate', function () {
+    const estimator = new AverageEstimator(300);
+    addPositions(estimator, [[0, 0], [10, 10], [20, 30]]);
+    /* jumps to 1000 from rest, then averages with 2000 */
+    assertClose(estimator.vel(), 1500);
+    assertClose(estimator.predict(10), 15);
+  });
+
+  test('jumps to the velocity of a sample in another direction', function () {
+    const estimator = new AverageEstimator(300);
+    addPositions(estimator, [[0, 0], [10, 10], [20, 30], [30, 20]]);
+    assertClose(estimator.vel(), -1000);
+  });
+
+  test('jumps to the velocity of a sample after the previous expires',
+    function () {
+      const estimator = new AverageEstimator(300);
+      addPositions(estimator, [[0, 0], [10, 10], [410, 30]]);
+      assertClose(estimator.vel(), 50);
+    });
+
+  test('forgets the velocity when the position is unknown', function () {
+    const estimator = new AverageEstimator(300);
+    addPositions(estimator, [[0, 0], [10, 10]]);
+    estimator.addSample(20, NaN);
+    assert.equal(estimator.vel(), 0);
+  });
+});
+
+describe('LeastSquaresEstimator', function () {
+  test('follows a straight line exactly', function () {
+    const estimator = new LeastSquaresEstimator(20, 300);
+    addPositions(estimator, [[0, 0], [5, 2], [10, 4], [15, 6]]);
+    assertClose(estimator.vel(), 400);
+    assertClose(estimator.predict(10), 4);
+  });
+
+  test('only fits the samples within the window', function () {
+    const estimator = new LeastSquaresEstimator(20, 300);
+    const positions = [];
+    for (let time = 0; time <= 100; time += 5) {
+      positions.push([time, (time <= 50) ? time / 5 : 10 + (time - 50)]);
+    }
+    addPositions(estimator, positions);
+    assertClose(estimator.vel(), 1000);
+    assertClose(estimator.predict(10), 10);
+  });
+
+  test('keeps the previous sample outside of the window', function () {
+    const estimator = new LeastSquaresEstimator(20, 300);
+    addPositions(estimator, [[0, 0], [100, 3]]);
+    assertClose(estimator.vel(), 30);
+  });
+
+  test('fits a line through the noise', function () {
+    const estimator = new LeastSquaresEstimator(20, 300);
+    addPositions(estimator, [[0, 0], [10, 2], [20, 2]]);
+    /* the line passes a third of a pixel past the newest sample */
+    assertClose(estimator.vel(), 100);
+    assertClose(estimator.predict(0), 1 / 3);
+  });
+
+  test('starts again when the position is unknown', function () {
+    const estimator = new LeastSquaresEstimator(20, 300);
+    addPositions(estimator, [[0, 0], [5, 2], [10, 4]]);
+    estimator.addSample(15, NaN);
+    assert.equal(estimator.vel(), 0);
+    assert.equal(estimator.predict(10), 0);
+    estimator.addSample(20, -3);
+    assertClose(estimator.vel(), -600);
+  });
+});
+
+describe('KalmanEstimator', function () {
+  test('predicts nothing without samples', function () {
+    const estimator = new KalmanEstimator(3e7, 300);
+    assert.equal(estimator.vel(), 0);
+    assert.equal(estimator.predict(10), 0);
+    estimator.addSample(0, NaN);
+    assert.equal(estimator.vel(), 0);
+    assert.equal(estimator.predict(10), 0);
+  });
+
+  test('settles on a constant velocity', function () {
+    const estimator = new KalmanEstimator(3e7, 300);
+    const positions = [];
+    for (let time = 0; time <= 500; time += 10) {
+      positions.push([time, time / 2]);
+    }
+    addPositions(estimator, positions);
+    assert.ok(Math.abs(estimator.vel() - 500) < 0.5, String(estimator.vel()));
+    assert.ok(Math.abs(estimator.predict(10) - 5) < 0.01,
+      String(estimator.predict(10)));
+  });
+
+  test('follows a change of velocity', function () {
+    const estimator = new KalmanEstimator(3e7, 300);
+    const positions = [];
+    for (let time = 0; time <= 200; time += 10) {
+      positions.push([time, (time <= 100) ? time / 2 : 50 - (time - 100)]);
+    }
+    addPositions(estimator, positions);
+    assert.ok(Math.abs(estimator.vel() + 1000) < 50, String(estimator.vel()));
+  });
+
+  test('starts again when the position is unknown or expires', function () {
+    for (const [time, diff] of [[20, NaN], [400, 5]]) {
+      const estimator = new KalmanEstimator(3e7, 300);
+      addPositions(estimator, [[0, 0], [10, 5]]);
+      assert.ok(estimator.vel() > 0);
+      estimator.addSample(time, diff);
+      assert.equal(estimator.vel(), 0);
+      assert.equal(estimator.predict(10), 0);
+    }
+  });
+});
+
+/* a recorded pointer event */
+function pointerEvent (type, time, x, y, pointerId, pointerType) {
+  return {
+    time: time,
+    type: type,
+    timeStamp: time,
+    pointerId: (pointerId === undefined) ? 1 : pointerId,
+    pointerType: pointerType || 'mouse',
+    clientX: x,
+    clientY: y
+  };
+}
+
+describe('tracesFromRecording', function () {
+  test('ends a trace when its pointer leaves', function () {
+    const traces = tracesFromRecording({
+      events: [
+        pointerEvent('pointerover', 0, 10, 10),
+        pointerEvent('pointermove', 8, 12, 10),
+        pointerEvent('pointermove', 16, 12, 10),
+        pointerEvent('pointerleave', 24, 14, 10),
+        { time: 30, type: 'frame' },
+        pointerEvent('pointermove', 40, 50, 50),
+        pointerEvent('pointermove', 48, 51, 52),
+        pointerEvent('pointercancel', 56, 51, 52),
+        pointerEvent('pointermove', 64, 0, 0)
+      ]
+    });
+    /* the duplicate position is skipped, and the lone sample at the end is
+     * not a trace */
+    assert.deepEqual(traces, [
+      [{ time: 0, x: 10, y: 10 }, { time: 8, x: 12, y: 10 }],
+      [{ time: 40, x: 50, y: 50 }, { time: 48, x: 51, y: 52 }]
+    ]);
+  });
+
+  test('ends a trace when a touch lifts', function () {
+    const traces = tracesFromRecording({
+      events: [
+        pointerEvent('pointerdown', 0, 10, 10, 1, 'mouse'),
+        pointerEvent('pointermove', 8, 20, 10, 1, 'mouse'),
+        pointerEvent('pointerup', 16, 20, 10, 1, 'mouse'),
+        pointerEvent('pointermove', 24, 30, 10, 1, 'mouse'),
+        pointerEvent('pointerdown', 32, 100, 100, 2, 'touch'),
+        pointerEvent('pointermove', 40, 110, 100, 2, 'touch'),
+        pointerEvent('pointerup', 48, 110, 100, 2, 'touch'),
+        pointerEvent('pointerdown', 56, 200, 200, 2, 'touch'),
+        pointerEvent('pointermove', 64, 210, 200, 2, 'touch')
+      ]
+    });
+    assert.deepEqual(traces, [
+      [{ time: 32, x: 100, y: 100 }, { time: 40, x: 110, y: 100 }],
+      [
+        { time: 0, x: 10, y: 10 },
+        { time: 8, x: 20, y: 10 },
+        { time: 24, x: 30, y: 10 }
+      ],
+      [{ time: 56, x: 200, y: 200 }, { time: 64, x: 210, y: 200 }]
+    ]);
+  });
+
+  test('ends every trace when the page is resized', function () {
+    const traces = tracesFromRecording({
+      events: [
+        pointerEvent('pointermove', 0, 10, 10, 1),
+        pointerEvent('pointermove', 4, 100, 100, 2),
+        pointerEvent('pointermove', 8, 20, 10, 1),
+        pointerEvent('pointermove', 12, 110, 100, 2),
+        { time: 14, type: 'resize', width: 800, height: 600 },
+        pointerEvent('pointermove', 16, 40, 10, 1),
+        pointerEvent('pointermove', 24, 50, 10, 1)
+      ]
+    });
+    assert.deepEqual(traces, [
+      [{ time: 0, x: 10, y: 10 }, { time: 8, x: 20, y: 10 }],
+      [{ time: 4, x: 100, y: 100 }, { time: 12, x: 110, y: 100 }],
+      [{ time: 16, x: 40, y: 10 }, { time: 24, x: 50, y: 10 }]
+    ]);
+  });
+});
+
+describe('compareEstimators', function () {
+  const traces = makePointerTraces(1, 20);
+
+  test('finds the default estimator the best on the pointer traces',
+    function () {
+      const results = compareEstimators(traces);
+      assert.deepEqual(Object.keys(results), ESTIMATORS);
+      let best = ESTIMATORS[0];
+      for (const name of ESTIMATORS) {
+        assert.equal(results[name].count, results[best].count);
+        assert.ok(results[name].rmsError <= results[name].maxError);
+        if (results[name].rmsError < results[best].rmsError) {
+          best = name;
+        }
+      }
+      assert.equal(best, DEFAULT_CONFIG.estimator);
+    });
+
+  test('predicts a steady pointer exactly', function () {
+    const trace = [];
+    for (let time = 0; time <= 200; time += 8) {
+      trace.push({ time: time, x: 100 + time, y: 100 - (time / 2) });
+    }
+    const results = compareEstimators([trace], { lead: 10 });
+    /* the first prediction, from a single sample, is still */
+    assert.equal(results.average.maxError, Math.hypot(10, 5));
+    assertClose(results.average.rmsError, Math.sqrt(125 / 24));
+    assertClose(results.leastsquares.maxError, Math.hypot(10, 5));
+    assertClose(results.leastsquares.rmsError, Math.sqrt(125 / 24));
+    assert.equal(results.average.count, 24);
+  });
+
+  test('rejects a bad option', function () {
+    assert.throws(function () {
+      compareEstimators(traces, { lead: -1 });
+    }, RangeError);
+    assert.throws(function () {
+      compareEstimators(traces, { config: { wobble: 1 } });
+    }, /wobble/);
+  });
+});
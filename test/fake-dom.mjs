@@ -0,0 +1,325 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* a small stand-in for the parts of the page that the game uses, so that
+ * the buttons can be driven in Node. Only the layout that the game reads is
+ * modelled: each element is placed by its *left* and *top* style within the
+ * padding area of its parent, and sized by its *width* and *height* style */
+
+function pixels (value, fallback) {
+  return (value === undefined) ? fallback : parseFloat(value);
+}
+
+class FakeClassList {
+  constructor () {
+    this._names = new Set();
+  }
+
+  add (...names) {
+    for (const name of names) {
+      this._names.add(name);
+    }
+  }
+
+  remove (...names) {
+    for (const name of names) {
+      this._names.delete(name);
+    }
+  }
+
+  toggle (name, force) {
+    const add = (force === undefined) ? !this._names.has(name) : force;
+    if (add) {
+      this._names.add(name);
+    } else {
+      this._names.delete(name);
+    }
+    return add;
+  }
+
+  contains (name) {
+    return this._names.has(name);
+  }
+}
+
+class FakeStyle {
+  removeProperty (name) {
+    delete this[name];
+  }
+}
+
+class FakeEventTarget {
+  constructor () {
+    this._listeners = new Map();
+  }
+
+  addEventListener (type, listener) {
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, new Set());
+    }
+    this._listeners.get(type).add(listener);
+  }
+
+  removeEventListener (type, listener) {
+    if (this._listeners.has(type)) {
+      this._listeners.get(type).delete(listener);
+    }
+  }
+
+  /* calls the listeners of this target, and then of its parents if the event
+   * bubbles */
+  dispatchEvent (ev) {
+    Object.defineProperty(ev, 'target', { value: this, configurable: true });
+    for (let target = this; target !== null;
+      target = ev.bubbles ? target.parentElement : null) {
+      const listeners = target._listeners.get(ev.type);
+      for (const listener of Array.from(listeners || [])) {
+        listener(ev);
+      }
+    }
+    return true;
+  }
+}
+
+class FakeElement extends FakeEventTarget {
+  constructor (tagName) {
+    super();
+    this.tagName = tagName;
+    this.classList = new FakeClassList();
+    this.style = new FakeStyle();
+    this.parentElement = null;
+    this.children = [];
+    /* the width of each border, in pixels */
+    this.borderWidth = 0;
+    this._attributes = new Map();
+  }
+
+  getAttribute (name) {
+    if (name === 'style') {
+      return Object.keys(this.style).length ? 'set' : '';
+    }
+    return this._attributes.has(name) ? this._attributes.get(name) : null;
+  }
+
+  setAttribute (name, value) {
+    this._attributes.set(name, String(value));
+  }
+
+  removeAttribute (name) {
+    this._attributes.delete(name);
+  }
+
+  _insert (index, els) {
+    for (const el of els) {
+      el.remove();
+      el.parentElement = this;
+    }
+    this.children.splice(index, 0, ...els);
+  }
+
+  append (...els) {
+    this._insert(this.children.length, els);
+  }
+
+  prepend (...els) {
+    this._insert(0, els);
+  }
+
+  before (el) {
+    const parent = this.parentElement;
+    parent._insert(parent.children.indexOf(this), [el]);
+  }
+
+  after (el) {
+    const parent = this.parentElement;
+    parent._insert(parent.children.indexOf(this) + 1, [el]);
+  }
+
+  remove () {
+    const parent = this.parentElement;
+    if (parent !== null) {
+      parent.children.splice(parent.children.indexOf(this), 1);
+      this.parentElement = null;
+    }
+  }
+
+  contains (el) {
+    for (; el !== null; el = el.parentElement) {
+      if (el === this) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  cloneNode (deep) {
+    const el = new FakeElement(this.tagName);
+    el.borderWidth = this.borderWidth;
+    el.classList.add(...this.classList._names);
+    Object.assign(el.style, this.style);
+    for (const [name, value] of this._attributes) {
+      el._attributes.set(name, value);
+    }
+    if (deep) {
+      el.append(...this.children.map(function (child) {
+        return child.cloneNode(true);
+      }));
+    }
+    return el;
+  }
+
+  getBoundingClientRect () {
+    let x = pixels(this.style.left, 0);
+    let y = pixels(this.style.top, 0);
+    const parent = this.parentElement;
+    if (parent !== null) {
+      const rect = parent.getBoundingClientRect();
+      x += rect.x + parent.borderWidth;
+      y += rect.y + parent.borderWidth;
+    }
+    return {
+      x: x,
+      y: y,
+      width: pixels(this.style.width, 0),
+      height: pixels(this.style.height, 0)
+    };
+  }
+
+  get clientWidth () {
+    return this.getBoundingClientRect().width - (2 * this.borderWidth);
+  }
+
+  get clientHeight () {
+    return this.getBoundingClientRect().height - (2 * this.borderWidth);
+  }
+}
+
+/**
+ * Put a stand-in for the page in the globals, in place of the browser. The
+ * clock of `performance.now()` and the animation frames are then driven by
+ * hand.
+ *
+ * @return {Object} The page, with *createElement* to create an element,
+ * *createPlayArea* to create the elements of a game, *pointerEvent* to
+ * create an event of the mouse at the current time, *runFrame* to move the
+ * clock on by the given milliseconds and run the animation frames, and *now*
+ * to get the time of the clock.
+ */
+export function installFakeDom () {
+  let time = 0;
+  let frameID = 0;
+  let frames = new Map();
+
+  const window = new FakeEventTarget();
+  window.scrollX = 0;
+  window.scrollY = 0;
+  window.devicePixelRatio = 1;
+  window.visualViewport = undefined;
+  window.requestAnimationFrame = function (callback) {
+    frameID++;
+    frames.set(frameID, callback);
+    return frameID;
+  };
+  window.cancelAnimationFrame = function (id) {
+    frames.delete(id);
+  };
+
+  const document = new FakeEventTarget();
+  document.visibilityState = 'visible';
+  document.hasFocus = function () {
+    return true;
+  };
+  document.createElement = function (tagName) {
+    return new FakeElement(tagName);
+  };
+
+  Object.assign(globalThis, {
+    window: window,
+    document: document,
+    getComputedStyle: function (el) {
+      return {
+        getPropertyValue: function (property) {
+          return /^border-.*-width$/.test(property)
+            ? String(el.borderWidth) + 'px' : '';
+        }
+      };
+    },
+    ResizeObserver: class {
+      observe () {}
+      unobserve () {}
+      disconnect () {}
+    }
+  });
+  Object.defineProperty(globalThis, 'performance', {
+    value: {
+      now: function () {
+        return time;
+      }
+    },
+    configurable: true
+  });
+
+  return {
+    createElement: document.createElement,
+    /* a container with a 600 by 600 padding area, holding a 100 by 40
+     * button, inside a tracking area */
+    createPlayArea: function () {
+      const trackingArea = document.createElement('div');
+      trackingArea.style.width = '656px';
+      trackingArea.style.height = '656px';
+      const container = document.createElement('div');
+      container.borderWidth = 8;
+      container.style.left = '20px';
+      container.style.top = '20px';
+      container.style.width = '616px';
+      container.style.height = '616px';
+      const button = document.createElement('button');
+      button.style.width = '100px';
+      button.style.height = '40px';
+      trackingArea.append(container);
+      container.append(button);
+      return {
+        trackingArea: trackingArea,
+        container: container,
+        button: button
+      };
+    },
+    pointerEvent: function (type, clientX, clientY) {
+      return {
+        type: type,
+        bubbles: true,
+        timeStamp: time,
+        pointerId: 1,
+        pointerType: 'mouse',
+        clientX: clientX,
+        clientY: clientY,
+        preventDefault: function () {}
+      };
+    },
+    runFrame: function (interval) {
+      time += interval;
+      const callbacks = Array.from(frames.values());
+      frames = new Map();
+      for (const callback of callbacks) {
+        callback(time);
+      }
+    },
+    now: function () {
+      return time;
+    }
+  };
+}
@@ -0,0 +1,126 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { HitShape } from '../src/geometry.mjs';
+
+/* within rounding of the expected value */
+function assertClose (actual, expected) {
+  assert.ok(
+    Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)),
+    String(actual) + ' is not close to ' + String(expected));
+}
+
+function assertEntry (entry, t, x, y, normalX, normalY) {
+  assert.notEqual(entry, undefined);
+  assertClose(entry.t, t);
+  assertClose(entry.x, x);
+  assertClose(entry.y, y);
+  assertClose(entry.normalX, normalX);
+  assertClose(entry.normalY, normalY);
+}
+
+describe('HitShape', function () {
+  test('a ray enters a rect through the side it meets', function () {
+    const shape = new HitShape('rect', 100, 40);
+    assertEntry(shape.rayEntry(-10, 20, 1, 0), 10, 0, 20, -1, 0);
+    assertEntry(shape.rayEntry(50, -5, 0, 2), 2.5, 50, 0, 0, -1);
+    assertEntry(shape.rayEntry(120, 50, -1, -1), 20, 100, 30, 1, 0);
+    /* passing by, or going away */
+    assert.equal(shape.rayEntry(-10, -10, 1, 0), undefined);
+    assert.equal(shape.rayEntry(-10, 20, -1, 0), undefined);
+  });
+
+  test('a ray enters an ellipse with the normal of its outline',
+    function () {
+      const shape = new HitShape('ellipse', 200, 100);
+      assertEntry(shape.rayEntry(-50, 50, 1, 0), 50, 0, 50, -1, 0);
+      assertEntry(shape.rayEntry(100, -50, 0, 1), 50, 100, 0, 0, -1);
+      /* at 45 degrees around the ellipse, the normal is steeper than the
+       * angle, since the ellipse is wider than it is tall */
+      const x = 100 + (100 * Math.SQRT1_2);
+      const y = 50 + (50 * Math.SQRT1_2);
+      assertEntry(
+        shape.rayEntry(x + 100, y, -1, 0), 100, x, y, 1 / Math.sqrt(5),
+        2 / Math.sqrt(5));
+      /* through the empty corner of the box */
+      assert.equal(shape.rayEntry(-10, 5, 1, -0.1), undefined);
+    });
+
+  test('a ray enters a round rect at its corners', function () {
+    const shape = new HitShape('roundrect', 100, 40, 10);
+    assert.ok(!shape.contains(1, 1));
+    assert.ok(shape.contains(10, 1));
+    /* the corner is a quarter circle around (10, 10) */
+    const corner = 10 - (10 * Math.SQRT1_2);
+    assertEntry(
+      shape.rayEntry(-10, -10, 1, 1), corner + 10, corner, corner,
+      -Math.SQRT1_2, -Math.SQRT1_2);
+    /* the flat sides are still flat */
+    assertEntry(shape.rayEntry(50, 50, 0, -1), 10, 50, 40, 0, 1);
+  });
+
+  test('the radius of a round rect is at most half its height', function () {
+    const pill = new HitShape('roundrect', 100, 40, Infinity);
+    assert.ok(pill.contains(20, 0));
+    assert.ok(!pill.contains(3, 3));
+    assertEntry(pill.rayEntry(-10, 20, 1, 0), 10, 0, 20, -1, 0);
+    /* the end is a semicircle around (20, 20) */
+    const x = 20 - Math.sqrt((20 * 20) - (15 * 15));
+    assertEntry(
+      pill.rayEntry(-10, 5, 1, 0), x + 10, x, 5, (x - 20) / 20, -15 / 20);
+  });
+
+  test('the contact normal is traced back along the velocity', function () {
+    const shape = new HitShape('rect', 100, 40);
+    assert.deepEqual(shape.contactNormal(50, 2, 0, 1), { x: 0, y: -1 });
+    assert.deepEqual(shape.contactNormal(50, 2, 3, 0), { x: -1, y: 0 });
+    /* at rest, from the nearest side */
+    assert.deepEqual(shape.contactNormal(50, 2, 0, 0), { x: 0, y: -1 });
+    assert.deepEqual(shape.contactNormal(97, 20, 0, 0), { x: 1, y: 0 });
+    const round = new HitShape('ellipse', 100, 100);
+    const normal = round.contactNormal(90, 50, -1, 0);
+    assertClose(normal.x, 1);
+    assertClose(normal.y, 0);
+    /* outside of the circle, back along the velocity */
+    const outside = round.contactNormal(1, 1, 1, -1);
+    assertClose(outside.x, -Math.SQRT1_2);
+    assertClose(outside.y, Math.SQRT1_2);
+  });
+
+  test('the contact shape of two shapes is their sum', function () {
+    /* two circles touch when their centres are a diameter apart */
+    const circle = new HitShape('ellipse', 100, 100);
+    const circles = circle.contactShape(circle);
+    assert.equal(circles.kind(), 'ellipse');
+    assert.ok(circles.contains(100 + 70, 100 + 70));
+    assert.ok(!circles.contains(100 + 71, 100 + 71));
+    /* the corners of two round rects are rounded by both radii */
+    const rounded = new HitShape('roundrect', 100, 40, 10);
+    const pill = new HitShape('roundrect', 100, 40, Infinity);
+    const sum = rounded.contactShape(pill);
+    assert.equal(sum.kind(), 'roundrect');
+    const corner = 30 - (30 * Math.SQRT1_2);
+    assertEntry(
+      sum.rayEntry(-10, -10, 1, 1), corner + 10, corner, corner,
+      -Math.SQRT1_2, -Math.SQRT1_2);
+    assert.equal(
+      circle.contactShape(new HitShape('rect', 10, 10)).kind(), 'rect');
+  });
+});
@@ -0,0 +1,620 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { makeConfig } from '../src/config.mjs';
+import {
+  BoundedMotion, ButtonBody, ButtonWorld, checkRange, ConstantDecel,
+  LinearDrag, QuadraticDrag
+} from '../src/physics.mjs';
+import { GameSimulation } from '../src/simulation.mjs';
+
+/* within rounding of the expected value */
+function assertClose (actual, expected) {
+  assert.ok(
+    Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)),
+    String(actual) + ' is not close to ' + String(expected));
+}
+
+/* the laws with the default tuning, and with a stronger drag */
+const LAWS = {
+  constant: [new ConstantDecel(25), new ConstantDecel(400)],
+  linear: [new LinearDrag(25, 0.5), new LinearDrag(25, 5)],
+  quadratic: [new QuadraticDrag(25, 0.0005), new QuadraticDrag(25, 0.01)]
+};
+
+const SPEEDS = [0.01, 1, 30, 500, 4000, 50000];
+
+/* how many times to sample each trajectory */
+const SAMPLES = 50;
+
+describe('checkRange', function () {
+  test('accepts numbers in range', function () {
+    checkRange('num', 0, 0, true, 1, false);
+    checkRange('num', 1, 0, false, 1, true);
+    checkRange('num', 5, -Infinity, false, Infinity, false);
+  });
+
+  test('rejects numbers out of range', function () {
+    assert.throws(function () {
+      checkRange('num', 0, 0, false, 1, true);
+    }, RangeError);
+    assert.throws(function () {
+      checkRange('num', 1, 0, true, 1, false);
+    }, RangeError);
+    assert.throws(function () {
+      checkRange('num', NaN, -Infinity, true, Infinity, true);
+    }, RangeError);
+    assert.throws(function () {
+      checkRange('num', '1', 0, true, 2, true);
+    }, TypeError);
+  });
+});
+
+describe('BoundedMotion', function () {
+  test('slows down and stops', function () {
+    const motion = new BoundedMotion(1000, 1000, new ConstantDecel(25));
+    motion.setPos(500);
+    motion.setVel(0, 100);
+    motion.update(1);
+    assertClose(motion.pos, 500 + 100 - (25 / 2));
+    assertClose(motion.vel, 75);
+    /* stops after 4 seconds */
+    motion.update(10);
+    assertClose(motion.pos, 500 + (100 * 100) / (2 * 25));
+    assert.equal(motion.vel, 0);
+  });
+
+  test('rebounds from each wall', function () {
+    const rebounds = [];
+    const motion = new BoundedMotion(
+      100, 1000, new ConstantDecel(25), function (pos, vel) {
+        rebounds.push({ pos: pos, vel: vel });
+      });
+    motion.setPos(50);
+    motion.setVel(0, 500);
+    motion.update(0.2);
+    assert.equal(rebounds.length, 1);
+    assert.equal(rebounds[0].pos, 100);
+    /* the time to cover the 50 pixels to the wall */
+    const hitTime = (500 - Math.sqrt((500 * 500) - (2 * 25 * 50))) / 25;
+    assertClose(rebounds[0].vel, 500 - (25 * hitTime));
+    assert.ok(motion.vel < 0);
+    motion.update(0.5);
+    assert.equal(rebounds.length, 2);
+    assert.equal(rebounds[1].pos, 0);
+    assert.ok(rebounds[1].vel < 0);
+    assert.ok(motion.pos >= 0 && motion.pos <= 100);
+  });
+
+  test('copies without the rebound handler', function () {
+    let rebounds = 0;
+    const motion = new BoundedMotion(
+      100, 1000, new ConstantDecel(25), function () {
+        rebounds++;
+      });
+    motion.setPos(50);
+    motion.setVel(0, 500);
+    const copy = motion.copy();
+    copy.update(1);
+    assert.equal(rebounds, 0);
+    motion.update(1);
+    assert.ok(rebounds > 0);
+    assert.equal(copy.pos, motion.pos);
+    assert.equal(copy.vel, motion.vel);
+  });
+
+  test('wraps around to the opposite wall', function () {
+    let rebounds = 0;
+    for (const [initPos, initVel, endPos] of [
+      [50, 500, 49.5], [10, -500, 10.5]
+    ]) {
+      const motion = new BoundedMotion(
+        100, 1000, new ConstantDecel(25), function () {
+          rebounds++;
+        });
+      motion.setWalls('wrap', 'wrap');
+      motion.setPos(initPos);
+      motion.setVel(0, initVel);
+      /* 99.5 pixels on, which is past the wall */
+      motion.update(0.2);
+      assertClose(motion.pos, endPos);
+      assertClose(motion.vel, initVel * 0.99);
+    }
+    assert.equal(rebounds, 0);
+  });
+
+  test('stops dead at a sticky or absorbing wall', function () {
+    for (const wall of ['sticky', 'absorb']) {
+      let rebounds = 0;
+      const motion = new BoundedMotion(
+        100, 1000, new ConstantDecel(25), function () {
+          rebounds++;
+        });
+      motion.setWalls('rebound', wall);
+      motion.setPos(50);
+      motion.setVel(0, -500);
+      motion.update(1);
+      /* rebounds from the lower wall, then stops at the upper wall */
+      assert.equal(rebounds, 1);
+      assert.equal(motion.pos, 100);
+      assert.equal(motion.vel, 0);
+      assert.ok(!motion.isMoving());
+    }
+  });
+
+  test('rejects an unknown wall', function () {
+    const motion = new BoundedMotion(100, 1000, new ConstantDecel(25));
+    assert.throws(function () {
+      motion.setWalls('rebound', 'bouncy');
+    }, /Unknown wall "bouncy"/);
+  });
+
+  /* a particle pulled back by a force after it was thrown at the upper
+   * wall */
+  function thrownMotion (upperPos) {
+    const motion = new BoundedMotion(upperPos, 1000, new ConstantDecel(25));
+    motion.setPos(50);
+    motion.setVel(2, 500);
+    motion.setForce(2, -200);
+    motion.update(2.05);
+    return motion;
+  }
+
+  test('carries on from a saved state at another time', function () {
+    const motion = thrownMotion(100);
+    /* as if saved and loaded again */
+    const state = JSON.parse(JSON.stringify(motion.saveState(2.05)));
+    assertClose(state.trajStartTime, -0.05);
+    const restored = new BoundedMotion(100, 1000, new ConstantDecel(25));
+    restored.restoreState(10.05, state);
+    assert.equal(restored.force(), -200);
+    /* through the rebound from the upper wall */
+    for (const elapsed of [0.1, 0.5, 2]) {
+      motion.update(2.05 + elapsed);
+      restored.update(10.05 + elapsed);
+      assertClose(restored.pos, motion.pos);
+      assertClose(restored.vel, motion.vel);
+    }
+  });
+
+  test('moves a restored state with another upper boundary', function () {
+    const motion = thrownMotion(100);
+    const state = motion.saveState(2.05);
+    const restored = new BoundedMotion(200, 1000, new ConstantDecel(25));
+    restored.restoreState(2.05, state);
+    assert.equal(restored.upperPos(), 200);
+    const moved = motion.copy();
+    moved.setUpperPos(2.05, 200);
+    for (const time of [2.05, 2.5, 4]) {
+      moved.update(time);
+      restored.update(time);
+      assert.equal(restored.pos, moved.pos);
+      assert.equal(restored.vel, moved.vel);
+    }
+    /* a particle resting against the upper boundary stays against it */
+    restored.restoreState(0, {
+      upperPos: 100,
+      pos: 100,
+      vel: 0,
+      initPos: 100,
+      initVel: 0,
+      trajStartTime: 0,
+      force: 0,
+      held: false
+    });
+    assert.equal(restored.pos, 200);
+  });
+
+  test('restores a particle held at rest', function () {
+    const state = {
+      upperPos: 100,
+      pos: 40,
+      vel: 0,
+      initPos: 40,
+      initVel: 0,
+      trajStartTime: 0,
+      force: -200,
+      held: true
+    };
+    const motion = new BoundedMotion(100, 1000, new ConstantDecel(25));
+    motion.restoreState(3, state);
+    assert.ok(motion.isHeld());
+    assert.ok(!motion.isMoving());
+    motion.update(10);
+    assert.equal(motion.pos, 40);
+    assert.deepEqual(motion.saveState(10), state);
+  });
+
+  test('restores a state from before the forces without one', function () {
+    const motion = thrownMotion(100);
+    const state = motion.saveState(2.05);
+    delete state.force;
+    delete state.held;
+    motion.restoreState(2.05, state);
+    assert.equal(motion.force(), 0);
+    assert.ok(!motion.isHeld());
+  });
+
+  test('rejects a bad state without changing the motion', function () {
+    const motion = thrownMotion(100);
+    const state = motion.saveState(2.05);
+    for (const [change, error] of [
+      [{ upperPos: 0 }, /upperPos/],
+      [{ pos: 101 }, /pos/],
+      [{ initPos: -1 }, /initPos/],
+      [{ vel: NaN }, /vel/],
+      [{ initVel: '500' }, TypeError],
+      [{ trajStartTime: Infinity }, /trajStartTime/],
+      [{ force: -Infinity }, /force/],
+      [{ held: 'yes' }, /held must be a boolean/]
+    ]) {
+      assert.throws(function () {
+        motion.restoreState(2.05, Object.assign({}, state, change));
+      }, error);
+      assert.deepEqual(motion.saveState(2.05), state);
+    }
+  });
+});
+
+describe('ButtonBody', function () {
+  /* a button, 100 by 40, in the centre of a 600 by 600 area, that records
+   * the walls that it rebounds from */
+  function wallBody (walls, rebounds) {
+    const body = new ButtonBody(
+      100, 40, 600, 600, makeConfig(walls), function () { return 0.5; },
+      function (wall) {
+        rebounds.push(wall);
+      });
+    body.moveTo(250, 280);
+    return body;
+  }
+
+  test('stops dead along both axes at a sticky or absorbing wall',
+    function () {
+      for (const wall of ['sticky', 'absorb']) {
+        const body = wallBody({ rightWall: wall }, []);
+        body.giveVel(1000, 300, 0);
+        body.advance(1);
+        const box = body.box();
+        assert.equal(box.x, 500);
+        /* stopped when it reached the wall, a quarter of a second in */
+        assert.ok(box.y > 280 + 70 && box.y < 280 + 80);
+        assert.equal(body.velX(), 0);
+        assert.equal(body.velY(), 0);
+        assert.ok(!body.isMoving());
+        assert.equal(body.isAbsorbed(), wall === 'absorb');
+        assert.deepEqual(body.restPoint(), { x: box.x, y: box.y });
+      }
+    });
+
+  test('wraps along one axis whilst rebounding along the other',
+    function () {
+      const rebounds = [];
+      const body = wallBody({ leftWall: 'wrap', rightWall: 'wrap' }, rebounds);
+      body.giveVel(2000, 1000, 0);
+      for (let time = 0.01; body.isMoving(); time += 0.01) {
+        body.advance(time);
+        const box = body.box();
+        assert.ok(box.x >= 0 && box.x <= 500);
+        assert.ok(box.y >= 0 && box.y <= 560);
+      }
+      assert.ok(rebounds.length > 0);
+      assert.ok(rebounds.every(function (wall) {
+        return wall === 'top' || wall === 'bottom';
+      }));
+      assert.ok(!body.isAbsorbed());
+    });
+
+  test('keeps its place in a restored state of another size', function () {
+    const body = wallBody({}, []);
+    body.giveVel(200, -100, 0);
+    body.advance(0.5);
+    const state = JSON.parse(JSON.stringify(body.saveState(500)));
+    /* room for 700 by 360 rather than 500 by 560 */
+    const restored = new ButtonBody(
+      100, 40, 800, 400, makeConfig({}), function () { return 0.5; });
+    restored.restoreState(state, 2000);
+    const box = body.box();
+    const restoredBox = restored.box();
+    assertClose(restoredBox.x / 700, box.x / 500);
+    assertClose(restoredBox.y / 360, box.y / 560);
+    assertClose(restored.velX() / 700, body.velX() / 500);
+    assertClose(restored.velY() / 360, body.velY() / 560);
+  });
+
+  test('rejects a bad state without changing the button', function () {
+    const body = wallBody({}, []);
+    body.giveVel(200, -100, 0);
+    body.advance(0.5);
+    const state = body.saveState(500);
+    for (const [bad, error] of [
+      [null, TypeError],
+      [{ x: state.x, hitImmune: false }, /x and y motion/],
+      [Object.assign({}, state, { hitImmune: 1 }), /hitImmune/],
+      /* the vertical motion is checked before the horizontal changes */
+      [Object.assign({}, state, {
+        x: Object.assign({}, state.x, { pos: 0, vel: 0 }),
+        y: Object.assign({}, state.y, { pos: 1000 })
+      }), RangeError]
+    ]) {
+      assert.throws(function () {
+        body.restoreState(bad, 500);
+      }, error);
+      assert.deepEqual(body.saveState(500), state);
+    }
+  });
+});
+
+for (const [name, laws] of Object.entries(LAWS)) {
+  describe(name + ' law', function () {
+    test('timeAtDist inverts distAt', function () {
+      for (const law of laws) {
+        for (const speed of SPEEDS) {
+          const stopTime = law.timeToStop(speed);
+          for (let i = 0; i <= SAMPLES; i++) {
+            const time = (stopTime * i) / SAMPLES;
+            const dist = law.distAt(speed, time);
+            const found = law.timeAtDist(speed, dist);
+            /* the distance barely changes near the stop, so the time can
+             * only be found to within a small fraction of the stop */
+            assert.ok(
+              Math.abs(found - time) <= 1e-6 * stopTime,
+              'speed ' + String(speed) + ' at time ' + String(time) +
+              ' travels ' + String(dist) + ' but that is found at time ' +
+              String(found));
+            assert.ok(
+              Math.abs(law.distAt(speed, found) - dist) <=
+                1e-9 * Math.max(1, dist));
+          }
+        }
+      }
+    });
+
+    test('speedAt never goes up', function () {
+      for (const law of laws) {
+        for (const speed of SPEEDS) {
+          const stopTime = law.timeToStop(speed);
+          let lastSpeed = speed;
+          for (let i = 0; i <= SAMPLES; i++) {
+            const newSpeed = law.speedAt(speed, (stopTime * i) / SAMPLES);
+            assert.ok(newSpeed >= 0);
+            assert.ok(
+              newSpeed <= lastSpeed,
+              'speed ' + String(speed) + ' goes up from ' +
+              String(lastSpeed) + ' to ' + String(newSpeed));
+            lastSpeed = newSpeed;
+          }
+          assert.ok(law.speedAt(speed, stopTime) <= 1e-9 * speed);
+        }
+      }
+    });
+
+    test('the speed never goes up across rebounds', function () {
+      for (const law of laws) {
+        /* start towards each wall */
+        for (const initVel of [-3000, 3000]) {
+          const rebounds = [];
+          const motion = new BoundedMotion(
+            200, 1000, law, function (pos, vel) {
+              rebounds.push(pos);
+            });
+          motion.setPos(100);
+          motion.setVel(0, initVel);
+          let lastSpeed = Math.abs(initVel);
+          for (let time = 0.001; time < 60 && motion.vel !== 0;
+            time += 0.001) {
+            motion.update(time);
+            const speed = Math.abs(motion.vel);
+            assert.ok(
+              speed <= lastSpeed,
+              'speed goes up from ' + String(lastSpeed) + ' to ' +
+              String(speed) + ' at time ' + String(time));
+            assert.ok(motion.pos >= 0 && motion.pos <= 200);
+            lastSpeed = speed;
+          }
+          assert.equal(motion.vel, 0);
+          assert.equal(rebounds[0], (initVel < 0) ? 0 : 200);
+        }
+      }
+    });
+  });
+}
+
+describe('a field', function () {
+  test('speeds the constant law up to the terminal speed', function () {
+    const law = new ConstantDecel(25, 2000).withPush(1500);
+    for (const speed of [0, 1000, 2000, 3000, 50000]) {
+      let lastSpeed = speed;
+      for (let i = 0; i <= SAMPLES; i++) {
+        const time = i / 5;
+        const newSpeed = law.speedAt(speed, time);
+        /* towards the terminal speed, without passing it */
+        if (speed <= 2000) {
+          assert.ok(newSpeed >= lastSpeed && newSpeed <= 2000);
+        } else {
+          assert.ok(newSpeed <= lastSpeed && newSpeed >= 2000);
+        }
+        lastSpeed = newSpeed;
+        const dist = law.distAt(speed, time);
+        assert.ok(
+          Math.abs(law.timeAtDist(speed, dist) - time) <= 1e-9 * (1 + time));
+      }
+    }
+  });
+
+  /* the terminal speed of each law with the default field */
+  const TERMINAL_SPEEDS = {
+    constant: 2000,
+    linear: (1500 - 25) / 0.5,
+    quadratic: Math.sqrt((1500 - 25) / 0.0005)
+  };
+
+  for (const [decel, terminalSpeed] of Object.entries(TERMINAL_SPEEDS)) {
+    test('does not speed up a wrapping ' + decel + ' button forever',
+      function () {
+        for (const [field, walls] of [
+          ['wind', { leftWall: 'wrap', rightWall: 'wrap' }],
+          ['gravity', { topWall: 'wrap', bottomWall: 'wrap' }]
+        ]) {
+          const sim = new GameSimulation({
+            random: function () { return 0.5; },
+            config: Object.assign({ decel: decel, field: field }, walls)
+          });
+          const result = sim.run([], 40000);
+          let fastest = 0;
+          for (const frame of result.frames) {
+            const button = frame.buttons[0];
+            fastest = Math.max(
+              fastest, Math.abs(button.velX), Math.abs(button.velY));
+          }
+          assert.ok(
+            fastest <= terminalSpeed * (1 + 1e-9),
+            field + ' speeds the button up to ' + String(fastest));
+          /* and it keeps going at the terminal speed */
+          const last = result.frames[result.frames.length - 1].buttons[0];
+          const speed = (field === 'wind') ? last.velX : last.velY;
+          assert.ok(Math.abs(speed - terminalSpeed) <= 1e-6 * terminalSpeed);
+        }
+      });
+  }
+});
+
+describe('ButtonWorld', function () {
+  /* a world of round buttons, 100 pixels across, in a 600 by 600 area */
+  function roundWorld (positions) {
+    const config = makeConfig({ shape: 'round' });
+    const world = new ButtonWorld();
+    for (const [x, y] of positions) {
+      const body = new ButtonBody(
+        100, 100, 600, 600, config, function () { return 0.5; });
+      body.moveTo(x, y);
+      world.add(body);
+    }
+    return world;
+  }
+
+  test('round buttons pass through the corners of each other\'s boxes',
+    function () {
+      const [still, moving] = roundWorld([[100, 100], [345, 0]]).bodies();
+      const world = roundWorld([]);
+      world.add(still);
+      world.add(moving);
+      moving.giveVel(-1000, 1000, 0);
+      let overlapped = false;
+      for (let frame = 1; frame <= 18; frame++) {
+        world.update((frame - 1) / 60, frame / 60);
+        const a = still.box();
+        const b = moving.box();
+        if (b.x < a.x + a.width && b.y < a.y + a.height) {
+          overlapped = true;
+        }
+      }
+      /* the boxes overlapped at their corners, but the circles never
+       * touched */
+      assert.ok(overlapped);
+      assert.ok(!still.isMoving());
+      assertClose(moving.velX(), -moving.velY());
+    });
+
+  test('round buttons knock each other along the line of their centres',
+    function () {
+      const [still, moving] = roundWorld([[100, 250], [400, 280]]).bodies();
+      moving.giveVel(-1000, 0, 0);
+      const world = roundWorld([]);
+      world.add(still);
+      world.add(moving);
+      for (let frame = 1; !still.isMoving(); frame++) {
+        world.update((frame - 1) / 60, frame / 60);
+      }
+      /* the circles touch once their centres are 100 apart, when they are
+       * 30 apart vertically */
+      const apart = Math.sqrt((100 * 100) - (30 * 30));
+      /* pushed away along the normal, which is up and to the left */
+      assert.ok(still.velX() < 0 && still.velY() < 0);
+      assert.ok(Math.abs((still.velY() / still.velX()) - (30 / apart)) < 1e-3);
+      /* momentum is kept along each axis, up to the slowing down */
+      assert.ok(Math.abs(still.velY() + moving.velY()) < 1e-9);
+      assert.ok(Math.abs(still.velX() + moving.velX() + 1000) < 10);
+    });
+
+  test('rebounds a button from an obstacle at the same time at any frame rate',
+    function () {
+      /* the button slows down over the 200 pixels to the obstacle */
+      const hitVel = Math.sqrt((1000 * 1000) - (2 * 25 * 200));
+      const ends = [];
+      for (const frames of [1, 7, 60, 144]) {
+        const world = new ButtonWorld();
+        world.setObstacles([{ x: 400, y: 250, width: 20, height: 100 }]);
+        const hits = [];
+        const body = new ButtonBody(
+          100, 40, 600, 600, makeConfig(), function () { return 0.5; },
+          function (wall, vel, pos) {
+            if (wall === 'obstacle') {
+              hits.push({ vel: vel, pos: pos });
+            }
+          });
+        body.moveTo(100, 280);
+        body.giveVel(1000, 0, 0);
+        world.add(body);
+        for (let frame = 1; frame <= frames; frame++) {
+          world.update((frame - 1) / frames, frame / frames);
+        }
+        assert.equal(hits.length, 1);
+        assertClose(hits[0].vel, hitVel);
+        assert.equal(hits[0].pos.x, 400);
+        ends.push(body.box().x);
+      }
+      for (const end of ends) {
+        assertClose(end, ends[0]);
+      }
+    });
+
+  test('keeps the buttons out of the obstacles when they collide many times',
+    function () {
+      const config = makeConfig();
+      const world = new ButtonWorld();
+      world.setObstacles([{ x: 300, y: 400, width: 4, height: 100 }]);
+      const hits = [];
+      function addBody (x, y) {
+        const body = new ButtonBody(
+          10, 10, 600, 600, config, function () { return 0.5; },
+          function (wall) {
+            hits.push(wall);
+          });
+        body.moveTo(x, y);
+        world.add(body);
+        return body;
+      }
+      /* a row of buttons that pass a knock along, more times than the
+       * buttons can collide in one update */
+      const knocker = addBody(90, 100);
+      for (let i = 0; i < 30; i++) {
+        addBody(100 + (10 * i), 100);
+      }
+      /* and a fast button that reaches the obstacle later in the update */
+      const fast = addBody(230, 440);
+      knocker.giveVel(1000, 0, 0);
+      fast.giveVel(6000, 0, 0);
+      world.update(0, 1 / 60);
+      assert.deepEqual(hits, ['obstacle']);
+      assert.ok(fast.velX() < 0);
+      assert.ok(fast.box().x < 290);
+    });
+});
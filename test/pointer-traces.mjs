@@ -0,0 +1,112 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* synthetic pointer traces, standing in for recordings of real play until
+ * some are collected. A hand moves between targets along minimum jerk
+ * paths, which follow the speed profile of aimed human movements, with a
+ * little tremor. The browser samples it at a slightly irregular rate, and
+ * reports whole pixels */
+
+/* a small seeded generator, so that the traces are reproducible */
+function seededRandom (seed) {
+  return function () {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+}
+
+/* the fraction of the way along a minimum jerk path at the given fraction of
+ * its duration */
+function minimumJerk (fraction) {
+  return fraction * fraction * fraction *
+    (10 - (15 * fraction) + (6 * fraction * fraction));
+}
+
+/* the movements of one trace, each with its *start* time, *duration*, and
+ * the *from* and *to* positions, in order and without gaps */
+function makeMovements (random, duration) {
+  const movements = [];
+  let pos = { x: 100 + (random() * 400), y: 100 + (random() * 400) };
+  for (let time = 0; time < duration;) {
+    const angle = random() * 2 * Math.PI;
+    const distance = 30 + (random() * 370);
+    /* a longer reach takes longer, by Fitts's law */
+    const moveTime = 120 + (100 * Math.log2(1 + (distance / 20))) +
+      (random() * 80);
+    const to = {
+      x: pos.x + (distance * Math.cos(angle)),
+      y: pos.y + (distance * Math.sin(angle))
+    };
+    movements.push({ start: time, duration: moveTime, from: pos, to: to });
+    time += moveTime;
+    pos = to;
+    if (random() < 0.3) {
+      /* rest a while before the next reach */
+      const restTime = 50 + (random() * 250);
+      movements.push({ start: time, duration: restTime, from: pos, to: pos });
+      time += restTime;
+    }
+  }
+  return movements;
+}
+
+/**
+ * Make some synthetic pointer traces.
+ *
+ * @param {number} seed - The seed of the traces, greater than zero.
+ * @param {number} count - The number of traces.
+ *
+ * @return {Object[][]} The traces, in the form returned by
+ * `tracesFromRecording` of the estimator module.
+ */
+export function makePointerTraces (seed, count) {
+  const random = seededRandom(seed);
+  const traces = [];
+  for (let i = 0; i < count; i++) {
+    const duration = 2000 + (random() * 3000);
+    const movements = makeMovements(random, duration);
+    /* half of the traces are sampled every frame, and half at the 125 Hz of
+     * a typical mouse */
+    const interval = (i % 2) ? 1000 / 60 : 8;
+    const trace = [];
+    let index = 0;
+    for (let time = 0; index < movements.length;
+      time += interval * (0.8 + (0.4 * random()))) {
+      while (index < movements.length &&
+          movements[index].start + movements[index].duration < time) {
+        index++;
+      }
+      if (index === movements.length) {
+        break;
+      }
+      const move = movements[index];
+      const along = minimumJerk(
+        Math.min(1, Math.max(0, (time - move.start) / move.duration)));
+      const x = Math.round(move.from.x + (along * (move.to.x - move.from.x)) +
+        (random() - 0.5));
+      const y = Math.round(move.from.y + (along * (move.to.y - move.from.y)) +
+        (random() - 0.5));
+      const last = trace[trace.length - 1];
+      /* the browser only reports a move to a new pixel */
+      if (last === undefined || last.x !== x || last.y !== y) {
+        trace.push({ time: Math.round(time * 1000) / 1000, x: x, y: y });
+      }
+    }
+    traces.push(trace);
+  }
+  return traces;
+}
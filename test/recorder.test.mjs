@@ -0,0 +1,135 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { ButtonGroup } from '../src/button.mjs';
+import {
+  RECORDING_VERSION, SessionPlayer, SessionRecorder
+} from '../src/recorder.mjs';
+import { FrameScheduler } from '../src/scheduler.mjs';
+import { installFakeDom } from './fake-dom.mjs';
+
+const page = installFakeDom();
+
+/* the frames of the page, in milliseconds */
+const FRAME_INTERVAL = 16;
+
+function makeGroup () {
+  const area = page.createPlayArea();
+  const scheduler = new FrameScheduler();
+  const group = new ButtonGroup(
+    area.button, area.container, area.trackingArea, scheduler);
+  return {
+    group: group,
+    scheduler: scheduler,
+    trackingArea: area.trackingArea
+  };
+}
+
+/* the button states, and where their elements are drawn */
+function buttonStates (game) {
+  const container = game.trackingArea.children[0];
+  return {
+    state: game.group.saveState(),
+    elements: container.children.map(function (el) {
+      return [el.style.left, el.style.top, Array.from(el.classList._names)];
+    })
+  };
+}
+
+describe('a recording', function () {
+  test('replays to the same buttons', function () {
+    const game = makeGroup();
+    game.group.setButtonCount(3);
+    const recorder = new SessionRecorder(game.group, game.scheduler);
+    recorder.start();
+    /* sweep the pointer through the play area, and click the first button
+     * on the way */
+    for (let i = 0; i < 180; i++) {
+      const angle = (i / 60) * Math.PI;
+      game.trackingArea.dispatchEvent(page.pointerEvent(
+        'pointermove', 328 + (250 * Math.cos(angle)),
+        328 + (250 * Math.sin(angle))));
+      if (i === 90) {
+        const button = game.trackingArea.children[0].children[0];
+        const rect = button.getBoundingClientRect();
+        button.dispatchEvent({
+          type: 'click',
+          bubbles: true,
+          clientX: rect.x + 10,
+          clientY: rect.y + 10
+        });
+      }
+      page.runFrame(FRAME_INTERVAL);
+    }
+    game.trackingArea.dispatchEvent(
+      page.pointerEvent('pointerleave', NaN, NaN));
+    /* let the buttons carry on without the pointer */
+    for (let i = 0; i < 120; i++) {
+      page.runFrame(FRAME_INTERVAL);
+    }
+    const recorded = buttonStates(game);
+    /* as if saved and loaded again */
+    const recording = JSON.parse(JSON.stringify(recorder.stop()));
+    assert.ok(recorded.state.buttons.some(function (button) {
+      return button.body.x.vel !== 0 || button.body.y.vel !== 0;
+    }), 'the buttons should still be moving at the end');
+
+    let finished = false;
+    const player = new SessionPlayer(
+      game.group, game.scheduler, recording, function (err) {
+        assert.equal(err, undefined);
+        finished = true;
+      });
+    player.setSpeed(10);
+    player.start();
+    for (let i = 0; i < 1000 && !finished; i++) {
+      page.runFrame(FRAME_INTERVAL);
+    }
+    assert.ok(finished);
+    assert.deepEqual(buttonStates(game), recorded);
+  });
+
+  test('is only replayed at the current version, with every option',
+    function () {
+      const game = makeGroup();
+      const recorder = new SessionRecorder(game.group, game.scheduler);
+      recorder.start();
+      page.runFrame(FRAME_INTERVAL);
+      const recording = JSON.parse(JSON.stringify(recorder.stop()));
+      assert.equal(recording.version, RECORDING_VERSION);
+      function play (changes) {
+        return new SessionPlayer(game.group, game.scheduler,
+          Object.assign({}, recording, changes), function () {});
+      }
+      play({});
+      assert.throws(function () {
+        play({ version: RECORDING_VERSION - 1 });
+      }, /but only version/);
+      const config = Object.assign({}, recording.config);
+      delete config.estimator;
+      delete config.fitWindow;
+      assert.throws(function () {
+        play({ config: config });
+      }, /missing the config for estimator, fitWindow$/);
+      assert.throws(function () {
+        play({ config: undefined });
+      }, /missing the config for halfReboundVel, accel,/);
+    });
+});
@@ -0,0 +1,213 @@
+/* Clicking Game Demo
+ * Copyright (C) 2020 Henry Wilkes
+
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { makeConfig } from '../src/config.mjs';
+import { GameSimulation } from '../src/simulation.mjs';
+
+/* a small seeded generator, so that the runs are reproducible */
+function seededRandom (seed) {
+  return function () {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+}
+
+/* within rounding of the expected value */
+function assertClose (actual, expected) {
+  assert.ok(
+    Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)),
+    String(actual) + ' is not close to ' + String(expected));
+}
+
+/* a pointer that clicks the centre of the play area, then moves in a circle
+ * around it */
+function circlePath (duration) {
+  const path = [{ time: 0, x: 300, y: 300, click: true }];
+  for (let time = 10; time <= duration; time += 10) {
+    const angle = (time / 1000) * Math.PI;
+    path.push({
+      time: time,
+      x: 300 + (200 * Math.cos(angle)),
+      y: 300 + (200 * Math.sin(angle))
+    });
+  }
+  return path;
+}
+
+describe('GameSimulation', function () {
+  test('is reproducible', function () {
+    const results = [];
+    for (let i = 0; i < 2; i++) {
+      const sim = new GameSimulation({
+        buttonCount: 3,
+        random: seededRandom(7)
+      });
+      results.push(sim.run(circlePath(5000), 6000));
+    }
+    assert.deepEqual(results[0], results[1]);
+    assert.ok(results[0].pushes > 0);
+  });
+
+  test('pushes a button away from the pointer', function () {
+    const sim = new GameSimulation({ random: seededRandom(1) });
+    /* the button starts in the centre, at (250, 280), and the pointer moves
+     * into its left side */
+    const path = [];
+    for (let time = 0; time <= 200; time += 10) {
+      path.push({ time: time, x: 200 + time, y: 300 });
+    }
+    const result = sim.run(path, 1000);
+    assert.ok(result.pushes > 0);
+    const last = result.frames[result.frames.length - 1].buttons[0];
+    assert.ok(last.x > 250);
+    assert.equal(result.clicks, 0);
+  });
+
+  test('pushes a button that a fast pointer jumps over', function () {
+    const config = makeConfig();
+    /* the pointer jumps 200 pixels across the middle of the button, which
+     * starts at (250, 280), between two samples. It reaches the hit area 48
+     * pixels in, at 20 pixels per millisecond */
+    const contactTime = (50 - config.thickner) / 20;
+    for (const [side, startX, dir] of [['left', 200, 1], ['right', 400, -1]]) {
+      const sim = new GameSimulation({ random: seededRandom(1) });
+      const result = sim.run([
+        { time: 0, x: startX, y: 300 },
+        { time: 10, x: 600 - startX, y: 300 }
+      ], 10);
+      assert.equal(result.pushes, 1);
+      assert.equal(result.bounces, 0);
+      const body = sim.bodies()[0];
+      const contact = body.lastContact();
+      assert.equal(contact.side, side);
+      assertClose(contact.y, 20);
+      /* pushed straight on, away from the pointer */
+      assert.equal(Math.sign(body.velX()), dir);
+      assert.equal(body.velY(), 0);
+      /* and moving since the contact, rather than since the sample */
+      const moving = (10 - contactTime) / 1000;
+      const startVel = Math.abs(body.velX()) + (config.accel * moving);
+      const dist = (startVel * moving) - (config.accel * moving * moving / 2);
+      assertClose(body.box().x, 250 + (dir * dist));
+    }
+  });
+
+  test('sends a clicked button away', function () {
+    const sim = new GameSimulation({ random: seededRandom(1) });
+    const result = sim.run([{ time: 0, x: 290, y: 300, click: true }], 100);
+    assert.equal(result.clicks, 1);
+    const button = result.frames[0].buttons[0];
+    assert.ok(Math.hypot(button.velX, button.velY) > 1000);
+  });
+
+  test('loses a button that stops against an absorbing wall', function () {
+    for (const buttonCount of [1, 2]) {
+      const sim = new GameSimulation({
+        buttonCount: buttonCount,
+        random: seededRandom(5),
+        config: { rightWall: 'absorb' }
+      });
+      const first = sim.bodies()[0];
+      /* click the left of the first button, which sends it to the right,
+       * then leave */
+      const result = sim.run([
+        { time: 0, x: 255, y: 300, click: true },
+        { time: 1, x: NaN, y: NaN }
+      ], 2000);
+      assert.equal(result.clicks, 1);
+      assert.equal(result.lost, 1);
+      assert.ok(first.isAbsorbed());
+      const bodies = sim.bodies();
+      assert.equal(bodies.length, 1);
+      assert.ok(!bodies.includes(first));
+      if (buttonCount === 1) {
+        /* the last button is replaced by a new one in the centre */
+        assert.deepEqual(
+          bodies[0].box(), { x: 250, y: 280, width: 100, height: 40 });
+        assert.ok(!bodies[0].isMoving());
+      }
+    }
+  });
+
+  test('keeps the buttons in the play area until they stop', function () {
+    const sim = new GameSimulation({
+      buttonCount: 3,
+      random: seededRandom(3)
+    });
+    const result = sim.run(circlePath(5000), 300000);
+    for (const frame of result.frames) {
+      for (const button of frame.buttons) {
+        assert.ok(button.x >= 0 && button.x <= 500);
+        assert.ok(button.y >= 0 && button.y <= 560);
+      }
+    }
+    assert.ok(result.bounces > 0);
+    for (const button of result.frames[result.frames.length - 1].buttons) {
+      assert.equal(button.velX, 0);
+      assert.equal(button.velY, 0);
+    }
+  });
+
+  test('follows an injected clock', function () {
+    /* uneven frames, as a browser might give */
+    const intervals = [5, 30, 12, 50];
+    let frame = 0;
+    const uneven = new GameSimulation({
+      random: seededRandom(1),
+      clock: function (time) {
+        return time + intervals[frame++ % intervals.length];
+      }
+    });
+    const even = new GameSimulation({ random: seededRandom(1) });
+    /* click the button, then leave so only the motion is left */
+    const click = [
+      { time: 0, x: 290, y: 300, click: true },
+      { time: 1, x: NaN, y: NaN }
+    ];
+    const unevenResult = uneven.run(click, 3000);
+    const evenResult = even.run(click, 3000);
+    assert.deepEqual(
+      unevenResult.frames.slice(0, 5).map(function (frame) {
+        return frame.time;
+      }), [5, 35, 47, 97, 102]);
+    /* the motion does not depend on when it is sampled */
+    const unevenLast = unevenResult.frames[unevenResult.frames.length - 1];
+    const evenLast = evenResult.frames[evenResult.frames.length - 1];
+    assert.equal(unevenLast.time, 3000);
+    assert.equal(evenLast.time, 3000);
+    assert.ok(evenResult.bounces > 0);
+    assert.equal(unevenResult.bounces, evenResult.bounces);
+    const unevenButton = unevenLast.buttons[0];
+    const evenButton = evenLast.buttons[0];
+    assert.ok(Math.abs(unevenButton.velX - evenButton.velX) < 1e-6);
+    assert.ok(Math.abs(unevenButton.velY - evenButton.velY) < 1e-6);
+  });
+
+  test('rejects a clock that does not move forward', function () {
+    const sim = new GameSimulation({
+      clock: function (time) {
+        return time;
+      }
+    });
+    assert.throws(function () {
+      sim.run([], 100);
+    }, RangeError);
+  });
+});